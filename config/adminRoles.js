@@ -0,0 +1,83 @@
+/**
+ * Admin roles and what each role may do in the admin API
+ *
+ * - super_admin: everything, including managing other admins and reading the audit log
+ * - support: helps tailors - views and edits accounts, clears lockouts, maintains help & support
+ * - finance: subscriptions and pricing
+ * - content: app settings, welcome screen and broadcasts
+ *
+ * Admins created before roles existed (isAdmin without adminRole) are treated as super_admin.
+ */
+
+export const ADMIN_ROLES = ['super_admin', 'support', 'finance', 'content'];
+
+const ROLE_PERMISSIONS = {
+  super_admin: ['*'],
+  support: [
+    'users:read',
+    'users:update',
+    'lockouts:read',
+    'lockouts:manage',
+    'subscription_packages:read',
+    'settings:read',
+    'stats:read',
+    'help_support:read',
+    'help_support:update',
+  ],
+  finance: [
+    'users:read',
+    'users:update_subscription',
+    'subscription_packages:read',
+    'subscription_packages:update',
+    'settings:read',
+    'stats:read',
+    'help_support:read',
+  ],
+  content: [
+    'notifications:broadcast',
+    'settings:read',
+    'settings:update',
+    'stats:read',
+    'help_support:read',
+    'help_support:update',
+  ],
+};
+
+// Permissions only super admins have
+const SUPER_ADMIN_PERMISSIONS = ['users:delete', 'admins:manage', 'auth_settings:update', 'audit_log:read'];
+
+/**
+ * Role of an admin user (null for non-admins)
+ * @param {object} user - The user document
+ * @returns {string|null}
+ */
+export const getAdminRole = (user) => {
+  if (!user?.isAdmin) return null;
+  return user.adminRole || 'super_admin';
+};
+
+/**
+ * Check whether an admin role has a permission
+ * @param {string} role - One of ADMIN_ROLES
+ * @param {string} permission - e.g. 'users:delete'
+ * @returns {boolean}
+ */
+export const hasAdminPermission = (role, permission) => {
+  const permissions = ROLE_PERMISSIONS[role] || [];
+  return permissions.includes('*') || permissions.includes(permission);
+};
+
+/**
+ * List the permissions of an admin role (super_admin gets every permission)
+ * @param {string} role - One of ADMIN_ROLES
+ * @returns {string[]}
+ */
+export const getAdminRolePermissions = (role) => {
+  if (role === 'super_admin') {
+    const all = Object.values(ROLE_PERMISSIONS).flat().filter(permission => permission !== '*');
+    return [...new Set([...all, ...SUPER_ADMIN_PERMISSIONS])];
+  }
+  return [...(ROLE_PERMISSIONS[role] || [])];
+};
+
+export default { ADMIN_ROLES, getAdminRole, hasAdminPermission, getAdminRolePermissions };
@@ -0,0 +1,152 @@
+/**
+ * Built-in measurement templates
+ *
+ * A template lists the measurements taken for a garment, so every tailor records the same keys
+ * ("waist", not "Waist " or "wst"). Tailors can add their own templates (models/MeasurementTemplate.js);
+ * built-in ones can't be changed.
+ *
+ * Keys are camelCase. Values sent under a field's label or one of its aliases are saved under
+ * its key (see services/measurementTemplateService.js).
+ *
+ * Saved values are checked for plausibility (services/measurementValidationService.js): against each
+ * field's range and against the cross-field checks below.
+ */
+
+// Unit the plausible ranges below are given in (converted for measurements taken in cm)
+export const RANGE_UNIT = 'in';
+
+// Every measurement the built-in templates use: label, common shorthands and the plausible range
+// of values (children to very large adults) - values outside it are likely typos
+export const MEASUREMENT_FIELDS = {
+  neck: { label: 'Neck', aliases: ['nk', 'collar'], min: 9, max: 24 },
+  shoulder: { label: 'Shoulder', aliases: ['shoulders', 'sh', 'shd'], min: 10, max: 26 },
+  chest: { label: 'Chest', aliases: ['ch', 'chst'], min: 20, max: 65 },
+  bust: { label: 'Bust', aliases: ['bst', 'burst'], min: 20, max: 65 },
+  underBust: { label: 'Under bust', aliases: ['ub', 'underburst'], min: 18, max: 60 },
+  bustPoint: { label: 'Bust point', aliases: ['bp', 'nipple to nipple', 'bust span'], min: 4, max: 12 },
+  shoulderToUnderBust: { label: 'Shoulder to under bust', aliases: ['stub'], min: 6, max: 20 },
+  shoulderToWaist: { label: 'Shoulder to waist', aliases: ['stw'], min: 10, max: 26 },
+  stomach: { label: 'Stomach', aliases: ['tummy', 'belly'], min: 18, max: 70 },
+  waist: { label: 'Waist', aliases: ['wst', 'wa'], min: 16, max: 70 },
+  hip: { label: 'Hip', aliases: ['hips', 'hp'], min: 20, max: 75 },
+  sleeveLength: { label: 'Sleeve length', aliases: ['sleeve', 'sl', 'slv'], min: 4, max: 40 },
+  roundSleeve: { label: 'Round sleeve', aliases: ['bicep', 'biceps', 'arm', 'rs'], min: 6, max: 26 },
+  wrist: { label: 'Wrist', aliases: ['cuff', 'wr'], min: 4, max: 14 },
+  topLength: { label: 'Top length', aliases: ['shirt length', 'tl', 'length of top'], min: 12, max: 45 },
+  kaftanLength: { label: 'Kaftan length', aliases: ['kl'], min: 25, max: 70 },
+  agbadaLength: { label: 'Agbada length', aliases: ['al'], min: 30, max: 75 },
+  agbadaWidth: { label: 'Agbada width', aliases: ['aw', 'agbada span'], min: 40, max: 140 },
+  gownLength: { label: 'Gown length', aliases: ['dress length', 'full length', 'gl'], min: 20, max: 75 },
+  skirtLength: { label: 'Skirt length', aliases: ['skl'], min: 10, max: 55 },
+  trouserLength: { label: 'Trouser length', aliases: ['trouser', 'trousers length', 'pant length', 'trl'], min: 15, max: 50 },
+  thigh: { label: 'Thigh', aliases: ['th', 'laps', 'lap'], min: 12, max: 45 },
+  knee: { label: 'Knee', aliases: ['kn'], min: 9, max: 30 },
+  ankle: { label: 'Ankle', aliases: ['bottom', 'trouser bottom', 'an'], min: 6, max: 30 },
+  crotch: { label: 'Crotch', aliases: ['seat', 'rise'], min: 6, max: 40 },
+};
+
+// Checks between two measurements of the same record; ratio is first / second, so any unit works
+export const CROSS_FIELD_CHECKS = [
+  { fields: ['hip', 'waist'], minRatio: 0.75, maxRatio: 1.8, message: 'Hip and waist are far apart - check both' },
+  { fields: ['chest', 'waist'], minRatio: 0.7, maxRatio: 1.7, message: 'Chest and waist are far apart - check both' },
+  { fields: ['bust', 'underBust'], minRatio: 1, maxRatio: 1.6, message: 'Bust should be larger than under bust' },
+  { fields: ['neck', 'chest'], minRatio: 0.25, maxRatio: 0.6, message: 'Neck does not fit the chest - check both' },
+  { fields: ['thigh', 'hip'], minRatio: 0.35, maxRatio: 0.85, message: 'Thigh should be well under the hip' },
+  { fields: ['knee', 'thigh'], minRatio: 0.4, maxRatio: 1, message: 'Knee should be smaller than thigh' },
+  { fields: ['wrist', 'roundSleeve'], minRatio: 0.3, maxRatio: 1, message: 'Wrist should be smaller than round sleeve' },
+  { fields: ['shoulderToUnderBust', 'shoulderToWaist'], minRatio: 0.4, maxRatio: 1, message: 'Shoulder to under bust should be shorter than shoulder to waist' },
+];
+
+const field = (key, required = true) => {
+  const { label, min, max } = MEASUREMENT_FIELDS[key];
+  return { key, label, required, min, max };
+};
+
+const TROUSER_FIELDS = [field('waist'), field('hip'), field('thigh'), field('knee'), field('ankle'), field('trouserLength'), field('crotch', false)];
+
+export const BUILT_IN_TEMPLATES = [
+  {
+    id: 'agbada-male',
+    name: 'Agbada',
+    garment: 'agbada',
+    gender: 'male',
+    fields: [
+      field('neck'), field('shoulder'), field('chest'), field('stomach', false), field('sleeveLength'),
+      field('roundSleeve'), field('agbadaLength'), field('agbadaWidth'), field('topLength', false),
+    ],
+  },
+  {
+    id: 'kaftan-male',
+    name: 'Kaftan',
+    garment: 'kaftan',
+    gender: 'male',
+    fields: [
+      field('neck'), field('shoulder'), field('chest'), field('stomach', false), field('sleeveLength'),
+      field('roundSleeve'), field('wrist', false), field('kaftanLength'),
+    ],
+  },
+  {
+    id: 'kaftan-female',
+    name: 'Kaftan',
+    garment: 'kaftan',
+    gender: 'female',
+    fields: [
+      field('shoulder'), field('bust'), field('waist'), field('hip'), field('sleeveLength'),
+      field('roundSleeve', false), field('kaftanLength'),
+    ],
+  },
+  {
+    id: 'trousers-male',
+    name: 'Trousers',
+    garment: 'trousers',
+    gender: 'male',
+    fields: TROUSER_FIELDS,
+  },
+  {
+    id: 'trousers-female',
+    name: 'Trousers',
+    garment: 'trousers',
+    gender: 'female',
+    fields: TROUSER_FIELDS,
+  },
+  {
+    id: 'gown-female',
+    name: 'Gown',
+    garment: 'gown',
+    gender: 'female',
+    fields: [
+      field('shoulder'), field('bust'), field('underBust'), field('bustPoint'), field('shoulderToUnderBust'),
+      field('shoulderToWaist'), field('waist'), field('hip'), field('sleeveLength', false),
+      field('roundSleeve', false), field('gownLength'),
+    ],
+  },
+  {
+    id: 'shirt-male',
+    name: 'Shirt',
+    garment: 'shirt',
+    gender: 'male',
+    fields: [
+      field('neck'), field('shoulder'), field('chest'), field('stomach', false), field('sleeveLength'),
+      field('roundSleeve'), field('wrist'), field('topLength'),
+    ],
+  },
+  {
+    id: 'shirt-female',
+    name: 'Shirt',
+    garment: 'shirt',
+    gender: 'female',
+    fields: [
+      field('shoulder'), field('bust'), field('underBust', false), field('waist'), field('hip', false),
+      field('sleeveLength'), field('roundSleeve'), field('topLength'),
+    ],
+  },
+  {
+    id: 'skirt-female',
+    name: 'Skirt',
+    garment: 'skirt',
+    gender: 'female',
+    fields: [field('waist'), field('hip'), field('skirtLength'), field('knee', false)],
+  },
+];
+
+export default BUILT_IN_TEMPLATES;
@@ -0,0 +1,76 @@
+/**
+ * Staff roles and what each role may do within a tailor business
+ *
+ * - owner: the tailor's own account (User) - may do everything
+ * - manager: runs the shop day to day
+ * - cutter: works on garments - reads customers/orders/measurements and moves orders through production
+ * - cashier: front desk - records customers and their measurements, takes orders and payments, but can't delete
+ */
+
+export const STAFF_ROLES = ['manager', 'cutter', 'cashier'];
+
+export const ROLES = ['owner', ...STAFF_ROLES];
+
+const ROLE_PERMISSIONS = {
+  owner: ['*'],
+  manager: [
+    'customers:read',
+    'customers:create',
+    'customers:update',
+    'customers:delete',
+    'measurements:read',
+    'measurements:create',
+    'measurements:update',
+    'measurements:delete',
+    'measurements:manage_templates',
+    'orders:read',
+    'orders:create',
+    'orders:update',
+    'orders:update_status',
+    'orders:record_payment',
+    'orders:delete',
+    'staff:read',
+  ],
+  cutter: [
+    'customers:read',
+    'measurements:read',
+    'orders:read',
+    'orders:update_status',
+  ],
+  cashier: [
+    'customers:read',
+    'customers:create',
+    'customers:update',
+    'measurements:read',
+    'measurements:create',
+    'measurements:update',
+    'orders:read',
+    'orders:create',
+    'orders:record_payment',
+  ],
+};
+
+/**
+ * Check whether a role has a permission
+ * @param {string} role - One of ROLES
+ * @param {string} permission - e.g. 'orders:delete'
+ * @returns {boolean}
+ */
+export const hasPermission = (role, permission) => {
+  const permissions = ROLE_PERMISSIONS[role] || [];
+  return permissions.includes('*') || permissions.includes(permission);
+};
+
+/**
+ * List the permissions of a role (owner gets every permission in the matrix)
+ * @param {string} role - One of ROLES
+ * @returns {string[]}
+ */
+export const getRolePermissions = (role) => {
+  if (role === 'owner') {
+    return [...new Set(Object.values(ROLE_PERMISSIONS).flat().filter(permission => permission !== '*'))];
+  }
+  return [...(ROLE_PERMISSIONS[role] || [])];
+};
+
+export default { STAFF_ROLES, ROLES, hasPermission, getRolePermissions };
@@ -0,0 +1,113 @@
+/**
+ * Fields a client may write on each create/update route
+ *
+ * - model: the Mongoose model the body is written to (used to tell protected fields from unknown ones)
+ * - writable: fields the client may set
+ * - ignored: fields that are dropped silently (legacy clients send the tailor's `phone` to authenticate)
+ *
+ * Bookkeeping fields (_id, __v, createdAt, updatedAt) are always dropped, since apps often send
+ * back a record they fetched.
+ *
+ * Any other field is rejected by the allowFields middleware: fields that exist on the model
+ * (userId, isAdmin, subscriptionStatus, ...) as protected, anything else as unknown.
+ */
+
+const USER_PROFILE_FIELDS = ['name', 'email', 'businessName', 'address', 'language', 'customerGreetings', 'measurementUnit'];
+
+const CUSTOMER_FIELDS = ['name', 'phone', 'address', 'gender', 'birthday', 'anniversary', 'tags'];
+
+const ORDER_FIELDS = [
+  'customerId',
+  'clothType',
+  'style',
+  'fabric',
+  'dateReceived',
+  'deliveryDate',
+  'status',
+  'stylePictures',
+  'sketches',
+  'amountCharged',
+  'amountPaid',
+  'balance',
+];
+
+const MEASUREMENT_FIELDS = ['customerId', 'category', 'measurements', 'unit', 'photoReference', 'template'];
+
+const MEASUREMENT_TEMPLATE_FIELDS = ['name', 'garment', 'gender', 'unit', 'fields'];
+
+const NOTIFICATION_FIELDS = ['type', 'title', 'message', 'orderId', 'customerId', 'date', 'read', 'sound'];
+
+export const ALWAYS_IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+export const WRITABLE_FIELDS = {
+  // PUT /api/auth/me - a tailor's own profile
+  'user.profile': {
+    model: 'User',
+    writable: USER_PROFILE_FIELDS,
+    ignored: ['phone'],
+  },
+  // PUT /api/admin/users/:id - subscriptions, lockouts and admin rights have their own routes
+  'user.admin': {
+    model: 'User',
+    writable: [...USER_PROFILE_FIELDS, 'pushNotificationEnabled', 'phoneVerified'],
+    ignored: ['phone'],
+  },
+  // The customer's phone is a real field; legacy phone authentication is handled in the route.
+  // The photo and notes have their own routes (/api/customers/:id/photo, /api/customers/:id/notes);
+  // apps that send back a fetched customer still include them, so they are dropped rather than rejected.
+  'customer.create': {
+    model: 'Customer',
+    writable: CUSTOMER_FIELDS,
+    ignored: ['photo', 'notes'],
+  },
+  'customer.update': {
+    model: 'Customer',
+    writable: CUSTOMER_FIELDS,
+    ignored: ['photo', 'notes'],
+  },
+  'order.create': {
+    model: 'Order',
+    writable: ORDER_FIELDS,
+    ignored: ['phone'],
+  },
+  'order.update': {
+    model: 'Order',
+    writable: ORDER_FIELDS,
+    ignored: ['phone'],
+  },
+  // missingFields and warnings (checks when saving) and convertedFrom (?unit=) are added by the API
+  'measurement.create': {
+    model: 'Measurement',
+    writable: MEASUREMENT_FIELDS,
+    ignored: ['phone', 'missingFields', 'convertedFrom', 'warnings'],
+  },
+  'measurement.update': {
+    model: 'Measurement',
+    writable: MEASUREMENT_FIELDS,
+    ignored: ['phone', 'missingFields', 'convertedFrom', 'warnings'],
+  },
+  // id and builtIn are part of the template as the API returns it
+  'measurementTemplate.create': {
+    model: 'MeasurementTemplate',
+    writable: MEASUREMENT_TEMPLATE_FIELDS,
+    ignored: ['phone', 'id', 'builtIn'],
+  },
+  'measurementTemplate.update': {
+    model: 'MeasurementTemplate',
+    writable: MEASUREMENT_TEMPLATE_FIELDS,
+    ignored: ['phone', 'id', 'builtIn'],
+  },
+  'notification.create': {
+    model: 'Notification',
+    writable: NOTIFICATION_FIELDS,
+    ignored: ['phone'],
+  },
+  // Clients only mark notifications as read
+  'notification.update': {
+    model: 'Notification',
+    writable: ['read'],
+    ignored: ['phone'],
+  },
+};
+
+export default WRITABLE_FIELDS;
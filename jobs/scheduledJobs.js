@@ -1,6 +1,11 @@
 import cron from 'node-cron';
 import Order from '../models/Order.js';
 import Notification from '../models/Notification.js';
+import User from '../models/User.js';
+import { purgeUserAccount } from '../services/accountDeletionService.js';
+import { runDailyCustomerEvents } from '../services/customerEventsService.js';
+import { processPendingDataExports, purgeExpiredDataExports } from '../services/dataExportService.js';
+import { purgeExpiredTrash, getTrashRetentionDays } from '../services/trashService.js';
 
 /**
  * Scheduled job to automatically update orders to 'in_progress' after 2 days
@@ -68,6 +73,88 @@ const updateOrdersToProgress = async () => {
   }
 };
 
+/**
+ * Scheduled job to permanently delete accounts whose deletion grace period has ended
+ * 
+ * This job runs once a day
+ */
+const purgePendingAccountDeletions = async () => {
+  try {
+    console.log('[Scheduled Job] Starting pending account deletion purge...');
+
+    const usersToPurge = await User.find({
+      accountStatus: 'pending_deletion',
+      deletionScheduledFor: { $lte: new Date() }
+    });
+
+    console.log(`[Scheduled Job] Found ${usersToPurge.length} accounts to purge`);
+
+    for (const user of usersToPurge) {
+      try {
+        await purgeUserAccount(user);
+        console.log(`[Scheduled Job] Purged account ${user._id}`);
+      } catch (error) {
+        // Keep going - the account is retried on the next run
+        console.error(`[Scheduled Job] Error purging account ${user._id}:`, error);
+      }
+    }
+
+    console.log(`[Scheduled Job] Completed. Purged ${usersToPurge.length} accounts.`);
+  } catch (error) {
+    console.error('[Scheduled Job] Error purging pending account deletions:', error);
+  }
+};
+
+/**
+ * Scheduled job to notify tailors of customer birthdays and anniversaries
+ * (and send customers the greeting SMS their tailor enabled)
+ * 
+ * This job runs once a day
+ */
+const notifyCustomerBirthdays = async () => {
+  try {
+    console.log('[Scheduled Job] Starting customer birthday/anniversary check...');
+    const result = await runDailyCustomerEvents();
+    console.log(`[Scheduled Job] Completed. Created ${result.notifications} notifications, sent ${result.greetings} greetings.`);
+  } catch (error) {
+    console.error('[Scheduled Job] Error notifying customer birthdays:', error);
+  }
+};
+
+/**
+ * Scheduled job to build data exports that didn't finish after they were requested
+ * (e.g. the server restarted) and delete exports whose download link has expired
+ * 
+ * This job runs every 15 minutes
+ */
+const processDataExports = async () => {
+  try {
+    const finished = await processPendingDataExports();
+    const expired = await purgeExpiredDataExports();
+    if (finished > 0 || expired > 0) {
+      console.log(`[Scheduled Job] Data exports: finished ${finished}, expired ${expired}.`);
+    }
+  } catch (error) {
+    console.error('[Scheduled Job] Error processing data exports:', error);
+  }
+};
+
+/**
+ * Scheduled job to permanently delete customers, orders and measurements that have been in the
+ * trash longer than the retention period
+ * 
+ * This job runs once a day
+ */
+const purgeTrash = async () => {
+  try {
+    console.log('[Scheduled Job] Starting trash purge...');
+    const purged = await purgeExpiredTrash();
+    console.log(`[Scheduled Job] Completed. Purged ${purged.customer} customers, ${purged.order} orders, ${purged.measurement} measurements.`);
+  } catch (error) {
+    console.error('[Scheduled Job] Error purging trash:', error);
+  }
+};
+
 /**
  * Initialize and start all scheduled jobs
  * Note: Cron jobs don't work on Vercel serverless functions.
@@ -94,6 +181,39 @@ export const startScheduledJobs = () => {
   console.log('[Scheduled Jobs] Scheduled job configured to run every hour');
   console.log('[Scheduled Jobs] Job will update orders created 2+ days ago from pending to in_progress');
 
+  // Run every day at 02:30 UTC to purge accounts whose deletion grace period has ended
+  cron.schedule('30 2 * * *', purgePendingAccountDeletions, {
+    scheduled: true,
+    timezone: 'UTC'
+  });
+
+  console.log('[Scheduled Jobs] Account deletion purge configured to run daily at 02:30 UTC');
+
+  // Run every day at 07:00 local time so reminders and greetings arrive in the morning
+  const appTimeZone = process.env.APP_TIMEZONE || 'Africa/Lagos';
+  cron.schedule('0 7 * * *', notifyCustomerBirthdays, {
+    scheduled: true,
+    timezone: appTimeZone
+  });
+
+  console.log(`[Scheduled Jobs] Customer birthday/anniversary reminders configured to run daily at 07:00 ${appTimeZone}`);
+
+  // Run every day at 03:00 UTC to purge trash older than the retention period
+  cron.schedule('0 3 * * *', purgeTrash, {
+    scheduled: true,
+    timezone: 'UTC'
+  });
+
+  console.log(`[Scheduled Jobs] Trash purge configured to run daily at 03:00 UTC (retention: ${getTrashRetentionDays()} days)`);
+
+  // Run every 15 minutes to retry unfinished data exports and remove expired ones
+  cron.schedule('*/15 * * * *', processDataExports, {
+    scheduled: true,
+    timezone: 'UTC'
+  });
+
+  console.log('[Scheduled Jobs] Data export processing configured to run every 15 minutes');
+
   // Optionally run immediately on startup for testing (comment out in production)
   // Uncomment the line below if you want to test the job immediately
   // updateOrdersToProgress();
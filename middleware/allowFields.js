@@ -0,0 +1,106 @@
+/**
+ * Field Whitelisting Middleware
+ *
+ * allowFields(ruleName) checks the request body against a rule in config/writableFields.js and
+ * puts the writable fields in req.fields. Routes write req.fields, never req.body, so a client
+ * can't set fields like userId, isAdmin or subscriptionEndDate by adding them to the body.
+ *
+ * requireOwnReferences checks that customerId / orderId in req.fields are the tailor's own, so a
+ * record can't be attached to (and populate) another tailor's customer or order.
+ */
+
+import mongoose from 'mongoose';
+import { WRITABLE_FIELDS, ALWAYS_IGNORED_FIELDS } from '../config/writableFields.js';
+
+/**
+ * Split a body into writable, protected and unknown fields
+ * @param {object} body - Request body
+ * @param {string} ruleName - Key of WRITABLE_FIELDS
+ * @returns {{ fields: object, protectedFields: string[], unknownFields: string[] }}
+ */
+export const checkFields = (body, ruleName) => {
+  const rule = WRITABLE_FIELDS[ruleName];
+  if (!rule) {
+    throw new Error(`Unknown field rule "${ruleName}"`);
+  }
+  const schema = mongoose.model(rule.model).schema;
+
+  const fields = {};
+  const protectedFields = [];
+  const unknownFields = [];
+  for (const [key, value] of Object.entries(body || {})) {
+    if (rule.writable.includes(key)) {
+      fields[key] = value;
+    } else if (rule.ignored.includes(key) || ALWAYS_IGNORED_FIELDS.includes(key)) {
+      continue;
+    } else if (schema.path(key) || schema.pathType(key) === 'nested') {
+      protectedFields.push(key);
+    } else {
+      unknownFields.push(key);
+    }
+  }
+  return { fields, protectedFields, unknownFields };
+};
+
+/**
+ * Reject bodies with fields the route doesn't allow and expose the rest as req.fields
+ * @param {string} ruleName - Key of WRITABLE_FIELDS, e.g. 'order.update'
+ * @returns {function} Middleware
+ */
+export const allowFields = (ruleName) => (req, res, next) => {
+  const { fields, protectedFields, unknownFields } = checkFields(req.body, ruleName);
+
+  if (protectedFields.length > 0 || unknownFields.length > 0) {
+    const problems = [
+      ...protectedFields.map(field => `${field} (cannot be changed here)`),
+      ...unknownFields.map(field => `${field} (unknown field)`),
+    ];
+    return res.status(400).json({
+      message: `Invalid fields: ${problems.join(', ')}`,
+      error: 'INVALID_FIELDS',
+      protectedFields,
+      unknownFields,
+      allowedFields: WRITABLE_FIELDS[ruleName].writable,
+    });
+  }
+
+  req.fields = fields;
+  next();
+};
+
+// Reference fields and the model whose records they must point at
+const REFERENCE_FIELDS = {
+  customerId: { model: 'Customer', label: 'Customer' },
+  orderId: { model: 'Order', label: 'Order' },
+};
+
+/**
+ * Reject customerId / orderId values in req.fields that aren't the signed in tailor's (use after allowFields)
+ * @param {object} req
+ * @param {object} res
+ * @param {function} next
+ */
+export const requireOwnReferences = async (req, res, next) => {
+  try {
+    for (const [field, { model, label }] of Object.entries(REFERENCE_FIELDS)) {
+      const id = req.fields?.[field];
+      if (id === undefined || id === null) continue;
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ message: `Invalid ${field}`, error: 'INVALID_REFERENCE', field });
+      }
+      if (!await mongoose.model(model).exists({ _id: id, userId: req.user._id })) {
+        return res.status(404).json({
+          message: `${label} not found or does not belong to your account`,
+          error: 'REFERENCE_NOT_FOUND',
+          field,
+        });
+      }
+    }
+    next();
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+export default allowFields;
@@ -0,0 +1,193 @@
+/**
+ * Authentication Middleware
+ *
+ * Populates req.user from the `Authorization: Bearer <accessToken>` header.
+ *
+ * Transition mode:
+ * - Older app builds identify themselves by sending the tailor's `phone` in the query or body
+ * - Such requests are only accepted while AppSettings `auth.allowLegacyPhoneAuth` is enabled (off by default)
+ * - req.authMethod is 'token' or 'phone' so routes can tell the two apart
+ * - Owner-only routes (account, exports, staff management) and admin routes always require a token
+ *
+ * Staff:
+ * - Staff members sign in on behalf of a business; req.user is then the owning tailor account
+ * - req.staff is the signed in staff member (null for the owner) and req.role their role
+ * - requirePermission() and requireOwner restrict routes by role (see config/staffRoles.js)
+ */
+
+import User from '../models/User.js';
+import Session from '../models/Session.js';
+import Staff from '../models/Staff.js';
+import AppSettings from '../models/AppSettings.js';
+import { verifyAccessToken } from '../services/tokenService.js';
+import { hasPermission } from '../config/staffRoles.js';
+
+// Only write lastSeenAt when it is older than this, to avoid a write on every request
+const LAST_SEEN_UPDATE_MS = 5 * 60 * 1000;
+
+// Avoid a settings lookup on every request
+const LEGACY_SETTING_CACHE_MS = 30 * 1000;
+let legacySettingCache = { value: null, fetchedAt: 0 };
+
+const isLegacyPhoneAuthAllowed = async () => {
+  const now = Date.now();
+  if (legacySettingCache.value !== null && now - legacySettingCache.fetchedAt < LEGACY_SETTING_CACHE_MS) {
+    return legacySettingCache.value;
+  }
+  const settings = await AppSettings.findOne().select('auth').lean();
+  // Phone auth is off unless an admin switches it on for older app builds
+  const value = settings?.auth?.allowLegacyPhoneAuth === true;
+  legacySettingCache = { value, fetchedAt: now };
+  return value;
+};
+
+/**
+ * Forget the cached transition-mode setting (call after updating it)
+ */
+export const clearAuthSettingsCache = () => {
+  legacySettingCache = { value: null, fetchedAt: 0 };
+};
+
+/**
+ * Normalize a phone value from query/body and look up its user
+ * @param {string|string[]} phone - Raw phone value (may be an array from the query string)
+ * @returns {Promise<object|null>} The user, or null if the phone is invalid or unknown
+ */
+export const getUserFromPhone = async (phone) => {
+  if (!phone) return null;
+  if (Array.isArray(phone)) {
+    phone = phone[0];
+  }
+  const phoneDigits = String(phone).replace(/\D/g, '');
+  if (phoneDigits.length !== 11) return null;
+  return await User.findOne({ phone: phoneDigits });
+};
+
+const getBearerToken = (req) => {
+  const header = req.headers.authorization;
+  if (!header || !header.startsWith('Bearer ')) return null;
+  return header.slice('Bearer '.length).trim() || null;
+};
+
+// Require an authenticated user (bearer token, or phone while transition mode is on)
+export const authenticate = async (req, res, next) => {
+  try {
+    const accessToken = getBearerToken(req);
+
+    if (accessToken) {
+      let claims;
+      try {
+        claims = verifyAccessToken(accessToken);
+      } catch (error) {
+        return res.status(401).json({ message: 'Invalid or expired access token', error: 'INVALID_TOKEN' });
+      }
+
+      // Reject tokens whose session has been signed out
+      const session = await Session.findOne({
+        _id: claims.sessionId,
+        userId: claims.userId,
+        revokedAt: null,
+      });
+      if (!session) {
+        return res.status(401).json({ message: 'Session has expired or was signed out', error: 'SESSION_REVOKED' });
+      }
+
+      const user = await User.findById(claims.userId);
+      if (!user) {
+        return res.status(401).json({ message: 'User not found', error: 'USER_NOT_FOUND' });
+      }
+
+      let staff = null;
+      if (session.staffId || claims.staffId) {
+        staff = await Staff.findOne({ _id: session.staffId, businessId: user._id });
+        if (!staff || String(session.staffId) !== String(claims.staffId)) {
+          return res.status(401).json({ message: 'Session has expired or was signed out', error: 'SESSION_REVOKED' });
+        }
+        if (staff.status !== 'active') {
+          return res.status(403).json({ message: 'This staff account has been disabled', error: 'STAFF_DISABLED' });
+        }
+      }
+
+      if (!session.lastSeenAt || Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_UPDATE_MS) {
+        session.lastSeenAt = new Date();
+        session.ipAddress = req.ip || session.ipAddress;
+        await session.save();
+      }
+
+      req.user = user;
+      req.staff = staff;
+      req.role = staff ? staff.role : 'owner';
+      req.authSession = session;
+      req.authMethod = 'token';
+      return next();
+    }
+
+    const phone = req.query.phone || req.body?.phone;
+    if (phone && await isLegacyPhoneAuthAllowed()) {
+      const user = await getUserFromPhone(phone);
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      req.user = user;
+      req.staff = null;
+      req.role = 'owner';
+      req.authSession = null;
+      req.authMethod = 'phone';
+      return next();
+    }
+
+    return res.status(401).json({ message: 'Authentication required', error: 'AUTH_REQUIRED' });
+  } catch (error) {
+    console.error('Authentication error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Require a bearer token (a phone number alone proves nothing about who is calling)
+export const requireToken = (req, res, next) => {
+  if (req.authMethod !== 'token') {
+    return res.status(401).json({ message: 'Please sign in to do this', error: 'TOKEN_REQUIRED' });
+  }
+  next();
+};
+
+// Require the business owner signed in with a token (staff members can't manage the tailor's own account)
+export const requireOwner = (req, res, next) => {
+  if (req.authMethod !== 'token') {
+    return res.status(401).json({ message: 'Please sign in to do this', error: 'TOKEN_REQUIRED' });
+  }
+  if (req.staff) {
+    return res.status(403).json({ message: 'Only the business owner can do this', error: 'OWNER_ONLY' });
+  }
+  next();
+};
+
+/**
+ * Require a role permission (use after authenticate)
+ * @param {string} permission - e.g. 'orders:delete'
+ * @returns {function} Middleware
+ */
+export const requirePermission = (permission) => (req, res, next) => {
+  if (!hasPermission(req.role || 'owner', permission)) {
+    return res.status(403).json({
+      message: `Your role (${req.role}) is not allowed to do this`,
+      error: 'FORBIDDEN',
+      permission,
+    });
+  }
+  next();
+};
+
+/**
+ * Describe who is acting on a request, for createdBy/updatedBy fields
+ * @param {object} req - Authenticated request
+ * @returns {{ staffId: object|null, name: string, role: string }}
+ */
+export const getActor = (req) => ({
+  staffId: req.staff?._id || null,
+  name: req.staff?.name || req.user?.name || null,
+  role: req.role || 'owner',
+});
+
+export default authenticate;
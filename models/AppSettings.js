@@ -71,6 +71,13 @@ const appSettingsSchema = new mongoose.Schema({
     type: Boolean,
     default: true,
   },
+  auth: {
+    // Transition mode: accept the tailor's phone instead of a bearer token (older app builds, opt-in)
+    allowLegacyPhoneAuth: {
+      type: Boolean,
+      default: false,
+    },
+  },
   subscriptionPackages: {
     plans: [{
       type: {
@@ -215,6 +222,12 @@ appSettingsSchema.statics.updateSettings = async function(updates) {
     if (updates.showSubscription !== undefined) {
       settings.showSubscription = updates.showSubscription;
     }
+    if (updates.auth) {
+      if (updates.auth.allowLegacyPhoneAuth !== undefined) {
+        settings.auth.allowLegacyPhoneAuth = updates.auth.allowLegacyPhoneAuth;
+      }
+      settings.markModified('auth');
+    }
     if (updates.subscriptionPackages) {
       if (updates.subscriptionPackages.plans !== undefined) {
         settings.subscriptionPackages.plans = updates.subscriptionPackages.plans;
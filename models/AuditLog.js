@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+
+// Record of a privileged (admin) action: who did what to which record, and what changed
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    name: {
+      type: String,
+      default: null,
+    },
+    phone: {
+      type: String,
+      default: null,
+    },
+    adminRole: {
+      type: String,
+      default: null,
+    },
+  },
+  // e.g. 'user.update', 'user.subscription.update', 'notification.broadcast'
+  action: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  target: {
+    // e.g. 'user', 'settings', 'subscription_packages'
+    type: {
+      type: String,
+      required: true,
+    },
+    id: {
+      type: String,
+      default: null,
+    },
+    // The tailor account affected, when there is one
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  // Changed fields as { 'path.to.field': { from, to } }
+  changes: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  // Extra details that aren't field changes (e.g. broadcast recipients)
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  ipAddress: {
+    type: String,
+    default: null,
+  },
+  userAgent: {
+    type: String,
+    default: null,
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  strict: true, // Reject any fields not in schema
+  minimize: false,
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ 'actor.userId': 1, createdAt: -1 });
+auditLogSchema.index({ 'target.userId': 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+export default AuditLog;
@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+const authAttemptSchema = new mongoose.Schema({
+  // e.g. 'login:phone:08012345678' or 'login:ip:203.0.113.7'
+  key: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  failures: {
+    type: Number,
+    default: 0,
+  },
+  lockedUntil: {
+    type: Date,
+    default: null,
+  },
+  lastFailureAt: {
+    type: Date,
+    default: null,
+  },
+  // Counters are forgotten once there have been no failures for a while
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+}, {
+  timestamps: true,
+  strict: true, // Reject any fields not in schema
+});
+
+authAttemptSchema.index({ key: 1 }, { unique: true });
+authAttemptSchema.index({ lockedUntil: 1 });
+authAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AuthAttempt = mongoose.model('AuthAttempt', authAttemptSchema);
+
+export default AuthAttempt;
@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+
+// History of welcome-screen image changes, so an admin can see who changed what and revert it
+const brandingChangeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    enum: ['backgroundImage', 'logo'],
+    required: true,
+  },
+  action: {
+    type: String,
+    enum: ['upload', 'revert'],
+    required: true,
+  },
+  previousValue: {
+    type: String,
+    default: null,
+  },
+  newValue: {
+    type: String,
+    default: null,
+  },
+  changedBy: {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    name: {
+      type: String,
+      default: null,
+    },
+    phone: {
+      type: String,
+      default: null,
+    },
+    adminRole: {
+      type: String,
+      default: null,
+    },
+  },
+  // For reverts: the change that was undone
+  revertedChangeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BrandingChange',
+    default: null,
+  },
+}, {
+  timestamps: true,
+  strict: true, // Reject any fields not in schema
+});
+
+brandingChangeSchema.index({ field: 1, createdAt: -1 });
+
+const BrandingChange = mongoose.model('BrandingChange', brandingChangeSchema);
+
+export default BrandingChange;
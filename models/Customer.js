@@ -1,4 +1,35 @@
 import mongoose from 'mongoose';
+import softDeletePlugin from './softDelete.js';
+import actorSchema from './actorSchema.js';
+
+// Tags: trimmed, inner spaces collapsed, duplicates dropped (order kept)
+export const MAX_TAGS = 20;
+export const MAX_TAG_LENGTH = 30;
+export const normalizeTag = (tag) => String(tag ?? '').trim().replace(/\s+/g, ' ');
+const normalizeTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : [tags];
+  return [...new Set(list.map(normalizeTag).filter(Boolean))];
+};
+
+// A timestamped note about a customer ("prefers slim fit", "always pays late")
+const noteSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 1000,
+  },
+  createdBy: {
+    type: actorSchema,
+    default: null,
+  },
+  updatedBy: {
+    type: actorSchema,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
 
 const customerSchema = new mongoose.Schema({
   userId: {
@@ -31,6 +62,59 @@ const customerSchema = new mongoose.Schema({
     type: String,
     default: null,
   },
+  // Optional dates for birthday/anniversary reminders - only the month and day are used when
+  // the customer doesn't want to share the year
+  birthday: {
+    type: Date,
+    default: null,
+    validate: {
+      validator: (v) => !v || v <= new Date(),
+      message: 'Birthday cannot be in the future',
+    },
+  },
+  anniversary: {
+    type: Date,
+    default: null,
+    validate: {
+      validator: (v) => !v || v <= new Date(),
+      message: 'Anniversary cannot be in the future',
+    },
+  },
+  // The tailor's own labels (VIP, late payer, ...) - managed per tailor via /api/customers/tags
+  tags: {
+    type: [String],
+    default: [],
+    set: normalizeTags,
+    validate: [
+      {
+        validator: (tags) => tags.length <= MAX_TAGS,
+        message: `A customer can have at most ${MAX_TAGS} tags`,
+      },
+      {
+        validator: (tags) => tags.every(tag => tag.length <= MAX_TAG_LENGTH),
+        message: `Tags can be at most ${MAX_TAG_LENGTH} characters`,
+      },
+    ],
+  },
+  // Added and edited through /api/customers/:id/notes
+  notes: {
+    type: [noteSchema],
+    default: [],
+  },
+  // Set when the customer is deleted with their records kept (see services/customerDeletionService.js);
+  // archived customers are left out of the customer list
+  archivedAt: {
+    type: Date,
+    default: null,
+  },
+  createdBy: {
+    type: actorSchema,
+    default: null,
+  },
+  updatedBy: {
+    type: actorSchema,
+    default: null,
+  },
 }, {
   timestamps: true,
   strict: true, // Reject any fields not in schema
@@ -38,6 +122,22 @@ const customerSchema = new mongoose.Schema({
 
 // Create index on userId for better query performance
 customerSchema.index({ userId: 1 });
+// Customer list sorting and cursor pagination (GET /api/customers)
+customerSchema.index({ userId: 1, createdAt: -1, _id: -1 });
+customerSchema.index({ userId: 1, updatedAt: -1, _id: -1 });
+customerSchema.index({ userId: 1, name: 1, _id: 1 });
+// Gender filter
+customerSchema.index({ userId: 1, gender: 1, createdAt: -1 });
+// Phone lookups
+customerSchema.index({ userId: 1, phone: 1 });
+// Tag filter and tag management
+customerSchema.index({ userId: 1, tags: 1 });
+// Birthday/anniversary reminders only look at customers who have the dates
+customerSchema.index({ birthday: 1 }, { partialFilterExpression: { birthday: { $type: 'date' } } });
+customerSchema.index({ anniversary: 1 }, { partialFilterExpression: { anniversary: { $type: 'date' } } });
+
+// Deleted records go to the trash first (see softDelete.js)
+customerSchema.plugin(softDeletePlugin);
 
 const Customer = mongoose.model('Customer', customerSchema);
 
@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+
+// A ZIP export of a tailor's business data (GET /api/auth/export), built in the background
+const dataExportSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'ready', 'failed', 'expired'],
+    default: 'pending',
+  },
+  // Who asked for the export (the owner; staff can't export)
+  requestedBy: {
+    name: {
+      type: String,
+      default: null,
+    },
+    ipAddress: {
+      type: String,
+      default: null,
+    },
+  },
+  // Location of the ZIP in R2 - never sent to clients, downloads go through the API
+  fileUrl: {
+    type: String,
+    default: null,
+    select: false,
+  },
+  fileName: {
+    type: String,
+    default: null,
+  },
+  size: {
+    type: Number,
+    default: null,
+  },
+  // Number of records of each kind in the export
+  counts: {
+    customers: { type: Number, default: 0 },
+    orders: { type: Number, default: 0 },
+    measurements: { type: Number, default: 0 },
+    notifications: { type: Number, default: 0 },
+    payments: { type: Number, default: 0 },
+    images: { type: Number, default: 0 },
+    missingImages: { type: Number, default: 0 },
+  },
+  startedAt: {
+    type: Date,
+    default: null,
+  },
+  completedAt: {
+    type: Date,
+    default: null,
+  },
+  // The download link works until then; the file is deleted afterwards
+  expiresAt: {
+    type: Date,
+    default: null,
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  error: {
+    type: String,
+    default: null,
+  },
+}, {
+  timestamps: true,
+  strict: true, // Reject any fields not in schema
+});
+
+dataExportSchema.index({ userId: 1, createdAt: -1 });
+dataExportSchema.index({ status: 1, expiresAt: 1 });
+
+const DataExport = mongoose.model('DataExport', dataExportSchema);
+
+export default DataExport;
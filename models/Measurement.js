@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import softDeletePlugin from './softDelete.js';
+import { MEASUREMENT_UNITS } from '../utils/measurementUnits.js';
 
 const measurementSchema = new mongoose.Schema({
   customerId: {
@@ -21,6 +23,19 @@ const measurementSchema = new mongoose.Schema({
     of: Number,
     default: {},
   },
+  // Unit the values were taken in; null on records saved before units existed, which are read in
+  // the tailor's default unit (User.measurementUnit)
+  unit: {
+    type: String,
+    enum: MEASUREMENT_UNITS,
+    default: null,
+  },
+  // Built-in template id (e.g. 'agbada-male') or a MeasurementTemplate _id; null for free-form
+  // measurements. Values are checked against it when saved.
+  template: {
+    type: String,
+    default: null,
+  },
   photoReference: {
     type: String,
     default: null,
@@ -34,6 +49,9 @@ const measurementSchema = new mongoose.Schema({
 measurementSchema.index({ userId: 1 });
 measurementSchema.index({ customerId: 1 });
 
+// Deleted records go to the trash first (see softDelete.js)
+measurementSchema.plugin(softDeletePlugin);
+
 const Measurement = mongoose.model('Measurement', measurementSchema);
 
 export default Measurement;
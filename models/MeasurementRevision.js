@@ -0,0 +1,86 @@
+import mongoose from 'mongoose';
+import actorSchema from './actorSchema.js';
+
+// One saved version of a measurement: a new revision is added on every create, update and
+// restore, and its values are never changed (see services/measurementHistoryService.js)
+const measurementRevisionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    immutable: true,
+  },
+  measurementId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Measurement',
+    required: true,
+    immutable: true,
+  },
+  // Follows the measurement when customers are merged
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true,
+  },
+  // 1 for the first version of a measurement, then counting up
+  version: {
+    type: Number,
+    required: true,
+    immutable: true,
+  },
+  // create, update, restore - or baseline for the values a measurement had before history was kept
+  reason: {
+    type: String,
+    enum: ['create', 'update', 'restore', 'baseline'],
+    required: true,
+    immutable: true,
+  },
+  // Version that was restored (reason restore)
+  restoredFrom: {
+    type: Number,
+    default: null,
+    immutable: true,
+  },
+  category: {
+    type: String,
+    required: true,
+    immutable: true,
+  },
+  measurements: {
+    type: Map,
+    of: Number,
+    default: {},
+    immutable: true,
+  },
+  unit: {
+    type: String,
+    default: null,
+    immutable: true,
+  },
+  template: {
+    type: String,
+    default: null,
+    immutable: true,
+  },
+  // When these values became the measurement's values
+  takenAt: {
+    type: Date,
+    required: true,
+    immutable: true,
+  },
+  createdBy: {
+    type: actorSchema,
+    default: null,
+    immutable: true,
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  strict: true, // Reject any fields not in schema
+});
+
+measurementRevisionSchema.index({ measurementId: 1, version: 1 }, { unique: true });
+measurementRevisionSchema.index({ userId: 1, customerId: 1, category: 1, takenAt: 1 });
+
+const MeasurementRevision = mongoose.model('MeasurementRevision', measurementRevisionSchema);
+
+export default MeasurementRevision;
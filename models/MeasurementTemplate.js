@@ -0,0 +1,93 @@
+import mongoose from 'mongoose';
+import { MEASUREMENT_UNITS } from '../utils/measurementUnits.js';
+
+// A measurement on a custom template; key is camelCase and unique within the template
+const templateFieldSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    trim: true,
+    match: [/^[a-zA-Z][a-zA-Z0-9]*$/, 'Field keys must be letters and digits, starting with a letter'],
+    maxlength: 40,
+  },
+  label: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 60,
+  },
+  required: {
+    type: Boolean,
+    default: true,
+  },
+  // Plausible range in the template's unit; values outside it are saved with a warning
+  min: {
+    type: Number,
+    min: 0,
+    default: null,
+  },
+  max: {
+    type: Number,
+    default: null,
+    validate: {
+      validator: function(v) {
+        return v === null || this.min === null || v > this.min;
+      },
+      message: 'max must be greater than min',
+    },
+  },
+}, { _id: false });
+
+// A tailor's own measurement template (built-in ones are in config/measurementTemplates.js)
+const measurementTemplateSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 60,
+  },
+  garment: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: null,
+  },
+  gender: {
+    type: String,
+    enum: ['male', 'female', 'unisex'],
+    default: 'unisex',
+  },
+  // Unit of the fields' min and max (set to the tailor's unit when the template is created)
+  unit: {
+    type: String,
+    enum: [...MEASUREMENT_UNITS, null],
+    default: null,
+  },
+  fields: {
+    type: [templateFieldSchema],
+    validate: [
+      {
+        validator: (fields) => fields.length > 0 && fields.length <= 50,
+        message: 'A template needs between 1 and 50 fields',
+      },
+      {
+        validator: (fields) => new Set(fields.map(f => f.key.toLowerCase())).size === fields.length,
+        message: 'Field keys must be unique',
+      },
+    ],
+  },
+}, {
+  timestamps: true,
+  strict: true, // Reject any fields not in schema
+});
+
+measurementTemplateSchema.index({ userId: 1, name: 1 });
+
+const MeasurementTemplate = mongoose.model('MeasurementTemplate', measurementTemplateSchema);
+
+export default MeasurementTemplate;
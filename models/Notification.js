@@ -26,6 +26,7 @@ const notificationSchema = new mongoose.Schema({
       'eid_al_fitr',
       'eid_al_adha',
       'valentine',
+      'data_export',
     ],
     required: true,
   },
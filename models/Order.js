@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import softDeletePlugin from './softDelete.js';
+import actorSchema from './actorSchema.js';
 
 const orderSchema = new mongoose.Schema({
   userId: {
@@ -62,6 +64,14 @@ const orderSchema = new mongoose.Schema({
     required: true,
     default: 0,
   },
+  createdBy: {
+    type: actorSchema,
+    default: null,
+  },
+  updatedBy: {
+    type: actorSchema,
+    default: null,
+  },
 }, {
   timestamps: true,
   strict: true, // Reject any fields not in schema
@@ -69,6 +79,11 @@ const orderSchema = new mongoose.Schema({
 
 // Create index on userId for better query performance
 orderSchema.index({ userId: 1 });
+// Orders of a customer (balances before deleting a customer, cascades)
+orderSchema.index({ customerId: 1 });
+
+// Deleted records go to the trash first (see softDelete.js)
+orderSchema.plugin(softDeletePlugin);
 
 const Order = mongoose.model('Order', orderSchema);
 
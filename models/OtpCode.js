@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+const otpCodeSchema = new mongoose.Schema({
+  phone: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  purpose: {
+    type: String,
+    enum: ['phone_verification', 'password_reset', 'account_deletion'],
+    required: true,
+  },
+  // Only a hash of the code is stored
+  codeHash: {
+    type: String,
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  consumedAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+  strict: true, // Reject any fields not in schema
+});
+
+otpCodeSchema.index({ phone: 1, purpose: 1, createdAt: -1 });
+// Let MongoDB remove codes once they have expired
+otpCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const OtpCode = mongoose.model('OtpCode', otpCodeSchema);
+
+export default OtpCode;
@@ -0,0 +1,144 @@
+import mongoose from 'mongoose';
+
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Set when a staff member is signed in on behalf of the business (userId); null for the owner
+  staffId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff',
+    default: null,
+  },
+  // Only a SHA-256 hash of the refresh token is stored, never the token itself
+  refreshTokenHash: {
+    type: String,
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  // Device the session was started from
+  platform: {
+    type: String,
+    trim: true,
+    default: null,
+  },
+  appVersion: {
+    type: String,
+    trim: true,
+    default: null,
+  },
+  deviceName: {
+    type: String,
+    trim: true,
+    default: null,
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+    default: null,
+  },
+  ipAddress: {
+    type: String,
+    default: null,
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Push notifications are delivered per device, so the token lives on the session
+  pushNotificationToken: {
+    type: String,
+    trim: true,
+    default: null,
+  },
+}, {
+  timestamps: true,
+  strict: true, // Reject any fields not in schema
+});
+
+sessionSchema.index({ userId: 1 });
+sessionSchema.index({ staffId: 1 });
+sessionSchema.index({ refreshTokenHash: 1 }, { unique: true });
+// Let MongoDB remove sessions once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Find all sessions of a user that have not been signed out or expired
+// staffId narrows the list to one person: null for the owner's own devices, undefined for everyone
+sessionSchema.statics.findActiveForUser = function(userId, staffId = undefined) {
+  const filter = {
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  };
+  if (staffId !== undefined) {
+    filter.staffId = staffId;
+  }
+  return this.find(filter);
+};
+
+// Sign out every active session of a user, optionally keeping one (e.g. the current device)
+// staffId works as in findActiveForUser
+sessionSchema.statics.revokeAllForUser = async function(userId, exceptSessionId = null, staffId = undefined) {
+  const filter = {
+    userId,
+    revokedAt: null,
+  };
+  if (staffId !== undefined) {
+    filter.staffId = staffId;
+  }
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+  const result = await this.updateMany(filter, { revokedAt: new Date(), pushNotificationToken: null });
+  return result.modifiedCount;
+};
+
+// Sign out every active session of a staff member
+sessionSchema.statics.revokeAllForStaff = async function(staffId) {
+  const result = await this.updateMany(
+    { staffId, revokedAt: null },
+    { revokedAt: new Date(), pushNotificationToken: null }
+  );
+  return result.modifiedCount;
+};
+
+// Collect push tokens from the active sessions of the given users
+sessionSchema.statics.findPushTokens = async function(userIds) {
+  const sessions = await this.find({
+    userId: { $in: userIds },
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+    pushNotificationToken: { $nin: [null, ''] },
+  }).select('pushNotificationToken').lean();
+  return sessions.map(session => session.pushNotificationToken);
+};
+
+// Shape a session for the device list (never exposes the refresh token hash)
+sessionSchema.methods.toDeviceJSON = function(currentSessionId = null) {
+  return {
+    id: this._id,
+    platform: this.platform,
+    appVersion: this.appVersion,
+    deviceName: this.deviceName,
+    userAgent: this.userAgent,
+    ipAddress: this.ipAddress,
+    lastSeenAt: this.lastSeenAt,
+    createdAt: this.createdAt,
+    staffId: this.staffId || null,
+    hasPushToken: !!this.pushNotificationToken,
+    current: !!currentSessionId && this._id.toString() === currentSessionId.toString(),
+  };
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
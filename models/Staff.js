@@ -0,0 +1,101 @@
+import mongoose from 'mongoose';
+import bcrypt from 'bcryptjs';
+import { STAFF_ROLES } from '../config/staffRoles.js';
+
+const staffSchema = new mongoose.Schema({
+  // The tailor (owner) account this staff member works for
+  businessId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  phone: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    validate: {
+      validator: function(v) {
+        // Remove non-digits and check if exactly 11 digits
+        const digits = v.replace(/\D/g, '');
+        return digits.length === 11;
+      },
+      message: 'Phone number must be exactly 11 digits'
+    }
+  },
+  // Set when the invitation is accepted
+  password: {
+    type: String,
+    minlength: 6,
+  },
+  role: {
+    type: String,
+    enum: STAFF_ROLES,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['invited', 'active', 'disabled'],
+    default: 'invited',
+  },
+  // Only a hash of the invitation code is stored
+  inviteCodeHash: {
+    type: String,
+    default: null,
+  },
+  inviteExpiresAt: {
+    type: Date,
+    default: null,
+  },
+  invitedAt: {
+    type: Date,
+  },
+  acceptedAt: {
+    type: Date,
+  },
+  lastLoginAt: {
+    type: Date,
+  },
+}, {
+  timestamps: true,
+  strict: true, // Reject any fields not in schema
+});
+
+staffSchema.index({ businessId: 1 });
+
+// Hash password before saving
+staffSchema.pre('save', async function(next) {
+  if (!this.isModified('password') || !this.password) {
+    return next();
+  }
+  try {
+    const salt = await bcrypt.genSalt(10);
+    this.password = await bcrypt.hash(this.password, salt);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Compare password method
+staffSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password) return false;
+  return await bcrypt.compare(candidatePassword, this.password);
+};
+
+// Remove secrets from JSON output
+staffSchema.methods.toJSON = function() {
+  const obj = this.toObject();
+  delete obj.password;
+  delete obj.inviteCodeHash;
+  return obj;
+};
+
+const Staff = mongoose.model('Staff', staffSchema);
+
+export default Staff;
@@ -1,5 +1,7 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { ADMIN_ROLES } from '../config/adminRoles.js';
+import { MEASUREMENT_UNITS, DEFAULT_UNIT } from '../utils/measurementUnits.js';
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -30,6 +32,13 @@ const userSchema = new mongoose.Schema({
       message: 'Phone number must be exactly 11 digits'
     }
   },
+  phoneVerified: {
+    type: Boolean,
+    default: false,
+  },
+  phoneVerifiedAt: {
+    type: Date,
+  },
   businessName: {
     type: String,
     required: true,
@@ -85,21 +94,75 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true,
   },
+  // Legacy single-device token - token-authenticated devices store theirs on their Session
   pushNotificationToken: {
     type: String,
     trim: true,
   },
+  // Optional SMS greetings sent to customers on their birthday/anniversary
+  // Messages may use {name} (customer) and {business} (this tailor); defaults are used when empty
+  customerGreetings: {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    birthdayMessage: {
+      type: String,
+      trim: true,
+      maxlength: 300,
+      default: null,
+    },
+    anniversaryMessage: {
+      type: String,
+      trim: true,
+      maxlength: 300,
+      default: null,
+    },
+  },
+  // Unit new measurements are taken in, unless the app sends one
+  measurementUnit: {
+    type: String,
+    enum: MEASUREMENT_UNITS,
+    default: DEFAULT_UNIT,
+  },
   // Language preference
   language: {
     type: String,
     enum: ['en', 'yo', 'ig', 'ha', 'pidgin'],
     default: 'en',
   },
+  // Account lifecycle - pending_deletion accounts are purged after deletionScheduledFor
+  accountStatus: {
+    type: String,
+    enum: ['active', 'pending_deletion'],
+    default: 'active',
+  },
+  deletionRequestedAt: {
+    type: Date,
+  },
+  deletionScheduledFor: {
+    type: Date,
+  },
+  // Brute-force protection - failed logins for this account and the current lockout
+  failedLoginCount: {
+    type: Number,
+    default: 0,
+  },
+  lockedUntil: {
+    type: Date,
+    default: null,
+  },
   // Admin flag
   isAdmin: {
     type: Boolean,
     default: false,
   },
+  // Admin role (see config/adminRoles.js) - admins without one are super admins
+  adminRole: {
+    type: String,
+    enum: [...ADMIN_ROLES, null],
+    default: null,
+  },
 }, {
   timestamps: true,
 });
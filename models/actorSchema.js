@@ -0,0 +1,20 @@
+import mongoose from 'mongoose';
+
+// Who made a change: the owner (staffId null) or one of their staff, as returned by getActor
+const actorSchema = new mongoose.Schema({
+  staffId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff',
+    default: null,
+  },
+  name: {
+    type: String,
+    default: null,
+  },
+  role: {
+    type: String,
+    default: 'owner',
+  },
+}, { _id: false });
+
+export default actorSchema;
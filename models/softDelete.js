@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+import actorSchema from './actorSchema.js';
+
+/**
+ * Soft delete plugin for Customer, Order and Measurement
+ *
+ * Deleted records get a deletedAt date and stay in the trash (GET /api/trash) until they are
+ * restored or purged by the scheduled job. Reads and updates leave them out automatically, unless
+ * the filter mentions deletedAt itself (the trash) or the query has the withDeleted option
+ * (account deletion, purging). deleteOne/deleteMany always see every record.
+ */
+
+const FILTERED_QUERIES = [
+  'find',
+  'findOne',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'findOneAndDelete',
+  'countDocuments',
+  'updateOne',
+  'updateMany',
+];
+
+const softDeletePlugin = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: actorSchema,
+      default: null,
+    },
+    // The customer whose deletion took this record along - restoring the customer restores it too
+    deletedWith: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer',
+      default: null,
+    },
+  });
+
+  schema.index({ userId: 1, deletedAt: 1 });
+
+  schema.pre(FILTERED_QUERIES, function excludeDeleted() {
+    if (this.getOptions().withDeleted || Object.prototype.hasOwnProperty.call(this.getFilter(), 'deletedAt')) {
+      return;
+    }
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre('aggregate', function excludeDeletedFromAggregate() {
+    const [firstStage] = this.pipeline();
+    if (this.options.withDeleted || (firstStage?.$match && 'deletedAt' in firstStage.$match)) {
+      return;
+    }
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  });
+};
+
+export default softDeletePlugin;
@@ -1,10 +1,21 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import multer from 'multer';
 import User from '../models/User.js';
 import Notification from '../models/Notification.js';
 import AppSettings from '../models/AppSettings.js';
+import Session from '../models/Session.js';
+import BrandingChange from '../models/BrandingChange.js';
+import AuditLog from '../models/AuditLog.js';
 import { uploadToS3, deleteFromS3, convertToPublicUrl } from '../services/s3Service.js';
+import { detectImageType } from '../utils/imageType.js';
+import { escapeRegex } from '../utils/escapeRegex.js';
 import { sendPushNotifications } from '../services/pushNotificationService.js';
+import { recordAudit } from '../services/auditLogService.js';
+import { listAttempts, clearAttemptKey, clearAttemptsForPhone } from '../services/attemptLimiter.js';
+import { authenticate, requireToken, clearAuthSettingsCache } from '../middleware/auth.js';
+import { allowFields } from '../middleware/allowFields.js';
+import { ADMIN_ROLES, getAdminRole, hasAdminPermission, getAdminRolePermissions } from '../config/adminRoles.js';
 
 const router = express.Router();
 
@@ -15,42 +26,200 @@ const upload = multer({
   limits: {
     fileSize: 10 * 1024 * 1024, // 10MB limit
   },
-  fileFilter: (req, file, cb) => {
-    if (file.mimetype.startsWith('image/')) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only image files are allowed'), false);
-    }
-  },
+  // File type is checked from the file contents after upload (see utils/imageType.js)
+});
+
+// Middleware to check if the authenticated user is an admin whose role has the permission
+// (see config/adminRoles.js for the permission matrix)
+// Admin routes never accept the legacy phone auth, only a signed in admin's token
+const requireAdmin = (permission) => [authenticate, requireToken, (req, res, next) => {
+  // Staff tokens act on a business, never with its owner's admin rights
+  const adminRole = req.staff ? null : getAdminRole(req.user);
+  if (!adminRole) {
+    return res.status(403).json({ message: 'Access denied. Admin privileges required.' });
+  }
+  if (permission && !hasAdminPermission(adminRole, permission)) {
+    return res.status(403).json({
+      message: `Access denied. Your admin role (${adminRole}) is not allowed to do this.`,
+      error: 'FORBIDDEN',
+      permission,
+    });
+  }
+
+  req.adminUser = req.user;
+  req.adminRole = adminRole;
+  next();
+}];
+
+const formatAdmin = (user) => ({
+  _id: user._id,
+  name: user.name,
+  phone: user.phone,
+  adminRole: getAdminRole(user),
+  createdAt: user.createdAt,
+});
+
+// Current admin's role and permissions (lets the dashboard hide what it can't do)
+router.get('/me', requireAdmin(), async (req, res) => {
+  res.json({
+    ...formatAdmin(req.adminUser),
+    permissions: getAdminRolePermissions(req.adminRole),
+  });
+});
+
+// List admins
+router.get('/admins', requireAdmin('admins:manage'), async (req, res) => {
+  try {
+    const admins = await User.find({ isAdmin: true }).sort({ createdAt: 1 });
+    res.json({
+      roles: ADMIN_ROLES.map(role => ({ role, permissions: getAdminRolePermissions(role) })),
+      admins: admins.map(formatAdmin),
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
 });
 
-// Middleware to check if user is admin
-const isAdmin = async (req, res, next) => {
+// Count super admins (admins without a role are super admins too)
+const countSuperAdmins = async () => {
+  return await User.countDocuments({
+    isAdmin: true,
+    adminRole: { $in: ['super_admin', null] },
+  });
+};
+
+// Add an admin: promotes the user with this phone, or creates an admin account when none exists
+router.post('/admins', requireAdmin('admins:manage'), async (req, res) => {
   try {
-    const phone = req.body.phone || req.query.phone;
-    if (!phone) {
-      return res.status(400).json({ message: 'Phone is required' });
+    const { phone, role, name, password } = req.body;
+
+    if (!phone || !role) {
+      return res.status(400).json({ message: 'Phone and role are required' });
+    }
+    if (!ADMIN_ROLES.includes(role)) {
+      return res.status(400).json({ message: `Role must be one of: ${ADMIN_ROLES.join(', ')}` });
     }
 
-    const phoneDigits = phone.replace(/\D/g, '');
+    const phoneDigits = String(phone).replace(/\D/g, '');
     if (phoneDigits.length !== 11) {
       return res.status(400).json({ message: 'Phone number must be exactly 11 digits' });
     }
 
-    const user = await User.findOne({ phone: phoneDigits });
-    if (!user || !user.isAdmin) {
-      return res.status(403).json({ message: 'Access denied. Admin privileges required.' });
+    let user = await User.findOne({ phone: phoneDigits });
+    if (user?.isAdmin) {
+      return res.status(400).json({ message: 'This user is already an admin' });
     }
 
-    req.adminUser = user;
-    next();
+    const before = user ? formatAdmin(user) : null;
+    if (user) {
+      user.isAdmin = true;
+      user.adminRole = role;
+    } else {
+      if (!name || !password) {
+        return res.status(400).json({ message: 'Name and password are required to create a new admin account' });
+      }
+      if (password.length < 6) {
+        return res.status(400).json({ message: 'Password must be at least 6 characters long' });
+      }
+      user = new User({
+        phone: phoneDigits,
+        password,
+        name,
+        businessName: name,
+        address: 'Admin',
+        isAdmin: true,
+        adminRole: role,
+        subscriptionType: 'yearly',
+        subscriptionStatus: 'active',
+      });
+    }
+    await user.save();
+    await recordAudit(req, {
+      action: 'admin.add',
+      targetType: 'user',
+      targetId: user._id,
+      targetUserId: user._id,
+      before,
+      after: formatAdmin(user),
+      metadata: { createdAccount: !before },
+    });
+
+    res.status(201).json({ message: 'Admin added successfully', admin: formatAdmin(user) });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Change an admin's role
+router.put('/admins/:id', requireAdmin('admins:manage'), async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!ADMIN_ROLES.includes(role)) {
+      return res.status(400).json({ message: `Role must be one of: ${ADMIN_ROLES.join(', ')}` });
+    }
+
+    const user = await User.findOne({ _id: req.params.id, isAdmin: true });
+    if (!user) {
+      return res.status(404).json({ message: 'Admin not found' });
+    }
+
+    // Never leave the app without a super admin
+    if (getAdminRole(user) === 'super_admin' && role !== 'super_admin' && await countSuperAdmins() <= 1) {
+      return res.status(400).json({ message: 'Cannot change the role of the last super admin' });
+    }
+
+    const before = formatAdmin(user);
+    user.adminRole = role;
+    await user.save();
+    await recordAudit(req, {
+      action: 'admin.role.update',
+      targetType: 'user',
+      targetId: user._id,
+      targetUserId: user._id,
+      before,
+      after: formatAdmin(user),
+    });
+    res.json({ message: 'Admin role updated successfully', admin: formatAdmin(user) });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Remove admin rights (the user account itself is kept)
+router.delete('/admins/:id', requireAdmin('admins:manage'), async (req, res) => {
+  try {
+    const user = await User.findOne({ _id: req.params.id, isAdmin: true });
+    if (!user) {
+      return res.status(404).json({ message: 'Admin not found' });
+    }
+
+    if (user._id.equals(req.adminUser._id)) {
+      return res.status(400).json({ message: 'You cannot remove your own admin rights' });
+    }
+    if (getAdminRole(user) === 'super_admin' && await countSuperAdmins() <= 1) {
+      return res.status(400).json({ message: 'Cannot remove the last super admin' });
+    }
+
+    const before = formatAdmin(user);
+    user.isAdmin = false;
+    user.adminRole = null;
+    await user.save();
+    await recordAudit(req, {
+      action: 'admin.remove',
+      targetType: 'user',
+      targetId: user._id,
+      targetUserId: user._id,
+      before,
+      after: formatAdmin(user),
+    });
+    res.json({ message: 'Admin rights removed successfully' });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
-};
+});
 
 // Get all users
-router.get('/users', isAdmin, async (req, res) => {
+router.get('/users', requireAdmin('users:read'), async (req, res) => {
   try {
     const users = await User.find({ isAdmin: { $ne: true } })
       .select('-password')
@@ -71,7 +240,7 @@ router.get('/users', isAdmin, async (req, res) => {
 });
 
 // Get single user
-router.get('/users/:id', isAdmin, async (req, res) => {
+router.get('/users/:id', requireAdmin('users:read'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id).select('-password');
     if (!user) {
@@ -89,20 +258,33 @@ router.get('/users/:id', isAdmin, async (req, res) => {
 });
 
 // Update user
-router.put('/users/:id', isAdmin, async (req, res) => {
+// Phone can't be changed; subscriptions, lockouts and admin rights have their own routes
+router.put('/users/:id', requireAdmin('users:update'), allowFields('user.admin'), async (req, res) => {
   try {
-    const { phone } = req.body;
-    delete req.body.phone; // Don't allow phone update through this route
+    // Only super admins may edit other admins' accounts
+    const target = await User.findById(req.params.id).select('-password');
+    if (target?.isAdmin && !hasAdminPermission(req.adminRole, 'admins:manage')) {
+      return res.status(403).json({ message: 'Access denied. Only super admins can edit admin accounts.', error: 'FORBIDDEN' });
+    }
     
     const user = await User.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      req.fields,
       { new: true, runValidators: true }
     ).select('-password');
     
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
+
+    await recordAudit(req, {
+      action: 'user.update',
+      targetType: 'user',
+      targetId: user._id,
+      targetUserId: user._id,
+      before: target,
+      after: user,
+    });
     
     const userJson = user.toJSON();
     if (userJson.profileImage) {
@@ -115,14 +297,18 @@ router.put('/users/:id', isAdmin, async (req, res) => {
 });
 
 // Delete user
-router.delete('/users/:id', isAdmin, async (req, res) => {
+router.delete('/users/:id', requireAdmin('users:delete'), async (req, res) => {
   try {
-    const { phone } = req.query;
     const user = await User.findById(req.params.id);
     
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
+
+    // Admin accounts lose their admin rights through /admins before they can be deleted
+    if (user.isAdmin) {
+      return res.status(400).json({ message: 'Remove this user\'s admin rights before deleting the account' });
+    }
     
     // Delete profile image from S3 if exists
     if (user.profileImage) {
@@ -134,14 +320,98 @@ router.delete('/users/:id', isAdmin, async (req, res) => {
     }
     
     await User.findByIdAndDelete(req.params.id);
+    await recordAudit(req, {
+      action: 'user.delete',
+      targetType: 'user',
+      targetId: user._id,
+      targetUserId: user._id,
+      before: user,
+      metadata: { phone: user.phone, businessName: user.businessName },
+    });
     res.json({ message: 'User deleted successfully' });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
+// Get brute-force lockouts (locked accounts and attempt counters per phone/IP)
+router.get('/lockouts', requireAdmin('lockouts:read'), async (req, res) => {
+  try {
+    const { lockedOnly } = req.query;
+
+    let attempts = await listAttempts();
+    if (lockedOnly === 'true') {
+      attempts = attempts.filter(attempt => attempt.locked);
+    }
+
+    const lockedUsers = await User.find({ lockedUntil: { $gt: new Date() } })
+      .select('name businessName phone failedLoginCount lockedUntil')
+      .sort({ lockedUntil: -1 });
+
+    res.json({
+      attempts,
+      lockedUsers,
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Clear a single attempt counter (key from GET /lockouts)
+router.delete('/lockouts/:key', requireAdmin('lockouts:manage'), async (req, res) => {
+  try {
+    await clearAttemptKey(req.params.key);
+    await recordAudit(req, {
+      action: 'lockout.clear',
+      targetType: 'attempt_counter',
+      targetId: req.params.key,
+    });
+    res.json({ message: 'Lockout cleared successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Unlock a user account (clears the account lockout and all phone counters)
+router.post('/users/:id/unlock', requireAdmin('lockouts:manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const before = { failedLoginCount: user.failedLoginCount, lockedUntil: user.lockedUntil };
+    user.failedLoginCount = 0;
+    user.lockedUntil = null;
+    await user.save();
+    await clearAttemptsForPhone(user.phone);
+    await recordAudit(req, {
+      action: 'user.unlock',
+      targetType: 'user',
+      targetId: user._id,
+      targetUserId: user._id,
+      before,
+      after: { failedLoginCount: user.failedLoginCount, lockedUntil: user.lockedUntil },
+    });
+
+    res.json({ message: 'User unlocked successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Subscription fields of a user, for the audit log
+const getSubscriptionSnapshot = (user) => ({
+  subscriptionType: user.subscriptionType,
+  subscriptionStatus: user.subscriptionStatus,
+  subscriptionStartDate: user.subscriptionStartDate,
+  subscriptionEndDate: user.subscriptionEndDate,
+  trialStartDate: user.trialStartDate,
+  trialEndDate: user.trialEndDate,
+});
+
 // Update user subscription
-router.put('/users/:id/subscription', isAdmin, async (req, res) => {
+router.put('/users/:id/subscription', requireAdmin('users:update_subscription'), async (req, res) => {
   try {
     const { subscriptionType, subscriptionStatus, subscriptionStartDate, subscriptionEndDate } = req.body;
     
@@ -149,6 +419,7 @@ router.put('/users/:id/subscription', isAdmin, async (req, res) => {
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
+    const before = getSubscriptionSnapshot(user);
     
     // If subscription type is being changed, calculate dates automatically
     if (subscriptionType && subscriptionType !== user.subscriptionType) {
@@ -229,6 +500,14 @@ router.put('/users/:id/subscription', isAdmin, async (req, res) => {
     }
     
     await user.save();
+    await recordAudit(req, {
+      action: 'user.subscription.update',
+      targetType: 'user',
+      targetId: user._id,
+      targetUserId: user._id,
+      before,
+      after: getSubscriptionSnapshot(user),
+    });
     
     const userJson = user.toJSON();
     if (userJson.profileImage) {
@@ -241,7 +520,7 @@ router.put('/users/:id/subscription', isAdmin, async (req, res) => {
 });
 
 // Get subscription packages/pricing
-router.get('/subscription/packages', isAdmin, async (req, res) => {
+router.get('/subscription/packages', requireAdmin('subscription_packages:read'), async (req, res) => {
   try {
     const settings = await AppSettings.getSettings();
     const settingsObj = settings.toObject();
@@ -266,8 +545,19 @@ router.get('/subscription/packages', isAdmin, async (req, res) => {
   }
 });
 
+// Pricing without subdocument ids (they change on every save), for the audit log
+const getPackagesSnapshot = (settingsObj) => ({
+  plans: (settingsObj.subscriptionPackages?.plans || []).map(({ type, name, price, duration, savings }) => ({
+    type, name, price, duration, savings,
+  })),
+  trial: {
+    duration: settingsObj.subscriptionPackages?.trial?.duration,
+    price: settingsObj.subscriptionPackages?.trial?.price,
+  },
+});
+
 // Update subscription packages
-router.put('/subscription/packages', isAdmin, async (req, res) => {
+router.put('/subscription/packages', requireAdmin('subscription_packages:update'), async (req, res) => {
   try {
     const { plans, trial } = req.body;
     
@@ -310,6 +600,8 @@ router.put('/subscription/packages', isAdmin, async (req, res) => {
       price: 0,
     };
     
+    const before = getPackagesSnapshot((await AppSettings.getSettings()).toObject());
+
     // Update settings in database
     const updatedSettings = await AppSettings.updateSettings({
       subscriptionPackages: {
@@ -325,6 +617,12 @@ router.put('/subscription/packages', isAdmin, async (req, res) => {
       plans: settingsObj.subscriptionPackages.plans,
       trial: settingsObj.subscriptionPackages.trial,
     };
+    await recordAudit(req, {
+      action: 'subscription_packages.update',
+      targetType: 'subscription_packages',
+      before,
+      after: getPackagesSnapshot(settingsObj),
+    });
     
     res.json({ 
       message: 'Subscription packages updated successfully', 
@@ -337,7 +635,7 @@ router.put('/subscription/packages', isAdmin, async (req, res) => {
 });
 
 // Send notification to all users
-router.post('/notifications/broadcast', isAdmin, async (req, res) => {
+router.post('/notifications/broadcast', requireAdmin('notifications:broadcast'), async (req, res) => {
   try {
     const { title, message, type } = req.body;
     
@@ -461,15 +759,16 @@ router.post('/notifications/broadcast', isAdmin, async (req, res) => {
     await Notification.insertMany(notifications);
       console.log(`Successfully created ${notifications.length} notifications`);
       
-      // Send push notifications to users with valid push tokens
-      const usersWithTokens = users.filter(user => 
-        user.pushNotificationEnabled && 
-        user.pushNotificationToken
-      );
+      // Send push notifications to every signed-in device of users who enabled them
+      const pushEnabledUsers = users.filter(user => user.pushNotificationEnabled);
+      const sessionTokens = await Session.findPushTokens(pushEnabledUsers.map(user => user._id));
+      const legacyTokens = pushEnabledUsers
+        .map(user => user.pushNotificationToken)
+        .filter(Boolean);
+      const pushTokens = [...new Set([...sessionTokens, ...legacyTokens])];
       
-      if (usersWithTokens.length > 0) {
-        const pushTokens = usersWithTokens.map(user => user.pushNotificationToken);
-        console.log(`Sending push notifications to ${pushTokens.length} users`);
+      if (pushTokens.length > 0) {
+        console.log(`Sending push notifications to ${pushTokens.length} devices`);
         
         const pushResult = await sendPushNotifications(
           pushTokens,
@@ -499,6 +798,12 @@ router.post('/notifications/broadcast', isAdmin, async (req, res) => {
       }
       throw insertError;
     }
+
+    await recordAudit(req, {
+      action: 'notification.broadcast',
+      targetType: 'notification',
+      metadata: { type: notificationType, title, message, recipientCount: users.length },
+    });
     
     res.json({ 
       message: `Notification sent to ${users.length} users`,
@@ -511,7 +816,7 @@ router.post('/notifications/broadcast', isAdmin, async (req, res) => {
 });
 
 // Get app settings (welcome screen content, header colors, etc.) - Admin only
-router.get('/settings', isAdmin, async (req, res) => {
+router.get('/settings', requireAdmin('settings:read'), async (req, res) => {
   try {
     const settings = await AppSettings.getSettings();
     
@@ -528,27 +833,36 @@ router.get('/settings', isAdmin, async (req, res) => {
       welcomeScreen: settingsObj.welcomeScreen,
       headerColors: settingsObj.headerColors,
       showSubscription: showSubscriptionValue,
+      auth: settingsObj.auth,
     });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
+// App settings managed by PUT /settings, for the audit log
+const getAppSettingsSnapshot = (settingsObj) => ({
+  welcomeScreen: settingsObj.welcomeScreen,
+  headerColors: settingsObj.headerColors,
+  showSubscription: settingsObj.showSubscription,
+  auth: settingsObj.auth,
+});
+
 // Update app settings
-router.put('/settings', isAdmin, async (req, res) => {
+router.put('/settings', requireAdmin('settings:update'), async (req, res) => {
   try {
-    const { welcomeScreen, headerColors, showSubscription, phone } = req.body;
+    const { welcomeScreen, headerColors, showSubscription, auth } = req.body;
     
     console.log('Updating app settings:', { 
       hasWelcomeScreen: !!welcomeScreen, 
       hasHeaderColors: !!headerColors,
       showSubscription: showSubscription,
       showSubscriptionType: typeof showSubscription,
-      phone: phone ? 'provided' : 'missing'
+      hasAuth: !!auth,
     });
     
     // Validate input
-    if (!welcomeScreen && !headerColors && showSubscription === undefined) {
+    if (!welcomeScreen && !headerColors && showSubscription === undefined && !auth) {
       return res.status(400).json({ message: 'At least one setting group is required' });
     }
     
@@ -561,9 +875,31 @@ router.put('/settings', isAdmin, async (req, res) => {
       updateData.showSubscription = Boolean(showSubscription);
       console.log('Setting showSubscription to:', updateData.showSubscription, '(type:', typeof updateData.showSubscription, ')');
     }
+    if (auth && auth.allowLegacyPhoneAuth !== undefined) {
+      // Authentication settings affect every account, so only super admins may change them
+      if (!hasAdminPermission(req.adminRole, 'auth_settings:update')) {
+        return res.status(403).json({
+          message: `Access denied. Your admin role (${req.adminRole}) is not allowed to change authentication settings.`,
+          error: 'FORBIDDEN',
+          permission: 'auth_settings:update',
+        });
+      }
+      updateData.auth = { allowLegacyPhoneAuth: Boolean(auth.allowLegacyPhoneAuth) };
+    }
     
+    const before = getAppSettingsSnapshot((await AppSettings.getSettings()).toObject());
+
     // Update settings in database
     const updatedSettings = await AppSettings.updateSettings(updateData);
+    if (updateData.auth) {
+      clearAuthSettingsCache();
+    }
+    await recordAudit(req, {
+      action: 'settings.update',
+      targetType: 'settings',
+      before,
+      after: getAppSettingsSnapshot(updatedSettings.toObject()),
+    });
     
     console.log('Settings updated successfully in database');
     console.log('Current showSubscription value:', updatedSettings.showSubscription);
@@ -586,6 +922,7 @@ router.put('/settings', isAdmin, async (req, res) => {
         welcomeScreen: settingsObj.welcomeScreen,
         headerColors: settingsObj.headerColors,
         showSubscription: finalShowSubscription,
+        auth: settingsObj.auth,
       }
     });
   } catch (error) {
@@ -594,142 +931,243 @@ router.put('/settings', isAdmin, async (req, res) => {
   }
 });
 
-// Upload welcome screen background image
-router.post('/settings/welcome-background', upload.single('image'), async (req, res) => {
+// Welcome-screen images: settings field, S3 folder and response wording per upload route
+const BRANDING_IMAGES = {
+  'welcome-background': { field: 'backgroundImage', folder: 'welcome', label: 'Background image' },
+  'welcome-logo': { field: 'logo', folder: 'welcome/logo', label: 'Logo' },
+};
+
+// Who made a branding change
+const getBrandingActor = (req) => ({
+  userId: req.adminUser._id,
+  name: req.adminUser.name || null,
+  phone: req.adminUser.phone || null,
+  adminRole: req.adminRole,
+});
+
+// Parse the multipart upload and turn multer errors into 400 responses
+const uploadImage = (req, res, next) => {
+  upload.single('image')(req, res, (err) => {
+    if (err) {
+      if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(400).json({ message: 'File size too large. Maximum size is 10MB' });
+      }
+      return res.status(400).json({ message: err.message || 'Error uploading file' });
+    }
+    next();
+  });
+};
+
+// Upload a welcome-screen image and record the change (the previous image is kept so it can be reverted)
+const handleBrandingUpload = (imageKey) => async (req, res) => {
+  const { field, folder, label } = BRANDING_IMAGES[imageKey];
   try {
-    console.log('Welcome background upload request received');
-    console.log('Request body:', req.body);
-    console.log('Request file:', req.file ? `File received: ${req.file.originalname}, size: ${req.file.size} bytes` : 'No file');
-    
     if (!req.file) {
-      console.error('No file in request');
       return res.status(400).json({ message: 'No image file provided' });
     }
 
-    // No phone or user validation required - allow direct upload
-    console.log('Proceeding with upload (no phone verification required)');
-    
-    // Get current settings to check for old image
+    // Trust the file contents, not the client's mimetype or file name
+    const imageType = detectImageType(req.file.buffer);
+    if (!imageType) {
+      return res.status(400).json({ message: 'File must be a JPEG, PNG, GIF or WebP image' });
+    }
+
     const currentSettings = await AppSettings.getSettings();
-    const oldImageUrl = currentSettings.welcomeScreen?.backgroundImage;
-    console.log('Old image URL:', oldImageUrl);
-    
-    // Upload new image to S3
-    const fileName = req.file.originalname || 'welcome-background.jpg';
-    console.log('Uploading to S3:', { fileName, mimetype: req.file.mimetype, size: req.file.size });
-    
+    const previousValue = currentSettings.welcomeScreen?.[field] || null;
+
     const imageUrl = await uploadToS3(
       req.file.buffer,
-      `welcome/${fileName}`,
-      req.file.mimetype
+      `${folder}/${imageKey}.${imageType.extension}`,
+      imageType.mimetype
     );
-    console.log('Image uploaded to S3, URL:', imageUrl);
-    
-    // Delete old image from S3 if it exists and is an S3 URL
-    if (oldImageUrl && (oldImageUrl.includes('profile-images') || oldImageUrl.includes('welcome/'))) {
-      try {
-        console.log('Deleting old image:', oldImageUrl);
-        await deleteFromS3(oldImageUrl);
-        console.log('Old image deleted successfully');
-      } catch (error) {
-        console.error('Error deleting old background image:', error);
-        // Continue even if deletion fails
-      }
-    }
-    
-    // Update settings with new image URL
-    console.log('Updating settings with new image URL:', imageUrl);
+
     await AppSettings.updateSettings({
       welcomeScreen: {
-        backgroundImage: imageUrl,
+        [field]: imageUrl,
       },
     });
-    console.log('Settings updated successfully');
-    
-    // Convert to public URL for response
-    const publicImageUrl = convertToPublicUrl(imageUrl);
-    console.log('Public image URL:', publicImageUrl);
-    
-    res.json({ 
-      message: 'Background image uploaded and settings updated successfully',
-      imageUrl: publicImageUrl 
+
+    const change = await BrandingChange.create({
+      field,
+      action: 'upload',
+      previousValue,
+      newValue: imageUrl,
+      changedBy: getBrandingActor(req),
+    });
+    await recordAudit(req, {
+      action: `settings.${imageKey}.upload`,
+      targetType: 'settings',
+      targetId: change._id,
+      before: { [field]: previousValue },
+      after: { [field]: imageUrl },
+    });
+
+    res.json({
+      message: `${label} uploaded and settings updated successfully`,
+      imageUrl: convertToPublicUrl(imageUrl),
+      changeId: change._id,
     });
   } catch (error) {
-    console.error('Error in welcome background upload:', error);
-    console.error('Error stack:', error.stack);
-    res.status(500).json({ message: error.message || 'Failed to upload background image' });
+    console.error(`Error in ${imageKey} upload:`, error);
+    res.status(500).json({ message: error.message || `Failed to upload ${label.toLowerCase()}` });
   }
-});
+};
 
-// Upload welcome screen logo
-router.post('/settings/welcome-logo', upload.single('image'), async (req, res) => {
+// Revert a welcome-screen image to what it was before a change (the latest one unless changeId is given)
+const handleBrandingRevert = (imageKey) => async (req, res) => {
+  const { field, label } = BRANDING_IMAGES[imageKey];
   try {
-    console.log('Welcome logo upload request received');
-    console.log('Request body:', req.body);
-    console.log('Request file:', req.file ? `File received: ${req.file.originalname}, size: ${req.file.size} bytes` : 'No file');
-    
-    if (!req.file) {
-      console.error('No file in request');
-      return res.status(400).json({ message: 'No image file provided' });
+    const { changeId } = req.body || {};
+    const change = changeId
+      ? await BrandingChange.findOne({ _id: changeId, field })
+      : await BrandingChange.findOne({ field }).sort({ createdAt: -1 });
+    if (!change) {
+      return res.status(404).json({ message: `No ${label.toLowerCase()} change to revert` });
     }
 
-    // No phone or user validation required - allow direct upload
-    console.log('Proceeding with logo upload (no phone verification required)');
-    
-    // Get current settings to check for old logo
     const currentSettings = await AppSettings.getSettings();
-    const oldLogoUrl = currentSettings.welcomeScreen?.logo;
-    console.log('Old logo URL:', oldLogoUrl);
-    
-    // Upload new logo to S3
-    const fileName = req.file.originalname || 'welcome-logo.jpg';
-    console.log('Uploading logo to S3:', { fileName, mimetype: req.file.mimetype, size: req.file.size });
-    
-    const imageUrl = await uploadToS3(
-      req.file.buffer,
-      `welcome/logo/${fileName}`,
-      req.file.mimetype
-    );
-    console.log('Logo uploaded to S3, URL:', imageUrl);
-    
-    // Delete old logo from S3 if it exists and is an S3 URL
-    if (oldLogoUrl && (oldLogoUrl.includes('profile-images') || oldLogoUrl.includes('welcome/logo/'))) {
-      try {
-        console.log('Deleting old logo:', oldLogoUrl);
-        await deleteFromS3(oldLogoUrl);
-        console.log('Old logo deleted successfully');
-      } catch (error) {
-        console.error('Error deleting old logo:', error);
-        // Continue even if deletion fails
-      }
-    }
-    
-    // Update settings with new logo URL
-    console.log('Updating settings with new logo URL:', imageUrl);
+    const currentValue = currentSettings.welcomeScreen?.[field] || null;
+
     await AppSettings.updateSettings({
       welcomeScreen: {
-        logo: imageUrl,
+        [field]: change.previousValue || '',
       },
     });
-    console.log('Settings updated successfully');
-    
-    // Convert to public URL for response
-    const publicImageUrl = convertToPublicUrl(imageUrl);
-    console.log('Public logo URL:', publicImageUrl);
-    
-    res.json({ 
-      message: 'Logo uploaded and settings updated successfully',
-      imageUrl: publicImageUrl 
+
+    const revert = await BrandingChange.create({
+      field,
+      action: 'revert',
+      previousValue: currentValue,
+      newValue: change.previousValue,
+      changedBy: getBrandingActor(req),
+      revertedChangeId: change._id,
+    });
+    await recordAudit(req, {
+      action: `settings.${imageKey}.revert`,
+      targetType: 'settings',
+      targetId: revert._id,
+      before: { [field]: currentValue },
+      after: { [field]: change.previousValue },
+      metadata: { revertedChangeId: change._id.toString() },
+    });
+
+    res.json({
+      message: `${label} reverted successfully`,
+      imageUrl: change.previousValue ? convertToPublicUrl(change.previousValue) : null,
+      changeId: revert._id,
     });
   } catch (error) {
-    console.error('Error in welcome logo upload:', error);
-    console.error('Error stack:', error.stack);
-    res.status(500).json({ message: error.message || 'Failed to upload logo' });
+    console.error(`Error reverting ${imageKey}:`, error);
+    res.status(400).json({ message: error.message || `Failed to revert ${label.toLowerCase()}` });
+  }
+};
+
+// Welcome-screen changes go through requireAdmin: an admin's token is required, the legacy
+// phone auth is never accepted, and the upload is only read once the admin is verified
+
+// Upload welcome screen background image
+router.post('/settings/welcome-background', requireAdmin('settings:update'), uploadImage, handleBrandingUpload('welcome-background'));
+
+// Upload welcome screen logo
+router.post('/settings/welcome-logo', requireAdmin('settings:update'), uploadImage, handleBrandingUpload('welcome-logo'));
+
+// Revert the welcome screen background image / logo
+router.post('/settings/welcome-background/revert', requireAdmin('settings:update'), handleBrandingRevert('welcome-background'));
+router.post('/settings/welcome-logo/revert', requireAdmin('settings:update'), handleBrandingRevert('welcome-logo'));
+
+// History of welcome-screen image changes (?field=backgroundImage|logo)
+router.get('/settings/branding-history', requireAdmin('settings:read'), async (req, res) => {
+  try {
+    const { field } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    const filter = {};
+    if (field) {
+      filter.field = field;
+    }
+
+    const changes = await BrandingChange.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+
+    res.json(changes.map(change => ({
+      ...change,
+      previousValue: change.previousValue ? convertToPublicUrl(change.previousValue) : null,
+      newValue: change.newValue ? convertToPublicUrl(change.newValue) : null,
+    })));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Audit log of admin actions
+// Filters: actorId, targetUserId, action (exact, or a prefix ending in '.*' e.g. 'user.*'), from, to (dates)
+router.get('/audit-log', requireAdmin('audit_log:read'), async (req, res) => {
+  try {
+    const { actorId, targetUserId, action, from, to } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const filter = {};
+    if (actorId) {
+      if (!mongoose.Types.ObjectId.isValid(actorId)) {
+        return res.status(400).json({ message: 'Invalid actorId' });
+      }
+      filter['actor.userId'] = actorId;
+    }
+    if (targetUserId) {
+      if (!mongoose.Types.ObjectId.isValid(targetUserId)) {
+        return res.status(400).json({ message: 'Invalid targetUserId' });
+      }
+      filter['target.userId'] = targetUserId;
+    }
+    if (action) {
+      filter.action = action.endsWith('.*')
+        ? { $regex: `^${escapeRegex(action.slice(0, -1))}` }
+        : action;
+    }
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) {
+        const fromDate = new Date(from);
+        if (isNaN(fromDate.getTime())) {
+          return res.status(400).json({ message: 'Invalid from date' });
+        }
+        filter.createdAt.$gte = fromDate;
+      }
+      if (to) {
+        const toDate = new Date(to);
+        if (isNaN(toDate.getTime())) {
+          return res.status(400).json({ message: 'Invalid to date' });
+        }
+        filter.createdAt.$lte = toDate;
+      }
+    }
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      AuditLog.countDocuments(filter),
+    ]);
+
+    res.json({
+      entries,
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
   }
 });
 
 // Get statistics
-router.get('/stats', isAdmin, async (req, res) => {
+router.get('/stats', requireAdmin('stats:read'), async (req, res) => {
   try {
     const totalUsers = await User.countDocuments({ isAdmin: { $ne: true } });
     const activeSubscriptions = await User.countDocuments({ 
@@ -757,7 +1195,7 @@ router.get('/stats', isAdmin, async (req, res) => {
 });
 
 // Get help & support (admin only)
-router.get('/help-support', isAdmin, async (req, res) => {
+router.get('/help-support', requireAdmin('help_support:read'), async (req, res) => {
   try {
     const settings = await AppSettings.getSettings();
     const settingsObj = settings.toObject();
@@ -773,8 +1211,15 @@ router.get('/help-support', isAdmin, async (req, res) => {
   }
 });
 
+// Help & support content without FAQ subdocument ids, for the audit log
+const getHelpSupportSnapshot = (settingsObj) => ({
+  emailSupport: settingsObj.helpSupport?.emailSupport || '',
+  phoneSupport: settingsObj.helpSupport?.phoneSupport || '',
+  faq: (settingsObj.helpSupport?.faq || []).map(({ question, answer }) => ({ question, answer })),
+});
+
 // Update help & support
-router.put('/help-support', isAdmin, async (req, res) => {
+router.put('/help-support', requireAdmin('help_support:update'), async (req, res) => {
   try {
     const { emailSupport, phoneSupport, faq } = req.body;
     
@@ -792,6 +1237,8 @@ router.put('/help-support', isAdmin, async (req, res) => {
       }
     }
     
+    const before = getHelpSupportSnapshot((await AppSettings.getSettings()).toObject());
+
     // Update settings in database
     const updatedSettings = await AppSettings.updateSettings({
       helpSupport: {
@@ -802,6 +1249,12 @@ router.put('/help-support', isAdmin, async (req, res) => {
     });
     
     const settingsObj = updatedSettings.toObject();
+    await recordAudit(req, {
+      action: 'help_support.update',
+      targetType: 'help_support',
+      before,
+      after: getHelpSupportSnapshot(settingsObj),
+    });
     
     res.json({ 
       message: 'Help & Support updated successfully', 
@@ -1,12 +1,32 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import multer from 'multer';
 import User from '../models/User.js';
-import Customer from '../models/Customer.js';
-import Order from '../models/Order.js';
-import Measurement from '../models/Measurement.js';
-import Notification from '../models/Notification.js';
+import Staff from '../models/Staff.js';
 import AppSettings from '../models/AppSettings.js';
-import { uploadToS3, deleteFromS3, convertToPublicUrl } from '../services/s3Service.js';
+import Session from '../models/Session.js';
+import DataExport from '../models/DataExport.js';
+import { uploadToS3, deleteFromS3, downloadFromS3, convertToPublicUrl } from '../services/s3Service.js';
+import { requestDataExport, formatDataExport } from '../services/dataExportService.js';
+import {
+  issueTokens,
+  findActiveSession,
+  rotateTokens,
+  revokeSession,
+  getDeviceInfo,
+  verifyDownloadToken,
+} from '../services/tokenService.js';
+import { sendOtp, verifyOtp } from '../services/otpService.js';
+import { scheduleAccountDeletion, cancelAccountDeletion, getDeletionGracePeriodDays } from '../services/accountDeletionService.js';
+import {
+  attemptGuard,
+  recordFailedAttempt,
+  clearFailedAttempts,
+  sendLockedResponse,
+} from '../services/attemptLimiter.js';
+import { authenticate, requireOwner } from '../middleware/auth.js';
+import { allowFields } from '../middleware/allowFields.js';
+import { getAdminRole } from '../config/adminRoles.js';
 
 const router = express.Router();
 
@@ -68,6 +88,17 @@ router.post('/signup', async (req, res) => {
     });
 
     const savedUser = await user.save();
+    const tokens = await issueTokens(savedUser, getDeviceInfo(req));
+
+    // Send the phone verification code (account is still created if SMS delivery fails)
+    let phoneVerificationSent = false;
+    try {
+      const result = await sendOtp(phoneDigits, 'phone_verification');
+      phoneVerificationSent = result.sent;
+    } catch (error) {
+      console.error('Error sending phone verification code:', error);
+    }
+
     const userJson = savedUser.toJSON();
     // Convert profileImage URL to public URL if it exists
     if (userJson.profileImage) {
@@ -76,14 +107,32 @@ router.post('/signup', async (req, res) => {
     res.status(201).json({
       message: 'User created successfully',
       user: userJson,
+      phoneVerificationSent,
+      ...tokens,
     });
   } catch (error) {
     res.status(400).json({ message: error.message });
   }
 });
 
+// Count a failed login against the phone and IP, and mirror the account's lockout onto the user
+const handleFailedLogin = async (req, res, phoneDigits, user = null) => {
+  const result = await recordFailedAttempt('login', { phone: phoneDigits, ip: req.ip });
+  if (user) {
+    user.failedLoginCount = result.failures;
+    if (result.phoneLockedUntil) {
+      user.lockedUntil = result.phoneLockedUntil;
+    }
+    await user.save();
+  }
+  if (result.locked) {
+    return sendLockedResponse(res, result.retryAfter);
+  }
+  return res.status(401).json({ message: 'Invalid phone or password' });
+};
+
 // Login
-router.post('/login', async (req, res) => {
+router.post('/login', attemptGuard('login'), async (req, res) => {
   try {
     const { phone, password } = req.body;
 
@@ -101,65 +150,294 @@ router.post('/login', async (req, res) => {
     // Find user by phone
     const user = await User.findOne({ phone: phoneDigits });
     if (!user) {
-      return res.status(401).json({ message: 'Invalid phone or password' });
+      return await handleFailedLogin(req, res, phoneDigits);
+    }
+
+    // Account lockout (also set by admins)
+    if (user.lockedUntil && user.lockedUntil > new Date()) {
+      return sendLockedResponse(res, Math.ceil((user.lockedUntil.getTime() - Date.now()) / 1000));
     }
 
     // Check password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
-      return res.status(401).json({ message: 'Invalid phone or password' });
+      return await handleFailedLogin(req, res, phoneDigits, user);
+    }
+
+    // Successful login clears the account's failure counters
+    await clearFailedAttempts('login', { phone: phoneDigits });
+    if (user.failedLoginCount > 0 || user.lockedUntil) {
+      user.failedLoginCount = 0;
+      user.lockedUntil = null;
+      await user.save();
+    }
+
+    // Logging in during the grace period cancels a pending account deletion
+    const deletionCancelled = user.accountStatus === 'pending_deletion';
+    if (deletionCancelled) {
+      await cancelAccountDeletion(user);
     }
 
+    const tokens = await issueTokens(user, getDeviceInfo(req));
     const userJson = user.toJSON();
     // Convert profileImage URL to public URL if it exists
     if (userJson.profileImage) {
       userJson.profileImage = convertToPublicUrl(userJson.profileImage);
     }
     res.json({
-      message: 'Login successful',
+      message: deletionCancelled ? 'Login successful. Your account deletion has been cancelled.' : 'Login successful',
       user: userJson,
       isAdmin: user.isAdmin || false,
+      adminRole: getAdminRole(user),
+      deletionCancelled,
+      ...tokens,
     });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
-// Get current user (for profile)
-router.get('/me', async (req, res) => {
+// Exchange a refresh token for a new access/refresh token pair
+router.post('/refresh', async (req, res) => {
   try {
-    // For now, we'll use phone from query
-    // In production, use JWT token from Authorization header
-    let { phone } = req.query;
-    
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'Refresh token is required' });
+    }
+
+    const session = await findActiveSession(refreshToken);
+    if (!session) {
+      return res.status(401).json({ message: 'Invalid or expired refresh token', error: 'INVALID_REFRESH_TOKEN' });
+    }
+
+    const user = await User.findById(session.userId);
+    if (!user) {
+      await revokeSession(session);
+      return res.status(401).json({ message: 'User not found', error: 'USER_NOT_FOUND' });
+    }
+
+    // Staff sessions end once the staff member is removed or disabled
+    if (session.staffId) {
+      const staff = await Staff.findOne({ _id: session.staffId, businessId: user._id, status: 'active' });
+      if (!staff) {
+        await revokeSession(session);
+        return res.status(401).json({ message: 'This staff account has been disabled', error: 'STAFF_DISABLED' });
+      }
+    }
+
+    const tokens = await rotateTokens(user, session, req.ip);
+    res.json(tokens);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Logout (revokes the session belonging to the refresh token)
+router.post('/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'Refresh token is required' });
+    }
+
+    const session = await findActiveSession(refreshToken);
+    if (session) {
+      await revokeSession(session);
+    }
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Verify phone number with the code sent at signup
+router.post('/verify-phone', authenticate, requireOwner, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ message: 'Verification code is required' });
+    }
+
+    const user = req.user;
+    if (user.phoneVerified) {
+      return res.json({ message: 'Phone number is already verified', phoneVerified: true });
+    }
+
+    const result = await verifyOtp(user.phone, 'phone_verification', code);
+    if (!result.valid) {
+      return res.status(400).json({ message: result.message });
+    }
+
+    user.phoneVerified = true;
+    user.phoneVerifiedAt = new Date();
+    await user.save();
+
+    res.json({ message: 'Phone number verified successfully', phoneVerified: true });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Resend the phone verification code
+router.post('/resend-verification', authenticate, requireOwner, async (req, res) => {
+  try {
+    const user = req.user;
+    if (user.phoneVerified) {
+      return res.json({ message: 'Phone number is already verified', phoneVerified: true });
+    }
+
+    const result = await sendOtp(user.phone, 'phone_verification');
+    if (!result.sent) {
+      return res.status(429).json({
+        message: `Please wait ${result.retryAfter} seconds before requesting another code`,
+        retryAfter: result.retryAfter,
+      });
+    }
+
+    res.json({ message: 'Verification code sent', expiresAt: result.expiresAt });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Forgot password - send a reset code to the account's phone
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { phone } = req.body;
+
     if (!phone) {
       return res.status(400).json({ message: 'Phone is required' });
     }
 
-    // Handle case where phone might be an array (from query string)
-    if (Array.isArray(phone)) {
-      phone = phone[0];
+    // Normalize phone to 11 digits
+    const phoneDigits = String(phone).replace(/\D/g, '');
+    if (phoneDigits.length !== 11) {
+      return res.status(400).json({ message: 'Phone number must be exactly 11 digits' });
+    }
+
+    // Same response whether or not the account exists, so phone numbers can't be enumerated
+    const genericResponse = { message: 'If an account exists for this phone number, a reset code has been sent' };
+
+    const user = await User.findOne({ phone: phoneDigits });
+    if (user) {
+      // Within the resend cooldown no new code is sent, but the answer stays the same: a 429 only
+      // for registered numbers would give them away
+      await sendOtp(phoneDigits, 'password_reset');
+    }
+
+    res.json(genericResponse);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Reset password with the code from forgot-password
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { phone, code, newPassword } = req.body;
+
+    if (!phone || !code || !newPassword) {
+      return res.status(400).json({ message: 'Phone, code, and new password are required' });
+    }
+
+    // Validate new password length
+    if (newPassword.length < 6) {
+      return res.status(400).json({ message: 'New password must be at least 6 characters long' });
     }
-    
-    // Ensure phone is a string
-    phone = String(phone);
 
     // Normalize phone to 11 digits
-    const phoneDigits = phone.replace(/\D/g, '');
+    const phoneDigits = String(phone).replace(/\D/g, '');
     if (phoneDigits.length !== 11) {
       return res.status(400).json({ message: 'Phone number must be exactly 11 digits' });
     }
 
     const user = await User.findOne({ phone: phoneDigits });
     if (!user) {
-      return res.status(404).json({ message: 'User not found' });
+      return res.status(400).json({ message: 'Code has expired or is invalid. Please request a new one.' });
     }
 
-    const userJson = user.toJSON();
+    const result = await verifyOtp(phoneDigits, 'password_reset', code);
+    if (!result.valid) {
+      return res.status(400).json({ message: result.message });
+    }
+
+    // Update password (will be hashed by pre-save hook) - receiving the code also proves the phone
+    user.password = newPassword;
+    if (!user.phoneVerified) {
+      user.phoneVerified = true;
+      user.phoneVerifiedAt = new Date();
+    }
+    await user.save();
+
+    // Sign out every device of the owner - the old password may have been compromised
+    await Session.revokeAllForUser(user._id, null, null);
+
+    res.json({ message: 'Password reset successfully. Please log in with your new password.' });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// List the devices (sessions) signed in to this account (staff only see their own devices)
+router.get('/sessions', authenticate, async (req, res) => {
+  try {
+    const sessions = await Session.findActiveForUser(req.user._id, req.staff?._id || null).sort({ lastSeenAt: -1 });
+    const currentSessionId = req.authSession?._id || null;
+    res.json(sessions.map(session => session.toDeviceJSON(currentSessionId)));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Sign out everywhere (keeps the current device unless includeCurrent=true)
+router.delete('/sessions', authenticate, async (req, res) => {
+  try {
+    const includeCurrent = req.query.includeCurrent === 'true' || req.body?.includeCurrent === true;
+    const keepSessionId = includeCurrent ? null : req.authSession?._id;
+    const revokedCount = await Session.revokeAllForUser(req.user._id, keepSessionId, req.staff?._id || null);
+    res.json({ message: 'Signed out of all other devices', revokedCount });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Sign out a single device
+router.delete('/sessions/:id', authenticate, async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+      staffId: req.staff?._id || null,
+      revokedAt: null,
+    });
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await revokeSession(session);
+    res.json({ message: 'Device signed out successfully' });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Get current user (for profile)
+router.get('/me', authenticate, async (req, res) => {
+  try {
+    const userJson = req.user.toJSON();
     // Convert profileImage URL to public URL if it exists
     if (userJson.profileImage) {
       userJson.profileImage = convertToPublicUrl(userJson.profileImage);
     }
+    // Staff members get the business profile plus who they are signed in as
+    if (req.staff) {
+      userJson.staff = req.staff.toJSON();
+    }
+    userJson.role = req.role;
     res.json(userJson);
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -167,28 +445,12 @@ router.get('/me', async (req, res) => {
 });
 
 // Update user profile
-router.put('/me', async (req, res) => {
+// Phone (the identifier), password, subscription and admin fields can't be changed here
+router.put('/me', authenticate, requireOwner, allowFields('user.profile'), async (req, res) => {
   try {
-    const { phone, ...updateData } = req.body;
-    
-    if (!phone) {
-      return res.status(400).json({ message: 'Phone is required' });
-    }
-
-    // Normalize phone to 11 digits
-    const phoneDigits = phone.replace(/\D/g, '');
-    if (phoneDigits.length !== 11) {
-      return res.status(400).json({ message: 'Phone number must be exactly 11 digits' });
-    }
-
-    // Don't allow password update through this route
-    delete updateData.password;
-    // Don't allow phone update (it's the identifier)
-    delete updateData.phone;
-
-    const user = await User.findOneAndUpdate(
-      { phone: phoneDigits },
-      updateData,
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      req.fields,
       { new: true, runValidators: true }
     );
 
@@ -208,19 +470,14 @@ router.put('/me', async (req, res) => {
 });
 
 // Update user settings (notifications, language, etc.)
-router.put('/settings', async (req, res) => {
+router.put('/settings', authenticate, async (req, res) => {
   console.log('Settings route hit:', req.method, req.path, req.body);
   try {
-    const { phone, pushNotificationEnabled, pushNotificationToken, language } = req.body;
-    
-    if (!phone) {
-      return res.status(400).json({ message: 'Phone is required' });
-    }
+    const { pushNotificationEnabled, pushNotificationToken, language } = req.body;
 
-    // Normalize phone to 11 digits
-    const phoneDigits = phone.replace(/\D/g, '');
-    if (phoneDigits.length !== 11) {
-      return res.status(400).json({ message: 'Phone number must be exactly 11 digits' });
+    // Staff may register their device's push token, but the account settings belong to the owner
+    if (req.staff && (pushNotificationEnabled !== undefined || language !== undefined)) {
+      return res.status(403).json({ message: 'Only the business owner can do this', error: 'OWNER_ONLY' });
     }
 
     // Build update object
@@ -229,14 +486,21 @@ router.put('/settings', async (req, res) => {
       updateData.pushNotificationEnabled = pushNotificationEnabled;
     }
     if (pushNotificationToken !== undefined) {
-      updateData.pushNotificationToken = pushNotificationToken;
+      if (req.authSession) {
+        // Push tokens belong to the device's session
+        req.authSession.pushNotificationToken = pushNotificationToken || null;
+        await req.authSession.save();
+      } else {
+        // Legacy clients without a session keep a single token on the user
+        updateData.pushNotificationToken = pushNotificationToken;
+      }
     }
     if (language !== undefined) {
       updateData.language = language;
     }
 
-    const user = await User.findOneAndUpdate(
-      { phone: phoneDigits },
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
       updateData,
       { new: true, runValidators: true }
     );
@@ -257,12 +521,12 @@ router.put('/settings', async (req, res) => {
 });
 
 // Change password
-router.put('/change-password', async (req, res) => {
+router.put('/change-password', authenticate, requireOwner, attemptGuard('change_password'), async (req, res) => {
   try {
-    const { phone, currentPassword, newPassword } = req.body;
+    const { currentPassword, newPassword } = req.body;
     
-    if (!phone || !currentPassword || !newPassword) {
-      return res.status(400).json({ message: 'Phone, current password, and new password are required' });
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ message: 'Current password and new password are required' });
     }
 
     // Validate new password length
@@ -270,23 +534,18 @@ router.put('/change-password', async (req, res) => {
       return res.status(400).json({ message: 'New password must be at least 6 characters long' });
     }
 
-    // Normalize phone to 11 digits
-    const phoneDigits = phone.replace(/\D/g, '');
-    if (phoneDigits.length !== 11) {
-      return res.status(400).json({ message: 'Phone number must be exactly 11 digits' });
-    }
-
-    // Find user
-    const user = await User.findOne({ phone: phoneDigits });
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
+    const user = req.user;
 
     // Verify current password
     const isMatch = await user.comparePassword(currentPassword);
     if (!isMatch) {
+      const result = await recordFailedAttempt('change_password', { phone: user.phone, ip: req.ip });
+      if (result.locked) {
+        return sendLockedResponse(res, result.retryAfter);
+      }
       return res.status(401).json({ message: 'Current password is incorrect' });
     }
+    await clearFailedAttempts('change_password', { phone: user.phone });
 
     // Check if new password is different from current password
     const isSamePassword = await user.comparePassword(newPassword);
@@ -298,12 +557,88 @@ router.put('/change-password', async (req, res) => {
     user.password = newPassword;
     await user.save();
 
-    res.json({ message: 'Password changed successfully' });
+    // Sign out every other device - only the one that changed the password stays signed in
+    const revokedSessions = await Session.revokeAllForUser(user._id, req.authSession?._id, null);
+
+    res.json({ message: 'Password changed successfully', revokedSessions });
   } catch (error) {
     res.status(400).json({ message: error.message });
   }
 });
 
+// Export all business data (customers, orders, measurements, notifications, payments and images) as a ZIP
+// The ZIP is built in the background: poll GET /export/:id until status is ready, then open downloadUrl.
+// An export that is running or finished within the last hour is returned instead of starting another.
+router.get('/export', authenticate, requireOwner, async (req, res) => {
+  try {
+    const { dataExport, created } = await requestDataExport(req.user, {
+      name: req.user.name || null,
+      ipAddress: req.ip || null,
+    });
+    res.status(dataExport.status === 'ready' ? 200 : 202).json({
+      message: created ? 'Your export is being prepared' : 'An export is already available',
+      export: formatDataExport(dataExport),
+    });
+  } catch (error) {
+    console.error('Error requesting data export:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// List this account's recent exports
+router.get('/exports', authenticate, requireOwner, async (req, res) => {
+  try {
+    const exports = await DataExport.find({ userId: req.user._id }).sort({ createdAt: -1 }).limit(10);
+    res.json(exports.map(formatDataExport));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Export status (with downloadUrl once ready)
+router.get('/export/:id', authenticate, requireOwner, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Export not found' });
+    }
+    const dataExport = await DataExport.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!dataExport) {
+      return res.status(404).json({ message: 'Export not found' });
+    }
+    res.json(formatDataExport(dataExport));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Download an export ZIP - the signed token in the link stands in for authentication,
+// so the link can be opened in a browser
+router.get('/export/:id/download', async (req, res) => {
+  try {
+    const exportId = verifyDownloadToken(req.query.token);
+    if (!exportId || exportId !== req.params.id) {
+      return res.status(403).json({ message: 'This download link is invalid or has expired' });
+    }
+
+    const dataExport = await DataExport.findById(exportId).select('+fileUrl');
+    if (!dataExport || dataExport.status !== 'ready' || !dataExport.fileUrl || dataExport.expiresAt <= new Date()) {
+      return res.status(410).json({ message: 'This export is no longer available. Please request a new one.' });
+    }
+
+    const { buffer } = await downloadFromS3(dataExport.fileUrl);
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${dataExport.fileName}"`,
+      'Content-Length': buffer.length,
+      'Cache-Control': 'private, no-store',
+    });
+    res.send(buffer);
+  } catch (error) {
+    console.error('Error downloading data export:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
 // Get account deletion form page (main entry point)
 router.get('/delete-account-form', async (req, res) => {
   try {
@@ -321,7 +656,8 @@ router.get('/delete-account-form', async (req, res) => {
     
     res.render('delete-account-form', {
       logoUrl: logoUrl || null,
-      appName: appName
+      appName: appName,
+      graceDays: getDeletionGracePeriodDays()
     });
   } catch (error) {
     console.error('Error fetching settings for delete account form:', error);
@@ -329,12 +665,13 @@ router.get('/delete-account-form', async (req, res) => {
     // Render with default values if error occurs
     res.render('delete-account-form', {
       logoUrl: null,
-      appName: 'Smart Tailor'
+      appName: 'Smart Tailor',
+      graceDays: getDeletionGracePeriodDays()
     });
   }
 });
 
-// Get account deletion confirmation page (with phone in query)
+// Get account deletion confirmation page (enter the code sent by SMS)
 router.get('/delete-account', async (req, res) => {
   try {
     const { phone } = req.query;
@@ -347,7 +684,7 @@ router.get('/delete-account', async (req, res) => {
     }
 
     // Normalize phone to 11 digits
-    const phoneDigits = phone.replace(/\D/g, '');
+    const phoneDigits = String(phone).replace(/\D/g, '');
     if (phoneDigits.length !== 11) {
       return res.status(400).render('delete-account-confirm', {
         phone: phone,
@@ -355,15 +692,7 @@ router.get('/delete-account', async (req, res) => {
       });
     }
 
-    // Verify user exists
-    const user = await User.findOne({ phone: phoneDigits });
-    if (!user) {
-      return res.status(404).render('delete-account-confirm', {
-        phone: phone,
-        error: 'User not found'
-      });
-    }
-
+    // Don't reveal whether an account exists - the code check does that
     res.render('delete-account-confirm', {
       phone: phoneDigits,
       error: null
@@ -378,27 +707,79 @@ router.get('/delete-account', async (req, res) => {
 
 // Get account deletion result page
 router.get('/delete-account/result', (req, res) => {
-  const { success, message } = req.query;
+  const { success, message, scheduledFor } = req.query;
   res.render('delete-account-result', {
     success: success === 'true',
-    message: message || (success === 'true' ? 'Your account has been successfully deleted.' : 'Failed to delete account.')
+    scheduledFor: scheduledFor || null,
+    message: message || (success === 'true' ? 'Your account has been scheduled for deletion.' : 'Failed to delete account.')
   });
 });
 
-// Delete account (supports both DELETE and POST for form submission)
-router.delete('/account', async (req, res) => {
+// Delete account with password (supports both DELETE and POST for form submission)
+router.delete('/account', attemptGuard('delete_account'), async (req, res) => {
   await handleAccountDeletion(req, res);
 });
 
-router.post('/delete-account', async (req, res) => {
+router.post('/delete-account', attemptGuard('delete_account'), async (req, res) => {
   await handleAccountDeletion(req, res);
 });
 
-// Delete account by phone only (from form submission - no password required)
-router.post('/delete-account-by-phone', async (req, res) => {
-  await handleAccountDeletionByPhone(req, res);
+// Request account deletion by phone (from form submission) - sends a confirmation code
+router.post('/delete-account-by-phone', attemptGuard('delete_account'), async (req, res) => {
+  await handleDeletionCodeRequest(req, res);
+});
+
+// Confirm account deletion with the code sent by SMS
+router.post('/delete-account/confirm', attemptGuard('delete_account'), async (req, res) => {
+  await handleDeletionConfirmation(req, res);
+});
+
+// Cancel a pending account deletion during the grace period
+router.post('/delete-account/cancel', authenticate, requireOwner, async (req, res) => {
+  try {
+    const user = req.user;
+    if (user.accountStatus !== 'pending_deletion') {
+      return res.status(400).json({ message: 'Account is not scheduled for deletion' });
+    }
+
+    await cancelAccountDeletion(user);
+    res.json({ message: 'Account deletion cancelled', accountStatus: user.accountStatus });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
 });
 
+// Browser form submissions get the result page, API clients get JSON
+const wantsHtml = (req) => req.accepts(['json', 'html']) === 'html';
+
+const sendDeletionResult = (req, res, status, message, extra = {}) => {
+  if (wantsHtml(req)) {
+    return res.status(status).render('delete-account-result', {
+      success: status < 400,
+      scheduledFor: extra.scheduledFor || null,
+      message
+    });
+  }
+  return res.status(status).json({ message, ...extra });
+};
+
+// Count a failed deletion attempt; returns the lockout response if the phone or IP is now locked
+const handleFailedDeletion = async (req, res, phoneDigits, status, message) => {
+  const result = await recordFailedAttempt('delete_account', { phone: phoneDigits, ip: req.ip });
+  if (result.locked) {
+    return sendLockedResponse(res, result.retryAfter);
+  }
+  return sendDeletionResult(req, res, status, message);
+};
+
+const formatDeletionDate = (date) => {
+  return new Date(date).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  });
+};
+
 // Account deletion handler (with password verification for API)
 async function handleAccountDeletion(req, res) {
   try {
@@ -407,280 +788,123 @@ async function handleAccountDeletion(req, res) {
     const password = req.body.password;
     
     if (!phone || !password) {
-      if (req.accepts('html')) {
-        return res.status(400).render('delete-account-result', {
-          success: false,
-          message: 'Phone and password are required'
-        });
-      }
-      return res.status(400).json({ message: 'Phone and password are required' });
+      return sendDeletionResult(req, res, 400, 'Phone and password are required');
     }
 
     // Normalize phone to 11 digits
-    const phoneDigits = phone.replace(/\D/g, '');
+    const phoneDigits = String(phone).replace(/\D/g, '');
     if (phoneDigits.length !== 11) {
-      if (req.accepts('html')) {
-        return res.status(400).render('delete-account-result', {
-          success: false,
-          message: 'Phone number must be exactly 11 digits'
-        });
-      }
-      return res.status(400).json({ message: 'Phone number must be exactly 11 digits' });
+      return sendDeletionResult(req, res, 400, 'Phone number must be exactly 11 digits');
     }
 
     // Find user
     const user = await User.findOne({ phone: phoneDigits });
     if (!user) {
-      if (req.accepts('html')) {
-        return res.status(404).render('delete-account-result', {
-          success: false,
-          message: 'User not found'
-        });
-      }
-      return res.status(404).json({ message: 'User not found' });
+      return await handleFailedDeletion(req, res, phoneDigits, 401, 'Phone or password is incorrect');
     }
 
     // Verify password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
-      if (req.accepts('html')) {
-        return res.status(401).render('delete-account-result', {
-          success: false,
-          message: 'Password is incorrect'
-        });
-      }
-      return res.status(401).json({ message: 'Password is incorrect' });
-    }
-
-    const userId = user._id;
-
-    // Delete all related data
-    try {
-      // Delete all customers and their photos
-      const customers = await Customer.find({ userId });
-      for (const customer of customers) {
-        if (customer.photo) {
-          try {
-            await deleteFromS3(customer.photo);
-          } catch (error) {
-            console.error('Error deleting customer photo:', error);
-          }
-        }
-      }
-      await Customer.deleteMany({ userId });
-
-      // Delete all orders and their associated images
-      const orders = await Order.find({ userId });
-      for (const order of orders) {
-        // Delete style pictures
-        if (order.stylePictures && order.stylePictures.length > 0) {
-          for (const imageUrl of order.stylePictures) {
-            try {
-              await deleteFromS3(imageUrl);
-            } catch (error) {
-              console.error('Error deleting order style picture:', error);
-            }
-          }
-        }
-        // Delete sketches
-        if (order.sketches && order.sketches.length > 0) {
-          for (const sketchUrl of order.sketches) {
-            try {
-              await deleteFromS3(sketchUrl);
-            } catch (error) {
-              console.error('Error deleting order sketch:', error);
-            }
-          }
-        }
-      }
-      await Order.deleteMany({ userId });
-
-      // Delete all measurements and their photos
-      const measurements = await Measurement.find({ userId });
-      for (const measurement of measurements) {
-        if (measurement.photoReference) {
-          try {
-            await deleteFromS3(measurement.photoReference);
-          } catch (error) {
-            console.error('Error deleting measurement photo:', error);
-          }
-        }
-      }
-      await Measurement.deleteMany({ userId });
-
-      // Delete all notifications
-      await Notification.deleteMany({ userId });
-    } catch (error) {
-      console.error('Error deleting related data:', error);
-      // Continue with account deletion even if some cleanup fails
+      return await handleFailedDeletion(req, res, phoneDigits, 401, 'Phone or password is incorrect');
     }
+    await clearFailedAttempts('delete_account', { phone: phoneDigits });
 
-    // Delete profile image from S3 if exists
-    if (user.profileImage) {
-      try {
-        await deleteFromS3(user.profileImage);
-      } catch (error) {
-        console.error('Error deleting profile image:', error);
-        // Continue with account deletion even if image deletion fails
-      }
-    }
-
-    // Delete user account
-    await User.findByIdAndDelete(userId);
-
-    if (req.accepts('html')) {
-      return res.render('delete-account-result', {
-        success: true,
-        message: 'Your account and all associated data have been permanently deleted.'
-      });
-    }
-
-    res.json({ message: 'Account deleted successfully' });
+    const scheduledFor = await scheduleAccountDeletion(user);
+    return sendDeletionResult(
+      req,
+      res,
+      200,
+      `Your account will be permanently deleted on ${formatDeletionDate(scheduledFor)}. Log in before then to cancel.`,
+      { accountStatus: user.accountStatus, scheduledFor }
+    );
   } catch (error) {
     console.error('Error deleting account:', error);
-    if (req.accepts('html')) {
-      return res.status(500).render('delete-account-result', {
-        success: false,
-        message: error.message || 'An error occurred while deleting your account'
-      });
-    }
-    res.status(400).json({ message: error.message });
+    sendDeletionResult(req, res, 500, error.message || 'An error occurred while deleting your account');
   }
 }
 
-// Account deletion handler by phone only (no password required)
-async function handleAccountDeletionByPhone(req, res) {
+// Send an account deletion confirmation code to the phone (from the web form)
+async function handleDeletionCodeRequest(req, res) {
   try {
     // Support both JSON and form-urlencoded data
     const phone = req.body.phone;
     
     if (!phone) {
-      if (req.accepts('html')) {
-        return res.status(400).render('delete-account-result', {
-          success: false,
-          message: 'Phone number is required'
-        });
-      }
       return res.status(400).json({ message: 'Phone number is required' });
     }
 
     // Normalize phone to 11 digits
-    const phoneDigits = phone.replace(/\D/g, '');
+    const phoneDigits = String(phone).replace(/\D/g, '');
     if (phoneDigits.length !== 11) {
-      if (req.accepts('html')) {
-        return res.status(400).render('delete-account-result', {
-          success: false,
-          message: 'Phone number must be exactly 11 digits'
-        });
-      }
       return res.status(400).json({ message: 'Phone number must be exactly 11 digits' });
     }
 
-    // Find user
+    const confirmUrl = `/api/auth/delete-account?phone=${phoneDigits}`;
+
+    // Every code request counts against the IP so the form can't be used to spam SMS
+    const attempt = await recordFailedAttempt('delete_account', { ip: req.ip });
+    if (attempt.locked) {
+      return sendLockedResponse(res, attempt.retryAfter);
+    }
+
+    // Same response whether or not the account exists, so phone numbers can't be enumerated.
+    // Within the resend cooldown no new code is sent, and the answer is still the same.
     const user = await User.findOne({ phone: phoneDigits });
-    if (!user) {
-      if (req.accepts('html')) {
-        return res.status(404).render('delete-account-result', {
-          success: false,
-          message: 'Account not found with this phone number'
-        });
-      }
-      return res.status(404).json({ message: 'Account not found with this phone number' });
+    if (user) {
+      await sendOtp(phoneDigits, 'account_deletion');
     }
 
-    const userId = user._id;
+    if (wantsHtml(req)) {
+      return res.redirect(303, confirmUrl);
+    }
+    res.json({
+      message: 'If an account exists for this phone number, a confirmation code has been sent',
+      confirmUrl,
+    });
+  } catch (error) {
+    console.error('Error requesting account deletion code:', error);
+    res.status(500).json({ message: error.message || 'An error occurred while sending the confirmation code' });
+  }
+}
 
-    // Delete all related data
-    try {
-      // Delete all customers and their photos
-      const customers = await Customer.find({ userId });
-      for (const customer of customers) {
-        if (customer.photo) {
-          try {
-            await deleteFromS3(customer.photo);
-          } catch (error) {
-            console.error('Error deleting customer photo:', error);
-          }
-        }
-      }
-      await Customer.deleteMany({ userId });
-
-      // Delete all orders and their associated images
-      const orders = await Order.find({ userId });
-      for (const order of orders) {
-        // Delete style pictures
-        if (order.stylePictures && order.stylePictures.length > 0) {
-          for (const imageUrl of order.stylePictures) {
-            try {
-              await deleteFromS3(imageUrl);
-            } catch (error) {
-              console.error('Error deleting order style picture:', error);
-            }
-          }
-        }
-        // Delete sketches
-        if (order.sketches && order.sketches.length > 0) {
-          for (const sketchUrl of order.sketches) {
-            try {
-              await deleteFromS3(sketchUrl);
-            } catch (error) {
-              console.error('Error deleting order sketch:', error);
-            }
-          }
-        }
-      }
-      await Order.deleteMany({ userId });
-
-      // Delete all measurements and their photos
-      const measurements = await Measurement.find({ userId });
-      for (const measurement of measurements) {
-        if (measurement.photoReference) {
-          try {
-            await deleteFromS3(measurement.photoReference);
-          } catch (error) {
-            console.error('Error deleting measurement photo:', error);
-          }
-        }
-      }
-      await Measurement.deleteMany({ userId });
+// Confirm account deletion with the SMS code and start the grace period
+async function handleDeletionConfirmation(req, res) {
+  try {
+    const { phone, code } = req.body;
 
-      // Delete all notifications
-      await Notification.deleteMany({ userId });
-    } catch (error) {
-      console.error('Error deleting related data:', error);
-      // Continue with account deletion even if some cleanup fails
+    if (!phone || !code) {
+      return sendDeletionResult(req, res, 400, 'Phone number and confirmation code are required');
     }
 
-    // Delete profile image from S3 if exists
-    if (user.profileImage) {
-      try {
-        await deleteFromS3(user.profileImage);
-      } catch (error) {
-        console.error('Error deleting profile image:', error);
-        // Continue with account deletion even if image deletion fails
-      }
+    // Normalize phone to 11 digits
+    const phoneDigits = String(phone).replace(/\D/g, '');
+    if (phoneDigits.length !== 11) {
+      return sendDeletionResult(req, res, 400, 'Phone number must be exactly 11 digits');
     }
 
-    // Delete user account
-    await User.findByIdAndDelete(userId);
+    const user = await User.findOne({ phone: phoneDigits });
+    if (!user) {
+      return await handleFailedDeletion(req, res, phoneDigits, 400, 'Code has expired or is invalid. Please request a new one.');
+    }
 
-    if (req.accepts('html')) {
-      return res.render('delete-account-result', {
-        success: true,
-        message: 'Your account and all associated data have been permanently deleted.'
-      });
+    const result = await verifyOtp(phoneDigits, 'account_deletion', code);
+    if (!result.valid) {
+      return await handleFailedDeletion(req, res, phoneDigits, 400, result.message);
     }
+    await clearFailedAttempts('delete_account', { phone: phoneDigits });
 
-    res.json({ message: 'Account deleted successfully' });
+    const scheduledFor = await scheduleAccountDeletion(user);
+    return sendDeletionResult(
+      req,
+      res,
+      200,
+      `Your account will be permanently deleted on ${formatDeletionDate(scheduledFor)}. Log in before then to cancel.`,
+      { accountStatus: user.accountStatus, scheduledFor }
+    );
   } catch (error) {
-    console.error('Error deleting account:', error);
-    if (req.accepts('html')) {
-      return res.status(500).render('delete-account-result', {
-        success: false,
-        message: error.message || 'An error occurred while deleting your account'
-      });
-    }
-    res.status(400).json({ message: error.message });
+    console.error('Error confirming account deletion:', error);
+    sendDeletionResult(req, res, 500, error.message || 'An error occurred while deleting your account');
   }
 }
 
@@ -690,27 +914,12 @@ const handleImageUpload = async (req, res) => {
     console.log('Image upload request received');
     console.log('Request body:', req.body);
     console.log('Request file:', req.file ? 'File received' : 'No file');
-    const { phone } = req.body;
-    
-    if (!phone) {
-      return res.status(400).json({ message: 'Phone is required' });
-    }
 
     if (!req.file) {
       return res.status(400).json({ message: 'No image file provided' });
     }
 
-    // Normalize phone to 11 digits
-    const phoneDigits = phone.replace(/\D/g, '');
-    if (phoneDigits.length !== 11) {
-      return res.status(400).json({ message: 'Phone number must be exactly 11 digits' });
-    }
-
-    // Find user
-    const user = await User.findOne({ phone: phoneDigits });
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
+    const user = req.user;
 
     // Delete old image if exists (before uploading new one)
     if (user.profileImage) {
@@ -764,7 +973,7 @@ router.post('/upload-profile-image', (req, res, next) => {
     }
     next();
   });
-}, handleImageUpload);
+}, authenticate, requireOwner, handleImageUpload);
 
 // Alternative route name for avatar upload
 router.post('/avatar', (req, res, next) => {
@@ -780,7 +989,7 @@ router.post('/avatar', (req, res, next) => {
     }
     next();
   });
-}, handleImageUpload);
+}, authenticate, requireOwner, handleImageUpload);
 
 export default router;
 
@@ -8,83 +8,435 @@
  * - Users can ONLY access customers they created (enforced by userId filtering)
  * 
  * Security:
- * - userId is extracted from the phone parameter (which comes from AsyncStorage on frontend)
- * - Client-provided userId is IGNORED and replaced with authenticated user's ID
+ * - userId comes from req.user, set by the shared authenticate middleware (bearer token,
+ *   or the legacy phone parameter while transition mode is enabled)
+ * - Client-provided userId is REJECTED (allowFields) and always set from the authenticated user
  * - All queries filter by userId to ensure data isolation
+ * - Staff members act on their business's customers, limited by role (config/staffRoles.js)
  */
 
 import express from 'express';
+import mongoose from 'mongoose';
+import multer from 'multer';
 import Customer from '../models/Customer.js';
-import User from '../models/User.js';
+import { authenticate, requirePermission, getActor } from '../middleware/auth.js';
+import { hasPermission } from '../config/staffRoles.js';
+import { uploadToS3, deleteFromS3 } from '../services/s3Service.js';
+import { detectImageType } from '../utils/imageType.js';
+import { getUnpaidOrders, archiveCustomer, DELETION_MODES } from '../services/customerDeletionService.js';
+import { trashCustomer } from '../services/trashService.js';
+import { parseTagName, listTags, mergeTags, deleteTag } from '../services/customerTagService.js';
+import { getCustomerSummary } from '../services/customerSummaryService.js';
+import { normalizeTag, MAX_TAGS } from '../models/Customer.js';
+import { allowFields } from '../middleware/allowFields.js';
+import { escapeRegex } from '../utils/escapeRegex.js';
+import { encodeCursor, decodeCursor, buildCursorFilter, parseSort } from '../utils/pagination.js';
+import { getUpcomingEvents, CUSTOMER_EVENTS } from '../services/customerEventsService.js';
+import { findDuplicateGroups, mergeCustomers } from '../services/customerMergeService.js';
+import {
+  importCustomers,
+  readImportFile,
+  detectImportFormat,
+  MAX_IMPORT_ROWS,
+  EXISTING_CUSTOMER_ACTIONS,
+} from '../services/customerImportService.js';
 
 const router = express.Router();
 
-// Helper function to get user from phone
-const getUserFromPhone = async (phone) => {
-  if (!phone) return null;
-  const phoneDigits = phone.replace(/\D/g, '');
-  if (phoneDigits.length !== 11) return null;
-  return await User.findOne({ phone: phoneDigits });
+// Every customer route requires an authenticated user
+router.use(authenticate);
+
+// Configure multer for memory storage (customer import files)
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 2 * 1024 * 1024, // 2MB limit
+  },
+  // File type is checked from the file contents (see detectImportFormat)
+});
+
+// Configure multer for memory storage (customer photos)
+const photoUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+  },
+  // File type is checked from the file contents after upload (see utils/imageType.js)
+});
+
+// Parse the multipart upload and turn multer errors into 400 responses
+const uploadPhoto = (req, res, next) => {
+  photoUpload.single('image')(req, res, (err) => {
+    if (err) {
+      if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(400).json({ message: 'File size too large. Maximum size is 5MB' });
+      }
+      return res.status(400).json({ message: err.message || 'Error uploading file' });
+    }
+    next();
+  });
+};
+
+// Remove a customer photo from storage (failures are logged - the customer change still stands)
+const deleteCustomerPhoto = async (photoUrl) => {
+  if (!photoUrl) return;
+  try {
+    await deleteFromS3(photoUrl);
+  } catch (error) {
+    console.error('Error deleting customer photo:', error);
+  }
+};
+
+// Parse the multipart upload and turn multer errors into 400 responses
+const uploadImportFile = (req, res, next) => {
+  importUpload.single('file')(req, res, (err) => {
+    if (err) {
+      if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(400).json({ message: 'File size too large. Maximum size is 2MB' });
+      }
+      return res.status(400).json({ message: err.message || 'Error uploading file' });
+    }
+    next();
+  });
+};
+
+// Sort fields for GET /
+const CUSTOMER_SORT_FIELDS = ['createdAt', 'updatedAt', 'name'];
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Query parameters that switch GET / from the full list (older app builds) to a paginated page
+const LIST_QUERY_PARAMS = ['q', 'gender', 'tag', 'createdFrom', 'createdTo', 'sort', 'limit', 'cursor'];
+
+// Parse a date query parameter (null when missing, undefined when invalid)
+const parseDateParam = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
 };
 
 // Get all customers
-router.get('/', async (req, res) => {
+// Search and pagination (any of these switches the response to { customers, total, limit, nextCursor, hasMore }):
+// - q: text search across name, phone and address
+// - gender: male | female
+// - tag: customers with this tag (comma-separated for customers with all of them)
+// - createdFrom, createdTo: created date range (ISO dates)
+// - sort: createdAt | updatedAt | name, prefixed with "-" for descending (default -createdAt)
+// - limit: page size (default 20, max 100)
+// - cursor: nextCursor from the previous page
+// archived=true lists archived customers instead (either response shape)
+router.get('/', requirePermission('customers:read'), async (req, res) => {
   try {
-    let { phone } = req.query;
-    console.log('=== FETCHING CUSTOMERS ===');
-    console.log('Received phone from query:', phone);
-    
-    if (!phone) {
-      console.error('❌ Phone is missing from request');
-      return res.status(400).json({ message: 'Phone is required' });
+    const user = req.user;
+
+    // CRITICAL: Only fetch customers that belong to this user
+    // Archived (deleted with their records kept) customers are only listed with ?archived=true
+    const filter = { userId: user._id, archivedAt: req.query.archived === 'true' ? { $ne: null } : null };
+
+    // Older app builds expect every customer in one array
+    if (!LIST_QUERY_PARAMS.some(param => req.query[param] !== undefined)) {
+      const customers = await Customer.find(filter).sort({ createdAt: -1 });
+      console.log('✅ Found', customers.length, 'customers for user:', user._id.toString());
+      return res.json(customers);
     }
-    
-    // Handle case where phone might be an array
-    if (Array.isArray(phone)) {
-      phone = phone[0];
+
+    const { q, gender, cursor } = req.query;
+
+    if (q && String(q).trim()) {
+      const pattern = new RegExp(escapeRegex(String(q).trim()), 'i');
+      const conditions = [{ name: pattern }, { address: pattern }, { phone: pattern }];
+      // Match phone numbers however they were typed (spaces, dashes, +234 ...)
+      const digits = String(q).replace(/\D/g, '');
+      if (digits.length >= 3 && digits !== String(q).trim()) {
+        conditions.push({ phone: new RegExp(escapeRegex(digits)) });
+      }
+      filter.$or = conditions;
     }
-    phone = String(phone);
-    
-    const user = await getUserFromPhone(phone);
-    if (!user) {
-      console.error('❌ User not found for phone:', phone);
-      return res.status(404).json({ message: 'User not found' });
+
+    if (gender) {
+      if (!['male', 'female'].includes(gender)) {
+        return res.status(400).json({ message: 'Gender must be male or female' });
+      }
+      filter.gender = gender;
     }
-    
-    console.log('✅ Found user ID:', user._id.toString(), 'for phone:', phone);
-    
-    // CRITICAL: Only fetch customers that belong to this user
-    const customers = await Customer.find({ userId: user._id }).sort({ createdAt: -1 });
-    
-    console.log('✅ Found', customers.length, 'customers for user:', user._id.toString());
-    console.log('✅ Customer IDs:', customers.map(c => ({ id: c._id, userId: c.userId, name: c.name })));
-    console.log('========================');
-    
-    res.json(customers);
+
+    if (req.query.tag !== undefined) {
+      const tags = String(req.query.tag).split(',').map(normalizeTag).filter(Boolean);
+      if (tags.length === 0) {
+        return res.status(400).json({ message: 'Tag must not be empty' });
+      }
+      filter.tags = { $all: tags };
+    }
+
+    const createdFrom = parseDateParam(req.query.createdFrom);
+    const createdTo = parseDateParam(req.query.createdTo);
+    if (createdFrom === undefined || createdTo === undefined) {
+      return res.status(400).json({ message: 'createdFrom and createdTo must be valid dates' });
+    }
+    if (createdFrom || createdTo) {
+      filter.createdAt = {};
+      if (createdFrom) filter.createdAt.$gte = createdFrom;
+      if (createdTo) filter.createdAt.$lte = createdTo;
+    }
+
+    const sort = parseSort(req.query.sort, CUSTOMER_SORT_FIELDS, '-createdAt');
+    if (!sort) {
+      return res.status(400).json({ message: `Sort must be one of: ${CUSTOMER_SORT_FIELDS.join(', ')} (prefix with - for descending)` });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    let pageFilter = filter;
+    if (cursor) {
+      const decoded = decodeCursor(cursor);
+      if (!decoded) {
+        return res.status(400).json({ message: 'Invalid cursor' });
+      }
+      pageFilter = { $and: [filter, buildCursorFilter(sort.field, sort.direction, decoded)] };
+    }
+
+    const [customers, total] = await Promise.all([
+      Customer.find(pageFilter)
+        .sort({ [sort.field]: sort.direction, _id: sort.direction })
+        .limit(limit + 1),
+      Customer.countDocuments(filter),
+    ]);
+
+    const hasMore = customers.length > limit;
+    const page = hasMore ? customers.slice(0, limit) : customers;
+
+    res.json({
+      customers: page,
+      total,
+      limit,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1], sort.field) : null,
+      hasMore,
+    });
   } catch (error) {
     console.error('❌ Error fetching customers:', error);
     res.status(500).json({ message: error.message });
   }
 });
 
-// Get single customer
-router.get('/:id', async (req, res) => {
+// Upcoming customer birthdays and anniversaries (must be before /:id route)
+// ?days=30 (0-366) and ?type=birthday|anniversary (both by default)
+router.get('/upcoming-birthdays', requirePermission('customers:read'), async (req, res) => {
   try {
-    let { phone } = req.query;
-    if (!phone) {
-      return res.status(400).json({ message: 'Phone is required' });
+    const days = req.query.days !== undefined ? parseInt(req.query.days, 10) : 30;
+    if (!Number.isInteger(days) || days < 0 || days > 366) {
+      return res.status(400).json({ message: 'Days must be a number between 0 and 366' });
     }
-    
-    // Handle case where phone might be an array
-    if (Array.isArray(phone)) {
-      phone = phone[0];
+
+    let types = Object.keys(CUSTOMER_EVENTS);
+    if (req.query.type) {
+      if (!types.includes(req.query.type)) {
+        return res.status(400).json({ message: `Type must be one of: ${types.join(', ')}` });
+      }
+      types = [req.query.type];
     }
-    phone = String(phone);
-    
-    const user = await getUserFromPhone(phone);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
+
+    const events = await getUpcomingEvents(req.user._id, days, types);
+    res.json(events);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// List this tailor's tags with how many customers have each (must be before /:id route)
+router.get('/tags', requirePermission('customers:read'), async (req, res) => {
+  try {
+    const tags = await listTags(req.user._id);
+    res.json(tags);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Merge tags into one on every customer. Body: { tags: ["late", "Late payer"], into: "Late payer" }
+router.post('/tags/merge', requirePermission('customers:update'), async (req, res) => {
+  try {
+    const { tags, into } = req.body || {};
+    if (!Array.isArray(tags) || tags.length === 0) {
+      return res.status(400).json({ message: 'Tags to merge are required' });
     }
+    const target = parseTagName(into);
+    if (target.error) {
+      return res.status(400).json({ message: target.error });
+    }
+
+    const fromTags = [...new Set(tags.map(normalizeTag).filter(Boolean))];
+    const updatedCustomers = await mergeTags(req.user._id, fromTags, target.tag);
+    res.json({ message: 'Tags merged successfully', tag: target.tag, merged: fromTags, updatedCustomers });
+  } catch (error) {
+    console.error('Error merging tags:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Rename a tag on every customer (renaming to an existing tag merges the two). Body: { name }
+router.put('/tags/:name', requirePermission('customers:update'), async (req, res) => {
+  try {
+    const current = normalizeTag(req.params.name);
+    const target = parseTagName(req.body?.name);
+    if (target.error) {
+      return res.status(400).json({ message: target.error });
+    }
+
+    const updatedCustomers = await mergeTags(req.user._id, [current], target.tag);
+    if (updatedCustomers === 0 && current !== target.tag) {
+      return res.status(404).json({ message: 'No customers have this tag' });
+    }
+    res.json({ message: 'Tag renamed successfully', from: current, tag: target.tag, updatedCustomers });
+  } catch (error) {
+    console.error('Error renaming tag:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Remove a tag from every customer
+router.delete('/tags/:name', requirePermission('customers:update'), async (req, res) => {
+  try {
+    const tag = normalizeTag(req.params.name);
+    const updatedCustomers = await deleteTag(req.user._id, tag);
+    if (updatedCustomers === 0) {
+      return res.status(404).json({ message: 'No customers have this tag' });
+    }
+    res.json({ message: 'Tag deleted successfully', tag, updatedCustomers });
+  } catch (error) {
+    console.error('Error deleting tag:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Likely duplicate customers (must be before /:id route)
+// Groups customers with the same phone number or nearly the same name, oldest first
+router.get('/duplicates', requirePermission('customers:read'), async (req, res) => {
+  try {
+    const groups = await findDuplicateGroups(req.user._id);
+    res.json({ groups, total: groups.length });
+  } catch (error) {
+    console.error('Error finding duplicate customers:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Merge another customer into this one
+// Body: { sourceId } - the source's orders, measurements and notifications move to :id and the
+// source is deleted, all in one transaction
+router.post('/:id/merge', requirePermission('customers:update'), requirePermission('customers:delete'), async (req, res) => {
+  try {
+    const { sourceId } = req.body || {};
+    if (!sourceId || !mongoose.Types.ObjectId.isValid(sourceId) || !mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'A valid sourceId is required' });
+    }
+    if (sourceId === req.params.id) {
+      return res.status(400).json({ message: 'A customer cannot be merged into itself' });
+    }
+
+    const result = await mergeCustomers(req.user._id, req.params.id, sourceId, getActor(req));
+    if (!result) {
+      return res.status(404).json({ message: 'Customer not found or does not belong to your account' });
+    }
+    if (result.error === 'TOO_MANY_TAGS') {
+      return res.status(400).json({
+        message: `Merging would give the customer ${result.tagCount} tags, but a customer can have at most ${MAX_TAGS}. Remove some tags first.`,
+        error: 'TOO_MANY_TAGS',
+        maxTags: MAX_TAGS,
+      });
+    }
+
+    res.json({
+      message: 'Customers merged successfully',
+      customer: result.customer,
+      moved: result.moved,
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: 'Validation error: ' + error.message });
+    }
+    console.error('Error merging customers:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Import customers from a CSV file or phone contacts (.vcf)
+// Multipart form:
+// - file: the CSV or vCard file
+// - dryRun: "true" to validate and preview without saving
+// - onExisting: skip (default) | update - what to do with rows whose phone matches an existing customer
+// - defaultGender: male | female - for rows without a gender (vCards rarely have one)
+// - mapping: JSON object of CSV column header -> field (name, firstName, lastName, phone, address,
+//   gender, birthday, anniversary or ignore) for headers that aren't recognised
+router.post('/import', requirePermission('customers:create'), uploadImportFile, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'No file provided' });
+    }
+
+    const dryRun = ['true', '1', 'yes'].includes(String(req.body.dryRun || '').toLowerCase());
+    const onExisting = req.body.onExisting || 'skip';
+    if (!EXISTING_CUSTOMER_ACTIONS.includes(onExisting)) {
+      return res.status(400).json({ message: `onExisting must be one of: ${EXISTING_CUSTOMER_ACTIONS.join(', ')}` });
+    }
+    if (onExisting === 'update' && !hasPermission(req.role || 'owner', 'customers:update')) {
+      return res.status(403).json({
+        message: `Your role (${req.role}) is not allowed to do this`,
+        error: 'FORBIDDEN',
+        permission: 'customers:update',
+      });
+    }
+
+    const defaultGender = req.body.defaultGender || null;
+    if (defaultGender && !['male', 'female'].includes(defaultGender)) {
+      return res.status(400).json({ message: 'defaultGender must be male or female' });
+    }
+
+    let mapping = {};
+    if (req.body.mapping) {
+      try {
+        mapping = typeof req.body.mapping === 'string' ? JSON.parse(req.body.mapping) : req.body.mapping;
+      } catch (error) {
+        mapping = null;
+      }
+      if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+        return res.status(400).json({ message: 'mapping must be a JSON object of column header to field' });
+      }
+    }
+
+    const format = detectImportFormat(req.file.buffer, req.file.originalname);
+    if (!format) {
+      return res.status(400).json({ message: 'File must be a CSV file or vCard (.vcf) contacts. Save spreadsheets as CSV first.' });
+    }
+
+    const { records, columns, errors } = readImportFile(req.file.buffer, format, mapping);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: errors.join('. '), error: 'INVALID_IMPORT_FILE', errors, columns });
+    }
+    if (records.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ message: `Too many customers in one file. Maximum is ${MAX_IMPORT_ROWS}` });
+    }
+
+    const { summary, rows } = await importCustomers({
+      userId: req.user._id,
+      records,
+      dryRun,
+      onExisting,
+      defaultGender,
+      actor: getActor(req),
+    });
+
+    console.log(`✅ Customer import (${format}${dryRun ? ', dry run' : ''}) for user ${req.user._id}:`, summary);
+    res.status(dryRun ? 200 : 201).json({ dryRun, format, columns, summary, rows });
+  } catch (error) {
+    console.error('Error importing customers:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Get single customer
+router.get('/:id', requirePermission('customers:read'), async (req, res) => {
+  try {
+    const user = req.user;
     
     // CRITICAL: Only return customer if it belongs to this user
     const customer = await Customer.findOne({ _id: req.params.id, userId: user._id });
@@ -97,74 +449,46 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// Customer profile: the customer with order totals, balance and latest measurements in one call
+router.get('/:id/summary', requirePermission('customers:read'), requirePermission('orders:read'), async (req, res) => {
+  try {
+    const customer = await Customer.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!customer) {
+      return res.status(404).json({ message: 'Customer not found or does not belong to your account' });
+    }
+
+    const summary = await getCustomerSummary(customer);
+    res.json(summary);
+  } catch (error) {
+    console.error('Error building customer summary:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
 // Create customer
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('customers:create'), allowFields('customer.create'), async (req, res) => {
   try {
     console.log('=== CUSTOMER CREATION REQUEST ===');
     console.log('Full request body:', JSON.stringify(req.body, null, 2));
-    console.log('Request headers:', req.headers);
     
-    let { phone, ...customerData } = req.body;
-    console.log('Extracted phone (for user auth):', phone);
+    // NOTE: Older app builds send the phone in the body for both user authentication
+    // (legacy transition mode) and as the customer's phone - it is kept as the customer's phone
+    const customerData = { ...req.fields };
     console.log('Extracted customerData:', customerData);
     
-    // IMPORTANT: The phone in the request body serves dual purpose:
-    // 1. User authentication (to find which user is creating the customer)
-    // 2. Customer's phone number (stored in the customer record)
-    // We need to preserve the phone for the customer record
-    customerData.phone = phone;
-    
-    // CRITICAL: Phone is required for user identification
-    if (!phone) {
-      console.error('❌ CRITICAL: Phone is missing from request body!');
-      console.error('❌ Request body keys:', Object.keys(req.body));
-      return res.status(400).json({ 
-        message: 'Phone is required for customer creation',
-        received: Object.keys(req.body),
-        error: 'MISSING_PHONE'
-      });
-    }
-    
-    // Handle case where phone might be an array
-    if (Array.isArray(phone)) {
-      console.log('📞 Phone is array, taking first element:', phone);
-      phone = phone[0];
-    }
-    
-    // Ensure phone is a string
-    phone = String(phone);
-    console.log('📞 Final phone for user lookup:', phone);
-    
-    // Find user by phone
-    const user = await getUserFromPhone(phone);
-    if (!user) {
-      console.error('❌ CRITICAL: User not found for phone:', phone);
-      console.error('❌ This means either:');
-      console.error('   1. User is not logged in');
-      console.error('   2. Phone format is incorrect');
-      console.error('   3. User does not exist in database');
-      return res.status(404).json({ 
-        message: 'User not found. Please ensure you are logged in.',
-        phone: phone,
-        error: 'USER_NOT_FOUND'
-      });
-    }
-    
+    const user = req.user;
     console.log('✅ Found user for customer creation:');
     console.log('   User ID:', user._id.toString());
     console.log('   User phone:', user.phone);
     console.log('   User business:', user.businessName);
     
-    // CRITICAL SECURITY: Remove any userId from client data
-    if (customerData.userId) {
-      console.warn('⚠️ Client tried to send userId - IGNORING for security');
-      delete customerData.userId;
-    }
-    
     // FORCE userId to authenticated user - NEVER trust client
+    const actor = getActor(req);
     const customerToSave = {
       ...customerData,
       userId: user._id, // ALWAYS use server-side authenticated user ID
+      createdBy: actor,
+      updatedBy: actor,
     };
     
     console.log('✅ Customer data to save:');
@@ -238,26 +562,17 @@ router.post('/', async (req, res) => {
 });
 
 // Update customer
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('customers:update'), allowFields('customer.update'), async (req, res) => {
   try {
-    let { phone, ...updateData } = req.body;
-    if (!phone) {
-      return res.status(400).json({ message: 'Phone is required' });
-    }
+    const user = req.user;
+    const updateData = { ...req.fields };
     
-    // Handle case where phone might be an array
-    if (Array.isArray(phone)) {
-      phone = phone[0];
+    // Legacy clients send the tailor's phone to authenticate - never apply it to the customer
+    if (req.authMethod === 'phone') {
+      delete updateData.phone;
     }
-    phone = String(phone);
     
-    const user = await getUserFromPhone(phone);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
-    
-    // CRITICAL: Prevent userId from being changed
-    delete updateData.userId;
+    updateData.updatedBy = getActor(req);
     
     const customer = await Customer.findOneAndUpdate(
       { _id: req.params.id, userId: user._id },
@@ -274,31 +589,226 @@ router.put('/:id', async (req, res) => {
   }
 });
 
-// Delete customer
-router.delete('/:id', async (req, res) => {
+// Upload or replace a customer's photo (multipart field "image": JPEG, PNG, GIF or WebP, max 5MB)
+// Stored under customer-photos/ in R2; the previous photo is deleted once the new one is saved
+router.post('/:id/photo', requirePermission('customers:update'), uploadPhoto, async (req, res) => {
   try {
-    let { phone } = req.query;
-    if (!phone) {
-      return res.status(400).json({ message: 'Phone is required' });
+    if (!req.file) {
+      return res.status(400).json({ message: 'No image file provided' });
     }
-    
-    // Handle case where phone might be an array
-    if (Array.isArray(phone)) {
-      phone = phone[0];
+
+    // Trust the file contents, not the client's mimetype or file name
+    const imageType = detectImageType(req.file.buffer);
+    if (!imageType) {
+      return res.status(400).json({ message: 'File must be a JPEG, PNG, GIF or WebP image' });
     }
-    phone = String(phone);
-    
-    const user = await getUserFromPhone(phone);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
+
+    const customer = await Customer.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!customer) {
+      return res.status(404).json({ message: 'Customer not found or does not belong to your account' });
     }
-    
+
+    const photoUrl = await uploadToS3(
+      req.file.buffer,
+      `customer-photos/${req.user._id}/${customer._id}.${imageType.extension}`,
+      imageType.mimetype
+    );
+
+    const previousPhoto = customer.photo;
+    customer.photo = photoUrl;
+    customer.updatedBy = getActor(req);
+    try {
+      await customer.save();
+    } catch (error) {
+      // Don't leave the new file behind if the customer couldn't be updated
+      await deleteCustomerPhoto(photoUrl);
+      throw error;
+    }
+
+    if (previousPhoto && previousPhoto !== photoUrl) {
+      await deleteCustomerPhoto(previousPhoto);
+    }
+
+    res.json({
+      message: 'Customer photo uploaded successfully',
+      photo: photoUrl,
+      customer,
+    });
+  } catch (error) {
+    console.error('Error uploading customer photo:', error);
+    res.status(500).json({ message: error.message || 'Failed to upload customer photo' });
+  }
+});
+
+// Remove a customer's photo
+router.delete('/:id/photo', requirePermission('customers:update'), async (req, res) => {
+  try {
+    const customer = await Customer.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!customer) {
+      return res.status(404).json({ message: 'Customer not found or does not belong to your account' });
+    }
+    if (!customer.photo) {
+      return res.status(404).json({ message: 'This customer has no photo' });
+    }
+
+    const previousPhoto = customer.photo;
+    customer.photo = null;
+    customer.updatedBy = getActor(req);
+    await customer.save();
+    await deleteCustomerPhoto(previousPhoto);
+
+    res.json({ message: 'Customer photo removed successfully', customer });
+  } catch (error) {
+    console.error('Error removing customer photo:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Add a note to a customer. Body: { text }
+router.post('/:id/notes', requirePermission('customers:update'), async (req, res) => {
+  try {
+    const customer = await Customer.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!customer) {
+      return res.status(404).json({ message: 'Customer not found or does not belong to your account' });
+    }
+
+    const actor = getActor(req);
+    customer.notes.push({ text: req.body?.text, createdBy: actor, updatedBy: actor });
+    customer.updatedBy = actor;
+    await customer.save();
+
+    res.status(201).json({ note: customer.notes[customer.notes.length - 1], customer });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: 'Validation error: ' + error.message });
+    }
+    console.error('Error adding customer note:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Edit a note. Body: { text }
+router.put('/:id/notes/:noteId', requirePermission('customers:update'), async (req, res) => {
+  try {
+    const customer = await Customer.findOne({ _id: req.params.id, userId: req.user._id });
+    const note = customer?.notes.id(req.params.noteId);
+    if (!note) {
+      return res.status(404).json({ message: 'Note not found' });
+    }
+
+    const actor = getActor(req);
+    note.text = req.body?.text;
+    note.updatedBy = actor;
+    customer.updatedBy = actor;
+    await customer.save();
+
+    res.json({ note, customer });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: 'Validation error: ' + error.message });
+    }
+    console.error('Error updating customer note:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Delete a note
+router.delete('/:id/notes/:noteId', requirePermission('customers:update'), async (req, res) => {
+  try {
+    const customer = await Customer.findOne({ _id: req.params.id, userId: req.user._id });
+    const note = customer?.notes.id(req.params.noteId);
+    if (!note) {
+      return res.status(404).json({ message: 'Note not found' });
+    }
+
+    note.deleteOne();
+    customer.updatedBy = getActor(req);
+    await customer.save();
+
+    res.json({ message: 'Note deleted successfully', customer });
+  } catch (error) {
+    console.error('Error deleting customer note:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Delete customer
+// ?mode=archive (default) keeps the customer's orders, measurements and notifications and hides the
+// customer from the list; ?mode=delete moves the customer, their orders and measurements to the
+// trash (restorable until purged) and deletes their notifications.
+// Customers with unpaid order balances can't be deleted either way.
+router.delete('/:id', requirePermission('customers:delete'), async (req, res) => {
+  try {
+    const user = req.user;
+    const mode = req.query.mode || 'archive';
+    if (!DELETION_MODES.includes(mode)) {
+      return res.status(400).json({ message: `Mode must be one of: ${DELETION_MODES.join(', ')}` });
+    }
+    if (mode === 'delete' && !hasPermission(req.role || 'owner', 'orders:delete')) {
+      return res.status(403).json({
+        message: `Your role (${req.role}) is not allowed to do this`,
+        error: 'FORBIDDEN',
+        permission: 'orders:delete',
+      });
+    }
+
     // CRITICAL: Only delete customer if it belongs to this user
-    const customer = await Customer.findOneAndDelete({ _id: req.params.id, userId: user._id });
+    const customer = await Customer.findOne({ _id: req.params.id, userId: user._id });
     if (!customer) {
       return res.status(404).json({ message: 'Customer not found or does not belong to your account' });
     }
-    res.json({ message: 'Customer deleted successfully' });
+
+    const unpaid = await getUnpaidOrders(user._id, customer._id);
+    if (unpaid.orders.length > 0) {
+      return res.status(409).json({
+        message: `${customer.name} still owes ${unpaid.totalBalance} on ${unpaid.orders.length} order${unpaid.orders.length !== 1 ? 's' : ''}. Record the payments or clear the balances first.`,
+        error: 'UNPAID_BALANCE',
+        totalBalance: unpaid.totalBalance,
+        unpaidOrders: unpaid.orders,
+      });
+    }
+
+    if (mode === 'archive') {
+      const { kept } = await archiveCustomer(customer, getActor(req));
+      return res.json({
+        message: 'Customer deleted successfully',
+        mode,
+        customerId: customer._id,
+        kept,
+        removed: { customer: 0, orders: 0, measurements: 0, notifications: 0 },
+      });
+    }
+
+    const { counts, purgeAt } = await trashCustomer(customer, getActor(req));
+    res.json({
+      message: 'Customer moved to trash',
+      mode,
+      customerId: customer._id,
+      kept: { orders: 0, measurements: 0, notifications: 0 },
+      removed: counts,
+      restorableUntil: purgeAt,
+    });
+  } catch (error) {
+    console.error('Error deleting customer:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Bring back an archived customer
+router.post('/:id/unarchive', requirePermission('customers:delete'), async (req, res) => {
+  try {
+    const customer = await Customer.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!customer) {
+      return res.status(404).json({ message: 'Customer not found or does not belong to your account' });
+    }
+    if (!customer.archivedAt) {
+      return res.status(400).json({ message: 'This customer is not archived' });
+    }
+
+    customer.archivedAt = null;
+    customer.updatedBy = getActor(req);
+    await customer.save();
+    res.json({ message: 'Customer restored successfully', customer });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -1,51 +1,223 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import Measurement from '../models/Measurement.js';
-import User from '../models/User.js';
+import MeasurementTemplate from '../models/MeasurementTemplate.js';
+import { authenticate, requirePermission, getActor } from '../middleware/auth.js';
+import { allowFields, requireOwnReferences } from '../middleware/allowFields.js';
+import { moveToTrash } from '../services/trashService.js';
+import {
+  TEMPLATE_GENDERS,
+  formatTemplate,
+  listTemplates,
+  findTemplate,
+  applyTemplate,
+  prepareTemplateFields,
+} from '../services/measurementTemplateService.js';
+import {
+  MEASUREMENT_UNITS,
+  DEFAULT_UNIT,
+  DEFAULT_ROUNDING,
+  MAX_ROUNDING,
+  convertMeasurements,
+} from '../utils/measurementUnits.js';
+import {
+  ensureBaseline,
+  recordRevision,
+  diffValues,
+  getHistory,
+  restoreRevision,
+  compareMeasurements,
+} from '../services/measurementHistoryService.js';
+import { checkMeasurement } from '../services/measurementValidationService.js';
+import { PRINT_SIZES, renderMeasurementSheet } from '../services/printService.js';
 
 const router = express.Router();
 
-// Helper function to get user from phone
-const getUserFromPhone = async (phone) => {
-  if (!phone) return null;
-  const phoneDigits = phone.replace(/\D/g, '');
-  if (phoneDigits.length !== 11) return null;
-  return await User.findOne({ phone: phoneDigits });
+// Every route requires an authenticated user
+router.use(authenticate);
+
+// Check measurement values against their template and save them under the template's keys.
+// Sends a 400 and returns null when the template doesn't exist or a value matches no field;
+// otherwise returns the template and the missing required fields.
+const checkTemplate = async (req, res, fields) => {
+  if (!fields.template) return { template: null, missingFields: [] };
+
+  const template = await findTemplate(req.user._id, fields.template);
+  if (!template) {
+    res.status(400).json({ message: 'Measurement template not found', error: 'TEMPLATE_NOT_FOUND' });
+    return null;
+  }
+
+  const { measurements, unknownFields, duplicateFields, missingFields } = applyTemplate(template, fields.measurements);
+  if (unknownFields.length > 0 || duplicateFields.length > 0) {
+    const problems = [
+      ...unknownFields.map(name => `${name} (not in template)`),
+      ...duplicateFields.map(key => `${key} (given more than once)`),
+    ];
+    res.status(400).json({
+      message: `Invalid measurements for ${template.name}: ${problems.join(', ')}`,
+      error: 'INVALID_MEASUREMENTS',
+      unknownFields,
+      duplicateFields,
+      allowedFields: template.fields.map(({ key }) => key),
+    });
+    return null;
+  }
+
+  fields.measurements = measurements;
+  if (!fields.category) fields.category = template.name;
+  return { template, missingFields };
 };
 
-// Get all measurements
-router.get('/', async (req, res) => {
+// Read ?unit=in|cm and ?round= (rounding step, e.g. 0.25) for the GET routes.
+// Sends a 400 and returns null when they are invalid; { unit: null } means no conversion.
+const parseUnitQuery = (req, res) => {
+  const { unit, round } = req.query;
+  if (unit === undefined) return { unit: null };
+  if (!MEASUREMENT_UNITS.includes(unit)) {
+    res.status(400).json({ message: `Unit must be one of: ${MEASUREMENT_UNITS.join(', ')}` });
+    return null;
+  }
+
+  if (round === undefined) return { unit, step: DEFAULT_ROUNDING[unit] };
+  const step = Number(round);
+  if (!Number.isFinite(step) || step <= 0 || step > MAX_ROUNDING) {
+    res.status(400).json({ message: `Round must be a number greater than 0 and at most ${MAX_ROUNDING}` });
+    return null;
+  }
+  return { unit, step };
+};
+
+// YYYY-MM-DD means the end of that day (UTC), so measurements taken that day are included
+const parseHistoryDate = (value) => {
+  if (value === undefined) return null;
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T23:59:59.999Z`) : new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+// A measurement in the requested unit; records without a unit are in the tailor's default unit
+const inUnit = (measurement, { unit, step }, defaultUnit) => {
+  if (!unit) return measurement;
+  const from = measurement.unit || defaultUnit || DEFAULT_UNIT;
+  const json = measurement.toJSON();
+  if (from === unit) return { ...json, unit };
+  return {
+    ...json,
+    measurements: convertMeasurements(measurement.measurements, from, unit, step),
+    unit,
+    convertedFrom: from,
+  };
+};
+
+// List measurement templates: built-in ones, then the tailor's own (must be before /:id route)
+// ?gender=male|female
+router.get('/templates', requirePermission('measurements:read'), async (req, res) => {
   try {
-    const { phone } = req.query;
-    if (!phone) {
-      return res.status(400).json({ message: 'Phone is required' });
+    const { gender } = req.query;
+    if (gender && !TEMPLATE_GENDERS.includes(gender)) {
+      return res.status(400).json({ message: `Gender must be one of: ${TEMPLATE_GENDERS.join(', ')}` });
     }
-    
-    const user = await getUserFromPhone(phone);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
+    const templates = await listTemplates(req.user._id, gender);
+    res.json(templates);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Get a single template
+router.get('/templates/:templateId', requirePermission('measurements:read'), async (req, res) => {
+  try {
+    const template = await findTemplate(req.user._id, req.params.templateId);
+    if (!template) {
+      return res.status(404).json({ message: 'Measurement template not found' });
     }
+    res.json(formatTemplate(template));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Create a custom template
+// Body: { name, garment, gender, unit, fields: [{ key, label, required, min, max }] } - key defaults to the
+// label in camelCase, unit (of min and max) to the tailor's unit
+router.post('/templates', requirePermission('measurements:manage_templates'), allowFields('measurementTemplate.create'), async (req, res) => {
+  try {
+    const template = new MeasurementTemplate({
+      unit: req.user.measurementUnit || DEFAULT_UNIT,
+      ...req.fields,
+      fields: prepareTemplateFields(req.fields.fields),
+      userId: req.user._id,
+    });
+    await template.save();
+    res.status(201).json(formatTemplate(template));
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Update a custom template (built-in templates can't be changed).
+// Measurements already saved with it keep their values.
+router.put('/templates/:templateId', requirePermission('measurements:manage_templates'), allowFields('measurementTemplate.update'), async (req, res) => {
+  try {
+    const template = await findTemplate(req.user._id, req.params.templateId);
+    if (!template) {
+      return res.status(404).json({ message: 'Measurement template not found' });
+    }
+    if (!template._id) {
+      return res.status(403).json({ message: 'Built-in templates cannot be changed', error: 'BUILT_IN_TEMPLATE' });
+    }
+
+    const fields = { ...req.fields };
+    if (fields.fields !== undefined) fields.fields = prepareTemplateFields(fields.fields);
+    template.set(fields);
+    await template.save();
+    res.json(formatTemplate(template));
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Delete a custom template. Measurements saved with it keep their values but are no longer checked.
+router.delete('/templates/:templateId', requirePermission('measurements:manage_templates'), async (req, res) => {
+  try {
+    const template = await findTemplate(req.user._id, req.params.templateId);
+    if (!template) {
+      return res.status(404).json({ message: 'Measurement template not found' });
+    }
+    if (!template._id) {
+      return res.status(403).json({ message: 'Built-in templates cannot be deleted', error: 'BUILT_IN_TEMPLATE' });
+    }
+
+    await template.deleteOne();
+    res.json({ message: 'Measurement template deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Get all measurements
+// ?unit=in|cm converts the values, rounded to ?round= (default 1/8 inch or 1 mm)
+router.get('/', requirePermission('measurements:read'), async (req, res) => {
+  try {
+    const user = req.user;
+    const unitQuery = parseUnitQuery(req, res);
+    if (!unitQuery) return;
     
     const measurements = await Measurement.find({ userId: user._id })
       .populate('customerId')
       .sort({ createdAt: -1 });
-    res.json(measurements);
+    res.json(measurements.map(measurement => inUnit(measurement, unitQuery, user.measurementUnit)));
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
-// Get measurements by customer
-router.get('/customer/:customerId', async (req, res) => {
+// Get measurements by customer (?unit= and ?round= as above)
+router.get('/customer/:customerId', requirePermission('measurements:read'), async (req, res) => {
   try {
-    const { phone } = req.query;
-    if (!phone) {
-      return res.status(400).json({ message: 'Phone is required' });
-    }
-    
-    const user = await getUserFromPhone(phone);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
+    const user = req.user;
+    const unitQuery = parseUnitQuery(req, res);
+    if (!unitQuery) return;
     
     const measurements = await Measurement.find({ 
       customerId: req.params.customerId,
@@ -53,103 +225,231 @@ router.get('/customer/:customerId', async (req, res) => {
     })
       .populate('customerId')
       .sort({ createdAt: -1 });
-    res.json(measurements);
+    res.json(measurements.map(measurement => inUnit(measurement, unitQuery, user.measurementUnit)));
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
-// Get single measurement
-router.get('/:id', async (req, res) => {
+// Compare a customer's measurements of a category between two dates (must be before /:id route)
+// ?customerId=&category=&from=YYYY-MM-DD&to=YYYY-MM-DD (to defaults to now)
+router.get('/compare', requirePermission('measurements:read'), async (req, res) => {
   try {
-    const { phone } = req.query;
-    if (!phone) {
-      return res.status(400).json({ message: 'Phone is required' });
+    const { customerId, category } = req.query;
+    if (!customerId || !mongoose.Types.ObjectId.isValid(customerId)) {
+      return res.status(400).json({ message: 'A valid customerId is required' });
     }
-    
-    const user = await getUserFromPhone(phone);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
+    if (!category || !String(category).trim()) {
+      return res.status(400).json({ message: 'Category is required' });
+    }
+    const from = parseHistoryDate(req.query.from);
+    const to = req.query.to === undefined ? new Date() : parseHistoryDate(req.query.to);
+    if (!from || !to) {
+      return res.status(400).json({ message: 'from (and to, if given) must be dates, e.g. 2025-01-31' });
     }
+    if (from > to) {
+      return res.status(400).json({ message: 'from must be before to' });
+    }
+
+    const comparison = await compareMeasurements({
+      userId: req.user._id,
+      customerId: new mongoose.Types.ObjectId(customerId),
+      category: String(category).trim(),
+      from,
+      to,
+      defaultUnit: req.user.measurementUnit,
+    });
+    if (!comparison.from && !comparison.to) {
+      return res.status(404).json({ message: 'No measurements of this category for this customer by that date' });
+    }
+    res.json(comparison);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Get single measurement (?unit= and ?round= as above)
+router.get('/:id', requirePermission('measurements:read'), async (req, res) => {
+  try {
+    const user = req.user;
+    const unitQuery = parseUnitQuery(req, res);
+    if (!unitQuery) return;
     
     const measurement = await Measurement.findOne({ _id: req.params.id, userId: user._id })
       .populate('customerId');
     if (!measurement) {
       return res.status(404).json({ message: 'Measurement not found' });
     }
-    res.json(measurement);
+    res.json(inUnit(measurement, unitQuery, user.measurementUnit));
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
 // Create measurement
-router.post('/', async (req, res) => {
+// unit defaults to the tailor's measurementUnit. With a template, the values are checked against it
+// and the response lists missingFields. Implausible values are saved and listed in warnings.
+router.post('/', requirePermission('measurements:create'), allowFields('measurement.create'), requireOwnReferences, async (req, res) => {
   try {
-    const { phone, ...measurementData } = req.body;
-    if (!phone) {
-      return res.status(400).json({ message: 'Phone is required' });
-    }
-    
-    const user = await getUserFromPhone(phone);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
-    
-    const measurement = new Measurement({ ...measurementData, userId: user._id });
+    const user = req.user;
+    const fields = { ...req.fields };
+    if (!fields.unit) fields.unit = user.measurementUnit || DEFAULT_UNIT;
+    const checked = await checkTemplate(req, res, fields);
+    if (!checked) return;
+
+    const measurement = new Measurement({ ...fields, userId: user._id });
     const savedMeasurement = await measurement.save();
+    await recordRevision(savedMeasurement, 'create', getActor(req));
+    const warnings = await checkMeasurement(savedMeasurement, checked.template, user.measurementUnit);
     await savedMeasurement.populate('customerId');
-    res.status(201).json(savedMeasurement);
+
+    const response = { ...savedMeasurement.toJSON(), warnings };
+    if (checked.template) response.missingFields = checked.missingFields;
+    res.status(201).json(response);
   } catch (error) {
     res.status(400).json({ message: error.message });
   }
 });
 
 // Update measurement
-router.put('/:id', async (req, res) => {
+// Changed values (or a changed template) are checked against the measurement's template. Changing
+// unit relabels the values as they are (to fix a wrong unit); it does not convert them.
+// Every change of the values, unit, category or template adds a revision to the history.
+// The response lists plausibility warnings like POST.
+router.put('/:id', requirePermission('measurements:update'), allowFields('measurement.update'), requireOwnReferences, async (req, res) => {
   try {
-    const { phone, ...updateData } = req.body;
-    if (!phone) {
-      return res.status(400).json({ message: 'Phone is required' });
+    const user = req.user;
+    const fields = { ...req.fields };
+
+    const measurement = await Measurement.findOne({ _id: req.params.id, userId: user._id });
+    if (!measurement) {
+      return res.status(404).json({ message: 'Measurement not found' });
     }
-    
-    const user = await getUserFromPhone(phone);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
+
+    // A template deleted since the measurement was saved no longer checks it
+    const templateId = fields.template !== undefined ? fields.template : measurement.template;
+    const template = templateId ? await findTemplate(user._id, templateId) : null;
+    let missingFields = null;
+    if ((fields.template !== undefined || fields.measurements !== undefined) && (fields.template || template)) {
+      const values = {
+        template: templateId,
+        measurements: fields.measurements ?? measurement.measurements,
+        category: fields.category ?? measurement.category,
+      };
+      const checked = await checkTemplate(req, res, values);
+      if (!checked) return;
+      missingFields = checked.missingFields;
+      fields.measurements = values.measurements;
     }
-    
-    const measurement = await Measurement.findOneAndUpdate(
-      { _id: req.params.id, userId: user._id },
-      updateData,
-      { new: true, runValidators: true }
-    ).populate('customerId');
+
+    const before = measurement.toObject({ flattenMaps: true });
+    measurement.set(fields);
+    // Apps often send the whole record back, so only real changes add a revision
+    const changes = diffValues(before, measurement, user.measurementUnit);
+    const changed = changes.measurements.length > 0 || changes.unit || changes.category
+      || (before.template || null) !== (measurement.template || null);
+    if (changed) {
+      // Measurements from before history was kept get their old values saved first
+      await ensureBaseline(before);
+    }
+    await measurement.save();
+    if (changed) {
+      await recordRevision(measurement, 'update', getActor(req));
+    }
+
+    const warnings = await checkMeasurement(measurement, template, user.measurementUnit);
+    await measurement.populate('customerId');
+
+    const response = { ...measurement.toJSON(), warnings };
+    if (missingFields) response.missingFields = missingFields;
+    res.json(response);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Printable measurement sheet (PDF)
+// ?size=A4|A5 (default A4); ?unit= and ?round= print the values converted, as for the GET routes
+router.get('/:id/sheet.pdf', requirePermission('measurements:read'), async (req, res) => {
+  try {
+    const size = String(req.query.size || 'A4').toUpperCase();
+    if (!PRINT_SIZES.includes(size)) {
+      return res.status(400).json({ message: `Size must be one of: ${PRINT_SIZES.join(', ')}` });
+    }
+    const unitQuery = parseUnitQuery(req, res);
+    if (!unitQuery) return;
+
+    const measurement = await Measurement.findOne({ _id: req.params.id, userId: req.user._id })
+      .populate('customerId');
     if (!measurement) {
       return res.status(404).json({ message: 'Measurement not found' });
     }
-    res.json(measurement);
+
+    const pdf = await renderMeasurementSheet({
+      user: req.user,
+      measurement,
+      size,
+      unit: unitQuery.unit,
+      roundStep: unitQuery.step,
+    });
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `inline; filename="measurement-sheet-${measurement._id}.pdf"`,
+      'Content-Length': pdf.length,
+    });
+    res.send(pdf);
   } catch (error) {
-    res.status(400).json({ message: error.message });
+    console.error('Error printing measurement sheet:', error);
+    res.status(500).json({ message: error.message });
   }
 });
 
-// Delete measurement
-router.delete('/:id', async (req, res) => {
+// Revisions of a measurement, newest first, with what changed in each
+router.get('/:id/history', requirePermission('measurements:read'), async (req, res) => {
   try {
-    const { phone } = req.query;
-    if (!phone) {
-      return res.status(400).json({ message: 'Phone is required' });
+    const measurement = await Measurement.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!measurement) {
+      return res.status(404).json({ message: 'Measurement not found' });
     }
-    
-    const user = await getUserFromPhone(phone);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
+    const revisions = await getHistory(measurement, req.user.measurementUnit);
+    res.json({ measurementId: measurement._id, revisions });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Put a measurement back to the values of an earlier revision (added to the history as a restore)
+router.post('/:id/history/:version/restore', requirePermission('measurements:update'), async (req, res) => {
+  try {
+    const version = parseInt(req.params.version, 10);
+    const measurement = await Measurement.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!measurement || !Number.isInteger(version)) {
+      return res.status(404).json({ message: 'Measurement not found' });
+    }
+
+    const restored = await restoreRevision(measurement, version, getActor(req));
+    if (!restored) {
+      return res.status(404).json({ message: 'Revision not found' });
     }
+    await restored.populate('customerId');
+    res.json({ message: `Restored version ${version}`, measurement: restored });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Delete measurement
+router.delete('/:id', requirePermission('measurements:delete'), async (req, res) => {
+  try {
+    const user = req.user;
     
-    const measurement = await Measurement.findOneAndDelete({ _id: req.params.id, userId: user._id });
+    // Deleted measurements go to the trash and can be restored until they are purged
+    const measurement = await Measurement.findOne({ _id: req.params.id, userId: user._id });
     if (!measurement) {
       return res.status(404).json({ message: 'Measurement not found' });
     }
-    res.json({ message: 'Measurement deleted successfully' });
+    const restorableUntil = await moveToTrash(measurement, getActor(req));
+    res.json({ message: 'Measurement moved to trash', restorableUntil });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
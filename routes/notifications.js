@@ -1,29 +1,17 @@
 import express from 'express';
 import Notification from '../models/Notification.js';
-import User from '../models/User.js';
+import { authenticate } from '../middleware/auth.js';
+import { allowFields, requireOwnReferences } from '../middleware/allowFields.js';
 
 const router = express.Router();
 
-// Helper function to get user from phone
-const getUserFromPhone = async (phone) => {
-  if (!phone) return null;
-  const phoneDigits = phone.replace(/\D/g, '');
-  if (phoneDigits.length !== 11) return null;
-  return await User.findOne({ phone: phoneDigits });
-};
+// Every route requires an authenticated user
+router.use(authenticate);
 
 // Get all notifications
 router.get('/', async (req, res) => {
   try {
-    const { phone } = req.query;
-    if (!phone) {
-      return res.status(400).json({ message: 'Phone is required' });
-    }
-    
-    const user = await getUserFromPhone(phone);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
+    const user = req.user;
     
     const notifications = await Notification.find({ userId: user._id })
       .populate('orderId')
@@ -38,15 +26,7 @@ router.get('/', async (req, res) => {
 // Get unread notifications
 router.get('/unread', async (req, res) => {
   try {
-    const { phone } = req.query;
-    if (!phone) {
-      return res.status(400).json({ message: 'Phone is required' });
-    }
-    
-    const user = await getUserFromPhone(phone);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
+    const user = req.user;
     
     const notifications = await Notification.find({ 
       read: false,
@@ -64,15 +44,7 @@ router.get('/unread', async (req, res) => {
 // Get single notification
 router.get('/:id', async (req, res) => {
   try {
-    const { phone } = req.query;
-    if (!phone) {
-      return res.status(400).json({ message: 'Phone is required' });
-    }
-    
-    const user = await getUserFromPhone(phone);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
+    const user = req.user;
     
     const notification = await Notification.findOne({ _id: req.params.id, userId: user._id })
       .populate('orderId')
@@ -87,19 +59,10 @@ router.get('/:id', async (req, res) => {
 });
 
 // Create notification
-router.post('/', async (req, res) => {
+router.post('/', allowFields('notification.create'), requireOwnReferences, async (req, res) => {
   try {
-    const { phone, ...notificationData } = req.body;
-    if (!phone) {
-      return res.status(400).json({ message: 'Phone is required' });
-    }
-    
-    const user = await getUserFromPhone(phone);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
-    
-    const notification = new Notification({ ...notificationData, userId: user._id });
+    const user = req.user;
+    const notification = new Notification({ ...req.fields, userId: user._id });
     const savedNotification = await notification.save();
     await savedNotification.populate('orderId');
     await savedNotification.populate('customerId');
@@ -110,21 +73,12 @@ router.post('/', async (req, res) => {
 });
 
 // Update notification (mark as read)
-router.put('/:id', async (req, res) => {
+router.put('/:id', allowFields('notification.update'), async (req, res) => {
   try {
-    const { phone, ...updateData } = req.body;
-    if (!phone) {
-      return res.status(400).json({ message: 'Phone is required' });
-    }
-    
-    const user = await getUserFromPhone(phone);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
-    
+    const user = req.user;
     const notification = await Notification.findOneAndUpdate(
       { _id: req.params.id, userId: user._id },
-      updateData,
+      req.fields,
       { new: true, runValidators: true }
     )
       .populate('orderId')
@@ -141,15 +95,7 @@ router.put('/:id', async (req, res) => {
 // Mark all as read
 router.put('/mark-all-read', async (req, res) => {
   try {
-    const { phone } = req.body;
-    if (!phone) {
-      return res.status(400).json({ message: 'Phone is required' });
-    }
-    
-    const user = await getUserFromPhone(phone);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
+    const user = req.user;
     
     await Notification.updateMany({ userId: user._id, read: false }, { read: true });
     res.json({ message: 'All notifications marked as read' });
@@ -161,15 +107,7 @@ router.put('/mark-all-read', async (req, res) => {
 // Delete notification
 router.delete('/:id', async (req, res) => {
   try {
-    const { phone } = req.query;
-    if (!phone) {
-      return res.status(400).json({ message: 'Phone is required' });
-    }
-    
-    const user = await getUserFromPhone(phone);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
+    const user = req.user;
     
     const notification = await Notification.findOneAndDelete({ _id: req.params.id, userId: user._id });
     if (!notification) {
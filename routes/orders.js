@@ -1,30 +1,40 @@
 import express from 'express';
 import Order from '../models/Order.js';
-import User from '../models/User.js';
 import Customer from '../models/Customer.js';
+import { authenticate, requirePermission, getActor } from '../middleware/auth.js';
+import { allowFields } from '../middleware/allowFields.js';
+import { hasPermission } from '../config/staffRoles.js';
+import { moveToTrash } from '../services/trashService.js';
+import { PRINT_SIZES, renderJobCard } from '../services/printService.js';
 
 const router = express.Router();
 
-// Helper function to get user from phone
-const getUserFromPhone = async (phone) => {
-  if (!phone) return null;
-  const phoneDigits = phone.replace(/\D/g, '');
-  if (phoneDigits.length !== 11) return null;
-  return await User.findOne({ phone: phoneDigits });
+// Every route requires an authenticated user
+router.use(authenticate);
+
+// Order fields that only need the narrower status/payment permissions to change
+const STATUS_FIELDS = ['status'];
+const PAYMENT_FIELDS = ['amountPaid', 'balance'];
+
+// Work out which permissions an order update needs from the fields it changes
+const getUpdatePermissions = (updateData) => {
+  const permissions = new Set();
+  for (const field of Object.keys(updateData)) {
+    if (STATUS_FIELDS.includes(field)) {
+      permissions.add('orders:update_status');
+    } else if (PAYMENT_FIELDS.includes(field)) {
+      permissions.add('orders:record_payment');
+    } else {
+      permissions.add('orders:update');
+    }
+  }
+  return [...permissions];
 };
 
 // Get all orders
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('orders:read'), async (req, res) => {
   try {
-    const { phone } = req.query;
-    if (!phone) {
-      return res.status(400).json({ message: 'Phone is required' });
-    }
-    
-    const user = await getUserFromPhone(phone);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
+    const user = req.user;
     
     const orders = await Order.find({ userId: user._id })
       .populate('customerId')
@@ -36,23 +46,9 @@ router.get('/', async (req, res) => {
 });
 
 // Get orders by customer
-router.get('/customer/:customerId', async (req, res) => {
+router.get('/customer/:customerId', requirePermission('orders:read'), async (req, res) => {
   try {
-    let { phone } = req.query;
-    if (!phone) {
-      return res.status(400).json({ message: 'Phone is required' });
-    }
-    
-    // Handle case where phone might be an array
-    if (Array.isArray(phone)) {
-      phone = phone[0];
-    }
-    phone = String(phone);
-    
-    const user = await getUserFromPhone(phone);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
+    const user = req.user;
     
     // Verify that the customer belongs to this user
     const customer = await Customer.findOne({ 
@@ -78,17 +74,9 @@ router.get('/customer/:customerId', async (req, res) => {
 });
 
 // Get orders by status
-router.get('/status/:status', async (req, res) => {
+router.get('/status/:status', requirePermission('orders:read'), async (req, res) => {
   try {
-    const { phone } = req.query;
-    if (!phone) {
-      return res.status(400).json({ message: 'Phone is required' });
-    }
-    
-    const user = await getUserFromPhone(phone);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
+    const user = req.user;
     
     const orders = await Order.find({ 
       status: req.params.status,
@@ -103,17 +91,9 @@ router.get('/status/:status', async (req, res) => {
 });
 
 // Get single order
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('orders:read'), async (req, res) => {
   try {
-    const { phone } = req.query;
-    if (!phone) {
-      return res.status(400).json({ message: 'Phone is required' });
-    }
-    
-    const user = await getUserFromPhone(phone);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
+    const user = req.user;
     
     const order = await Order.findOne({ _id: req.params.id, userId: user._id })
       .populate('customerId');
@@ -126,24 +106,39 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// Create order
-router.post('/', async (req, res) => {
+// Printable job card for the workshop (PDF): the order, the customer's measurements, style
+// pictures and sketches. ?size=A4|A5 (default A4)
+router.get('/:id/job-card.pdf', requirePermission('orders:read'), async (req, res) => {
   try {
-    let { phone, ...orderData } = req.body;
-    if (!phone) {
-      return res.status(400).json({ message: 'Phone is required' });
-    }
-    
-    // Handle case where phone might be an array
-    if (Array.isArray(phone)) {
-      phone = phone[0];
+    const size = String(req.query.size || 'A4').toUpperCase();
+    if (!PRINT_SIZES.includes(size)) {
+      return res.status(400).json({ message: `Size must be one of: ${PRINT_SIZES.join(', ')}` });
     }
-    phone = String(phone);
-    
-    const user = await getUserFromPhone(phone);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
+
+    const order = await Order.findOne({ _id: req.params.id, userId: req.user._id })
+      .populate('customerId');
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
     }
+
+    const pdf = await renderJobCard({ user: req.user, order, size });
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `inline; filename="job-card-${order._id}.pdf"`,
+      'Content-Length': pdf.length,
+    });
+    res.send(pdf);
+  } catch (error) {
+    console.error('Error printing job card:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Create order
+router.post('/', requirePermission('orders:create'), allowFields('order.create'), async (req, res) => {
+  try {
+    const user = req.user;
+    const orderData = req.fields;
     
     // Verify that the customer belongs to this user
     if (orderData.customerId) {
@@ -158,7 +153,8 @@ router.post('/', async (req, res) => {
       }
     }
     
-    const order = new Order({ ...orderData, userId: user._id });
+    const actor = getActor(req);
+    const order = new Order({ ...orderData, userId: user._id, createdBy: actor, updatedBy: actor });
     const savedOrder = await order.save();
     await savedOrder.populate('customerId');
     res.status(201).json(savedOrder);
@@ -169,17 +165,9 @@ router.post('/', async (req, res) => {
 });
 
 // Mark order as paid (must be before /:id route)
-router.put('/:id/mark-paid', async (req, res) => {
+router.put('/:id/mark-paid', requirePermission('orders:record_payment'), async (req, res) => {
   try {
-    const { phone } = req.body;
-    if (!phone) {
-      return res.status(400).json({ message: 'Phone is required' });
-    }
-    
-    const user = await getUserFromPhone(phone);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
+    const user = req.user;
     
     const order = await Order.findOne({ _id: req.params.id, userId: user._id });
     if (!order) {
@@ -189,6 +177,7 @@ router.put('/:id/mark-paid', async (req, res) => {
     // Set amountPaid to amountCharged and balance to 0
     order.amountPaid = order.amountCharged;
     order.balance = 0;
+    order.updatedBy = getActor(req);
     
     const updatedOrder = await order.save();
     await updatedOrder.populate('customerId');
@@ -199,22 +188,19 @@ router.put('/:id/mark-paid', async (req, res) => {
 });
 
 // Update order
-router.put('/:id', async (req, res) => {
+router.put('/:id', allowFields('order.update'), async (req, res) => {
   try {
-    let { phone, ...updateData } = req.body;
-    if (!phone) {
-      return res.status(400).json({ message: 'Phone is required' });
-    }
-    
-    // Handle case where phone might be an array
-    if (Array.isArray(phone)) {
-      phone = phone[0];
-    }
-    phone = String(phone);
-    
-    const user = await getUserFromPhone(phone);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
+    const user = req.user;
+    const updateData = req.fields;
+
+    // Staff may only change the fields their role allows (e.g. a cutter only moves the status)
+    const deniedPermission = getUpdatePermissions(updateData).find(permission => !hasPermission(req.role, permission));
+    if (deniedPermission) {
+      return res.status(403).json({
+        message: `Your role (${req.role}) is not allowed to make this change`,
+        error: 'FORBIDDEN',
+        permission: deniedPermission,
+      });
     }
     
     // Verify that the order belongs to this user
@@ -241,7 +227,7 @@ router.put('/:id', async (req, res) => {
     
     const order = await Order.findOneAndUpdate(
       { _id: req.params.id, userId: user._id },
-      updateData,
+      { ...updateData, updatedBy: getActor(req) },
       { new: true, runValidators: true }
     ).populate('customerId');
     if (!order) {
@@ -255,23 +241,17 @@ router.put('/:id', async (req, res) => {
 });
 
 // Delete order
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('orders:delete'), async (req, res) => {
   try {
-    const { phone } = req.query;
-    if (!phone) {
-      return res.status(400).json({ message: 'Phone is required' });
-    }
+    const user = req.user;
     
-    const user = await getUserFromPhone(phone);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
-    
-    const order = await Order.findOneAndDelete({ _id: req.params.id, userId: user._id });
+    // Deleted orders go to the trash and can be restored until they are purged
+    const order = await Order.findOne({ _id: req.params.id, userId: user._id });
     if (!order) {
       return res.status(404).json({ message: 'Order not found' });
     }
-    res.json({ message: 'Order deleted successfully' });
+    const restorableUntil = await moveToTrash(order, getActor(req));
+    res.json({ message: 'Order moved to trash', restorableUntil });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -1,6 +1,7 @@
 import express from 'express';
 import Flutterwave from 'flutterwave-node-v3';
 import User from '../models/User.js';
+import { authenticate, requireOwner } from '../middleware/auth.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
@@ -24,7 +25,7 @@ if (process.env.FLUTTERWAVE_PUBLIC_KEY && process.env.FLUTTERWAVE_SECRET_KEY) {
 const FLUTTERWAVE_API_URL = 'https://api.flutterwave.com/v3';
 
 // Initialize payment
-router.post('/initialize', async (req, res) => {
+router.post('/initialize', authenticate, requireOwner, async (req, res) => {
   try {
     if (!flwConfigured) {
       return res.status(500).json({ 
@@ -32,32 +33,16 @@ router.post('/initialize', async (req, res) => {
       });
     }
 
-    let { phone, subscriptionType, amount, email, name } = req.body;
+    const { subscriptionType, amount, email, name } = req.body;
 
-    if (!phone || !subscriptionType || !amount || !email || !name) {
+    if (!subscriptionType || !amount || !email || !name) {
       return res.status(400).json({ 
-        message: 'Phone, subscription type, amount, email, and name are required' 
+        message: 'Subscription type, amount, email, and name are required' 
       });
     }
 
-    // Handle case where phone might be an array
-    if (Array.isArray(phone)) {
-      phone = phone[0];
-    }
-    
-    // Ensure phone is a string
-    phone = String(phone);
-
-    // Normalize phone to 11 digits
-    const phoneDigits = phone.replace(/\D/g, '');
-    if (phoneDigits.length !== 11) {
-      return res.status(400).json({ message: 'Phone number must be exactly 11 digits' });
-    }
-
-    const user = await User.findOne({ phone: phoneDigits });
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
+    const user = req.user;
+    const phoneDigits = user.phone;
 
     // Generate unique transaction reference
     const txRef = `ST-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
@@ -0,0 +1,302 @@
+/**
+ * Staff Routes
+ *
+ * A tailor (the owner) can invite staff to work on their business:
+ * - The owner invites a staff member by phone with a role (manager, cutter or cashier)
+ * - The staff member receives an invitation code by SMS and sets a password with it
+ * - Staff sign in with their own phone and password; their tokens act on the owner's business
+ * - What each role may do is defined in config/staffRoles.js
+ */
+
+import express from 'express';
+import User from '../models/User.js';
+import Staff from '../models/Staff.js';
+import Session from '../models/Session.js';
+import { issueTokens, getDeviceInfo } from '../services/tokenService.js';
+import { sendStaffInvitation, verifyInvitationCode } from '../services/staffService.js';
+import {
+  attemptGuard,
+  recordFailedAttempt,
+  clearFailedAttempts,
+  sendLockedResponse,
+} from '../services/attemptLimiter.js';
+import { authenticate, requireToken, requireOwner, requirePermission } from '../middleware/auth.js';
+import { STAFF_ROLES, ROLES, getRolePermissions } from '../config/staffRoles.js';
+import { convertToPublicUrl } from '../services/s3Service.js';
+
+const router = express.Router();
+
+const normalizePhone = (phone) => {
+  if (!phone || typeof phone !== 'string') return null;
+  const digits = phone.replace(/\D/g, '');
+  return digits.length === 11 ? digits : null;
+};
+
+// Shape the business profile a staff member sees after signing in
+const getBusinessJson = (user) => {
+  const userJson = user.toJSON();
+  // Convert profileImage URL to public URL if it exists
+  if (userJson.profileImage) {
+    userJson.profileImage = convertToPublicUrl(userJson.profileImage);
+  }
+  return userJson;
+};
+
+// Count a failed staff sign-in (wrong password or invitation code) against the phone and IP
+const handleFailedStaffLogin = async (req, res, phoneDigits, message) => {
+  const result = await recordFailedAttempt('login', { phone: phoneDigits, ip: req.ip });
+  if (result.locked) {
+    return sendLockedResponse(res, result.retryAfter);
+  }
+  return res.status(401).json({ message });
+};
+
+// Accept an invitation: set a password with the code sent by SMS and sign in
+router.post('/accept-invite', attemptGuard('login'), async (req, res) => {
+  try {
+    const { phone, code, password } = req.body;
+
+    if (!phone || !code || !password) {
+      return res.status(400).json({ message: 'Phone, invitation code and password are required' });
+    }
+
+    const phoneDigits = normalizePhone(phone);
+    if (!phoneDigits) {
+      return res.status(400).json({ message: 'Phone number must be exactly 11 digits' });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({ message: 'Password must be at least 6 characters long' });
+    }
+
+    const staff = await Staff.findOne({ phone: phoneDigits, status: 'invited' });
+    if (!staff || !verifyInvitationCode(staff, code)) {
+      return await handleFailedStaffLogin(req, res, phoneDigits, 'Invitation code has expired or is invalid');
+    }
+
+    const business = await User.findById(staff.businessId);
+    if (!business) {
+      return res.status(404).json({ message: 'Business not found' });
+    }
+
+    // Password is hashed by the pre-save hook
+    staff.password = password;
+    staff.status = 'active';
+    staff.acceptedAt = new Date();
+    staff.lastLoginAt = new Date();
+    staff.inviteCodeHash = null;
+    staff.inviteExpiresAt = null;
+    await staff.save();
+    await clearFailedAttempts('login', { phone: phoneDigits });
+
+    const tokens = await issueTokens(business, getDeviceInfo(req), staff);
+    res.json({
+      message: 'Invitation accepted',
+      staff: staff.toJSON(),
+      user: getBusinessJson(business),
+      role: staff.role,
+      permissions: getRolePermissions(staff.role),
+      ...tokens,
+    });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Staff login
+router.post('/login', attemptGuard('login'), async (req, res) => {
+  try {
+    const { phone, password } = req.body;
+
+    if (!phone || !password) {
+      return res.status(400).json({ message: 'Phone and password are required' });
+    }
+
+    const phoneDigits = normalizePhone(phone);
+    if (!phoneDigits) {
+      return res.status(400).json({ message: 'Phone number must be exactly 11 digits' });
+    }
+
+    const staff = await Staff.findOne({ phone: phoneDigits });
+    if (!staff || !(await staff.comparePassword(password))) {
+      return await handleFailedStaffLogin(req, res, phoneDigits, 'Invalid phone or password');
+    }
+
+    if (staff.status === 'invited') {
+      return res.status(403).json({ message: 'Please accept your invitation first', error: 'STAFF_INVITED' });
+    }
+    if (staff.status === 'disabled') {
+      return res.status(403).json({ message: 'This staff account has been disabled', error: 'STAFF_DISABLED' });
+    }
+
+    const business = await User.findById(staff.businessId);
+    if (!business) {
+      return res.status(404).json({ message: 'Business not found' });
+    }
+
+    await clearFailedAttempts('login', { phone: phoneDigits });
+    staff.lastLoginAt = new Date();
+    await staff.save();
+
+    const tokens = await issueTokens(business, getDeviceInfo(req), staff);
+    res.json({
+      message: 'Login successful',
+      staff: staff.toJSON(),
+      user: getBusinessJson(business),
+      role: staff.role,
+      permissions: getRolePermissions(staff.role),
+      ...tokens,
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Every route below requires a user signed in with a token (never the legacy phone auth)
+router.use(authenticate, requireToken);
+
+// Roles and their permissions (lets the app hide actions the signed in role can't take)
+router.get('/roles', async (req, res) => {
+  res.json({
+    currentRole: req.role,
+    roles: ROLES.map(role => ({ role, permissions: getRolePermissions(role) })),
+  });
+});
+
+// List the business's staff
+router.get('/', requirePermission('staff:read'), async (req, res) => {
+  try {
+    const staff = await Staff.find({ businessId: req.user._id }).sort({ createdAt: -1 });
+    res.json(staff);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Invite a staff member
+router.post('/', requireOwner, async (req, res) => {
+  try {
+    const { name, phone, role } = req.body;
+
+    if (!name || !phone || !role) {
+      return res.status(400).json({ message: 'Name, phone and role are required' });
+    }
+
+    const phoneDigits = normalizePhone(phone);
+    if (!phoneDigits) {
+      return res.status(400).json({ message: 'Phone number must be exactly 11 digits' });
+    }
+
+    if (!STAFF_ROLES.includes(role)) {
+      return res.status(400).json({ message: `Role must be one of: ${STAFF_ROLES.join(', ')}` });
+    }
+
+    if (phoneDigits === req.user.phone) {
+      return res.status(400).json({ message: 'You cannot invite yourself as staff' });
+    }
+
+    const existingStaff = await Staff.findOne({ phone: phoneDigits });
+    if (existingStaff) {
+      return res.status(400).json({ message: 'A staff member with this phone number already exists' });
+    }
+
+    const staff = new Staff({
+      businessId: req.user._id,
+      name,
+      phone: phoneDigits,
+      role,
+    });
+    const invitation = await sendStaffInvitation(staff, req.user);
+
+    res.status(201).json({
+      message: 'Staff member invited successfully',
+      staff: staff.toJSON(),
+      invitationSent: invitation.sent,
+      inviteExpiresAt: invitation.expiresAt,
+    });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Send a new invitation code
+router.post('/:id/resend-invite', requireOwner, async (req, res) => {
+  try {
+    const staff = await Staff.findOne({ _id: req.params.id, businessId: req.user._id });
+    if (!staff) {
+      return res.status(404).json({ message: 'Staff member not found' });
+    }
+    if (staff.status !== 'invited') {
+      return res.status(400).json({ message: 'This staff member has already accepted their invitation' });
+    }
+
+    const invitation = await sendStaffInvitation(staff, req.user);
+    res.json({
+      message: 'Invitation sent',
+      invitationSent: invitation.sent,
+      inviteExpiresAt: invitation.expiresAt,
+    });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Update a staff member (name, role, or disable/enable with status)
+router.put('/:id', requireOwner, async (req, res) => {
+  try {
+    const { name, role, status } = req.body;
+
+    const staff = await Staff.findOne({ _id: req.params.id, businessId: req.user._id });
+    if (!staff) {
+      return res.status(404).json({ message: 'Staff member not found' });
+    }
+
+    if (name !== undefined) {
+      staff.name = name;
+    }
+    if (role !== undefined) {
+      if (!STAFF_ROLES.includes(role)) {
+        return res.status(400).json({ message: `Role must be one of: ${STAFF_ROLES.join(', ')}` });
+      }
+      staff.role = role;
+    }
+    if (status !== undefined) {
+      if (!['active', 'disabled'].includes(status)) {
+        return res.status(400).json({ message: 'Status must be active or disabled' });
+      }
+      // A staff member who never accepted their invitation stays invited until they do
+      if (status === 'active' && !staff.password) {
+        return res.status(400).json({ message: 'This staff member has not accepted their invitation yet' });
+      }
+      staff.status = status;
+    }
+    await staff.save();
+
+    // Disabling signs the staff member out of every device
+    let revokedSessions = 0;
+    if (staff.status === 'disabled') {
+      revokedSessions = await Session.revokeAllForStaff(staff._id);
+    }
+
+    res.json({ message: 'Staff member updated successfully', staff: staff.toJSON(), revokedSessions });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Remove a staff member
+router.delete('/:id', requireOwner, async (req, res) => {
+  try {
+    const staff = await Staff.findOneAndDelete({ _id: req.params.id, businessId: req.user._id });
+    if (!staff) {
+      return res.status(404).json({ message: 'Staff member not found' });
+    }
+
+    await Session.revokeAllForStaff(staff._id);
+    res.json({ message: 'Staff member removed successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+export default router;
@@ -1,6 +1,6 @@
 import express from 'express';
-import User from '../models/User.js';
 import AppSettings from '../models/AppSettings.js';
+import { authenticate, requireOwner } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -10,35 +10,10 @@ router.get('/test', (req, res) => {
 });
 
 // Get subscription status
-router.get('/status', async (req, res) => {
+router.get('/status', authenticate, async (req, res) => {
   try {
-    console.log('Subscription status endpoint called with query:', req.query);
-    let { phone } = req.query;
-    
-    if (!phone) {
-      console.log('Phone is missing in request');
-      return res.status(400).json({ message: 'Phone is required' });
-    }
-
-    // Handle case where phone might be an array (from query string)
-    if (Array.isArray(phone)) {
-      phone = phone[0];
-    }
-    
-    // Ensure phone is a string
-    phone = String(phone);
-
-    // Normalize phone to 11 digits
-    const phoneDigits = phone.replace(/\D/g, '');
-    if (phoneDigits.length !== 11) {
-      return res.status(400).json({ message: 'Phone number must be exactly 11 digits' });
-    }
-
-    const user = await User.findOne({ phone: phoneDigits });
-    if (!user) {
-      console.log('User not found for phone:', phoneDigits);
-      return res.status(404).json({ message: 'User not found' });
-    }
+    console.log('Subscription status endpoint called');
+    const user = req.user;
     console.log('User found, subscription type:', user.subscriptionType);
 
     // Initialize subscription fields for existing users who don't have them
@@ -98,36 +73,19 @@ router.get('/status', async (req, res) => {
 });
 
 // Upgrade subscription
-router.post('/upgrade', async (req, res) => {
+router.post('/upgrade', authenticate, requireOwner, async (req, res) => {
   try {
-    let { phone, subscriptionType } = req.body;
+    const { subscriptionType } = req.body;
     
-    if (!phone || !subscriptionType) {
-      return res.status(400).json({ message: 'Phone and subscription type are required' });
+    if (!subscriptionType) {
+      return res.status(400).json({ message: 'Subscription type is required' });
     }
 
     if (!['monthly', 'quarterly', 'yearly'].includes(subscriptionType)) {
       return res.status(400).json({ message: 'Invalid subscription type. Must be monthly, quarterly, or yearly' });
     }
 
-    // Handle case where phone might be an array
-    if (Array.isArray(phone)) {
-      phone = phone[0];
-    }
-    
-    // Ensure phone is a string
-    phone = String(phone);
-
-    // Normalize phone to 11 digits
-    const phoneDigits = phone.replace(/\D/g, '');
-    if (phoneDigits.length !== 11) {
-      return res.status(400).json({ message: 'Phone number must be exactly 11 digits' });
-    }
-
-    const user = await User.findOne({ phone: phoneDigits });
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
+    const user = req.user;
 
     // Calculate subscription end date based on type
     const subscriptionStartDate = new Date();
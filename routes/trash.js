@@ -0,0 +1,102 @@
+/**
+ * Trash Routes
+ *
+ * Deleted customers, orders and measurements stay here until they are restored or purged after
+ * the retention period (services/trashService.js). Staff only see and restore the kinds of
+ * records their role may delete.
+ */
+
+import express from 'express';
+import mongoose from 'mongoose';
+import { authenticate } from '../middleware/auth.js';
+import { hasPermission } from '../config/staffRoles.js';
+import { TRASH_TYPES, listTrash, restoreFromTrash, getTrashRetentionDays } from '../services/trashService.js';
+
+const router = express.Router();
+
+// Every trash route requires an authenticated user
+router.use(authenticate);
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Trash types the current user (owner or staff role) may work with
+const getAllowedTypes = (req) => Object.keys(TRASH_TYPES).filter((type) => {
+  const { permission } = TRASH_TYPES[type];
+  return !permission || hasPermission(req.role || 'owner', permission);
+});
+
+// List recently deleted items, most recent first
+// ?type=customer|order|measurement (all by default), ?limit=50 (max 200)
+router.get('/', async (req, res) => {
+  try {
+    const allowedTypes = getAllowedTypes(req);
+    let types = allowedTypes;
+    if (req.query.type) {
+      if (!TRASH_TYPES[req.query.type]) {
+        return res.status(400).json({ message: `Type must be one of: ${Object.keys(TRASH_TYPES).join(', ')}` });
+      }
+      if (!allowedTypes.includes(req.query.type)) {
+        return res.status(403).json({
+          message: `Your role (${req.role}) is not allowed to do this`,
+          error: 'FORBIDDEN',
+          permission: TRASH_TYPES[req.query.type].permission,
+        });
+      }
+      types = [req.query.type];
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const items = await listTrash(req.user._id, types, limit);
+    res.json({ retentionDays: getTrashRetentionDays(), items });
+  } catch (error) {
+    console.error('Error listing trash:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Restore an item; restoring a customer also restores the orders and measurements deleted with them
+router.post('/:type/:id/restore', async (req, res) => {
+  try {
+    const { type, id } = req.params;
+    if (!TRASH_TYPES[type]) {
+      return res.status(400).json({ message: `Type must be one of: ${Object.keys(TRASH_TYPES).join(', ')}` });
+    }
+    if (!getAllowedTypes(req).includes(type)) {
+      return res.status(403).json({
+        message: `Your role (${req.role}) is not allowed to do this`,
+        error: 'FORBIDDEN',
+        permission: TRASH_TYPES[type].permission,
+      });
+    }
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ message: 'Item not found in trash' });
+    }
+
+    const result = await restoreFromTrash(req.user._id, type, id);
+    if (!result) {
+      return res.status(404).json({ message: 'Item not found in trash' });
+    }
+    if (result.error === 'CUSTOMER_DELETED') {
+      return res.status(409).json({
+        message: 'The customer this belongs to is deleted. Restore the customer first.',
+        error: 'CUSTOMER_DELETED',
+        customerId: result.customerId,
+      });
+    }
+    if (result.error === 'CUSTOMER_NOT_FOUND') {
+      return res.status(409).json({
+        message: 'The customer this belongs to no longer exists, so it cannot be restored.',
+        error: 'CUSTOMER_NOT_FOUND',
+        customerId: result.customerId,
+      });
+    }
+
+    res.json({ message: 'Restored successfully', type, record: result.record, restored: result.restored });
+  } catch (error) {
+    console.error('Error restoring from trash:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+export default router;
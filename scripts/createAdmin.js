@@ -20,11 +20,13 @@ async function createAdmin() {
         console.log('Admin user already exists');
         // Update password in case it changed
         existingAdmin.password = adminPassword;
+        existingAdmin.adminRole = 'super_admin';
         await existingAdmin.save();
         console.log('Admin password updated');
       } else {
         // Make existing user an admin
         existingAdmin.isAdmin = true;
+        existingAdmin.adminRole = 'super_admin';
         existingAdmin.password = adminPassword;
         await existingAdmin.save();
         console.log('User promoted to admin');
@@ -38,6 +40,7 @@ async function createAdmin() {
         address: 'Admin Address',
         name: 'Admin',
         isAdmin: true,
+        adminRole: 'super_admin',
         subscriptionType: 'yearly',
         subscriptionStatus: 'active',
       });
@@ -6,6 +6,7 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import connectDB from './config/database.js';
 import { startScheduledJobs } from './jobs/scheduledJobs.js';
+import { getSmsDriverName } from './services/smsService.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -22,13 +23,21 @@ import adminRoutes from './routes/admin.js';
 import settingsRoutes from './routes/settings.js';
 import helpSupportRoutes from './routes/helpSupport.js';
 import homeRoutes from './routes/home.js';
+import staffRoutes from './routes/staff.js';
+import trashRoutes from './routes/trash.js';
 
 // Load environment variables
 dotenv.config();
 
+// Refuse to start in production without an SMS driver (codes would only be printed to the log)
+getSmsDriverName();
+
 // Initialize Express app
 const app = express();
 
+// Behind one proxy (Vercel / load balancer) - req.ip is then the real client address
+app.set('trust proxy', 1);
+
 // Connect to database
 let dbConnectionReady = false;
 connectDB().then(() => {
@@ -126,22 +135,51 @@ app.use('/api/auth', authRoutes);
 console.log('Auth routes registered:');
 console.log('  - POST /api/auth/signup');
 console.log('  - POST /api/auth/login');
+console.log('  - POST /api/auth/refresh');
+console.log('  - POST /api/auth/logout');
+console.log('  - POST /api/auth/verify-phone');
+console.log('  - POST /api/auth/resend-verification');
+console.log('  - POST /api/auth/forgot-password');
+console.log('  - POST /api/auth/reset-password');
+console.log('  - GET /api/auth/sessions');
+console.log('  - DELETE /api/auth/sessions (sign out everywhere)');
+console.log('  - DELETE /api/auth/sessions/:id');
 console.log('  - GET /api/auth/me');
 console.log('  - PUT /api/auth/me');
 console.log('  - PUT /api/auth/settings');
 console.log('  - PUT /api/auth/change-password');
+console.log('  - GET /api/auth/export (start a data export)');
+console.log('  - GET /api/auth/exports');
+console.log('  - GET /api/auth/export/:id');
+console.log('  - GET /api/auth/export/:id/download (signed link)');
 console.log('  - GET /api/auth/delete-account-form (form page)');
-console.log('  - GET /api/auth/delete-account (confirmation page)');
+console.log('  - GET /api/auth/delete-account (confirmation code page)');
 console.log('  - GET /api/auth/delete-account/result (result page)');
-console.log('  - POST /api/auth/delete-account-by-phone (delete account from form)');
-console.log('  - POST /api/auth/delete-account (delete account)');
-console.log('  - DELETE /api/auth/account (delete account)');
+console.log('  - POST /api/auth/delete-account-by-phone (send deletion confirmation code)');
+console.log('  - POST /api/auth/delete-account/confirm (schedule deletion with code)');
+console.log('  - POST /api/auth/delete-account/cancel (cancel pending deletion)');
+console.log('  - POST /api/auth/delete-account (schedule deletion with password)');
+console.log('  - DELETE /api/auth/account (schedule deletion with password)');
 console.log('  - POST /api/auth/upload-profile-image');
 console.log('  - POST /api/auth/avatar');
+app.use('/api/staff', staffRoutes);
+console.log('Staff routes registered:');
+console.log('  - POST /api/staff/accept-invite (public)');
+console.log('  - POST /api/staff/login (public)');
+console.log('  - GET /api/staff/roles');
+console.log('  - GET /api/staff');
+console.log('  - POST /api/staff (owner only)');
+console.log('  - POST /api/staff/:id/resend-invite (owner only)');
+console.log('  - PUT /api/staff/:id (owner only)');
+console.log('  - DELETE /api/staff/:id (owner only)');
 app.use('/api/customers', customersRoutes);
 app.use('/api/measurements', measurementsRoutes);
 app.use('/api/orders', ordersRoutes);
 app.use('/api/notifications', notificationsRoutes);
+app.use('/api/trash', trashRoutes);
+console.log('Trash routes registered:');
+console.log('  - GET /api/trash');
+console.log('  - POST /api/trash/:type/:id/restore');
 app.use('/api/subscription', subscriptionRoutes);
 app.use('/api/payment', paymentRoutes);
 app.use('/api/settings', settingsRoutes);
@@ -165,11 +203,19 @@ console.log('  - POST /api/payment/initialize');
 console.log('  - GET /api/payment/callback');
 console.log('  - GET /api/payment/verify/:txRef');
 console.log('Admin routes registered:');
+console.log('  - GET /api/admin/me (admin role and permissions)');
+console.log('  - GET /api/admin/admins (super admin)');
+console.log('  - POST /api/admin/admins (super admin)');
+console.log('  - PUT /api/admin/admins/:id (super admin)');
+console.log('  - DELETE /api/admin/admins/:id (super admin)');
 console.log('  - GET /api/admin/users');
 console.log('  - GET /api/admin/users/:id');
 console.log('  - PUT /api/admin/users/:id');
 console.log('  - DELETE /api/admin/users/:id');
 console.log('  - PUT /api/admin/users/:id/subscription');
+console.log('  - POST /api/admin/users/:id/unlock');
+console.log('  - GET /api/admin/lockouts');
+console.log('  - DELETE /api/admin/lockouts/:key');
 console.log('  - GET /api/admin/subscription/packages');
 console.log('  - PUT /api/admin/subscription/packages');
 console.log('  - POST /api/admin/notifications/broadcast');
@@ -177,6 +223,10 @@ console.log('  - GET /api/admin/settings (admin only)');
 console.log('  - PUT /api/admin/settings');
 console.log('  - POST /api/admin/settings/welcome-background');
 console.log('  - POST /api/admin/settings/welcome-logo');
+console.log('  - POST /api/admin/settings/welcome-background/revert');
+console.log('  - POST /api/admin/settings/welcome-logo/revert');
+console.log('  - GET /api/admin/settings/branding-history');
+console.log('  - GET /api/admin/audit-log (super admin)');
 console.log('  - GET /api/admin/stats');
 console.log('  - GET /api/admin/help-support');
 console.log('  - PUT /api/admin/help-support');
@@ -0,0 +1,160 @@
+/**
+ * Account Deletion Service
+ * Schedules account deletion with a grace period and purges an account with all its data
+ */
+
+import User from '../models/User.js';
+import Customer from '../models/Customer.js';
+import Order from '../models/Order.js';
+import Measurement from '../models/Measurement.js';
+import MeasurementTemplate from '../models/MeasurementTemplate.js';
+import MeasurementRevision from '../models/MeasurementRevision.js';
+import Notification from '../models/Notification.js';
+import Session from '../models/Session.js';
+import Staff from '../models/Staff.js';
+import OtpCode from '../models/OtpCode.js';
+import { deleteFromS3 } from './s3Service.js';
+import { deleteUserDataExports } from './dataExportService.js';
+import { sendSms } from './smsService.js';
+
+const DEFAULT_GRACE_PERIOD_DAYS = 14;
+
+/**
+ * Number of days an account stays in pending_deletion before it is purged
+ * @returns {number}
+ */
+export const getDeletionGracePeriodDays = () => {
+  const days = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10);
+  return Number.isFinite(days) && days >= 0 ? days : DEFAULT_GRACE_PERIOD_DAYS;
+};
+
+/**
+ * Put an account into pending_deletion; it is purged by the scheduled job after the grace period
+ * @param {object} user - The user document
+ * @returns {Promise<Date>} When the account will be purged
+ */
+export const scheduleAccountDeletion = async (user) => {
+  // Keep the original date if deletion was already requested
+  if (user.accountStatus === 'pending_deletion' && user.deletionScheduledFor) {
+    return user.deletionScheduledFor;
+  }
+
+  const scheduledFor = new Date();
+  scheduledFor.setDate(scheduledFor.getDate() + getDeletionGracePeriodDays());
+
+  user.accountStatus = 'pending_deletion';
+  user.deletionRequestedAt = new Date();
+  user.deletionScheduledFor = scheduledFor;
+  await user.save();
+
+  try {
+    const formattedDate = scheduledFor.toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric'
+    });
+    await sendSms(
+      user.phone,
+      `Your SmartTailor account is scheduled for deletion on ${formattedDate}. Log in to the app before then to cancel.`
+    );
+  } catch (error) {
+    console.error('Error sending deletion scheduled SMS:', error);
+  }
+
+  return scheduledFor;
+};
+
+/**
+ * Take an account out of pending_deletion
+ * @param {object} user - The user document
+ * @returns {Promise<void>}
+ */
+export const cancelAccountDeletion = async (user) => {
+  user.accountStatus = 'active';
+  user.deletionRequestedAt = undefined;
+  user.deletionScheduledFor = undefined;
+  await user.save();
+};
+
+/**
+ * Permanently delete a user with all customers, orders, measurements, notifications,
+ * sessions, data exports and their files in S3
+ * @param {object} user - The user document
+ * @returns {Promise<void>}
+ * @throws {Error} If related data can't be deleted (the user is then kept, to be retried)
+ */
+export const purgeUserAccount = async (user) => {
+  const userId = user._id;
+
+  // Delete all related data
+  try {
+    // Delete all customers and their photos
+    // withDeleted: records in the trash are purged with the account too
+    const customers = await Customer.find({ userId }).setOptions({ withDeleted: true });
+    for (const customer of customers) {
+      if (customer.photo) {
+        try {
+          await deleteFromS3(customer.photo);
+        } catch (error) {
+          console.error('Error deleting customer photo:', error);
+        }
+      }
+    }
+    await Customer.deleteMany({ userId });
+
+    // Delete all orders and their associated images
+    const orders = await Order.find({ userId }).setOptions({ withDeleted: true });
+    for (const order of orders) {
+      const images = [...(order.stylePictures || []), ...(order.sketches || [])];
+      for (const imageUrl of images) {
+        try {
+          await deleteFromS3(imageUrl);
+        } catch (error) {
+          console.error('Error deleting order image:', error);
+        }
+      }
+    }
+    await Order.deleteMany({ userId });
+
+    // Delete all measurements and their photos
+    const measurements = await Measurement.find({ userId }).setOptions({ withDeleted: true });
+    for (const measurement of measurements) {
+      if (measurement.photoReference) {
+        try {
+          await deleteFromS3(measurement.photoReference);
+        } catch (error) {
+          console.error('Error deleting measurement photo:', error);
+        }
+      }
+    }
+    await Measurement.deleteMany({ userId });
+    await MeasurementTemplate.deleteMany({ userId });
+    await MeasurementRevision.deleteMany({ userId });
+
+    // Delete data exports, notifications, staff accounts, sessions and outstanding codes
+    await deleteUserDataExports(userId);
+    await Notification.deleteMany({ userId });
+    await Staff.deleteMany({ businessId: userId });
+    await Session.deleteMany({ userId });
+    await OtpCode.deleteMany({ phone: user.phone });
+  } catch (error) {
+    console.error('Error deleting related data:', error);
+    // Keep the user so the next run retries; deleting it now would leave its data without an owner
+    throw error;
+  }
+
+  // Delete profile image from S3 if exists
+  if (user.profileImage) {
+    try {
+      await deleteFromS3(user.profileImage);
+    } catch (error) {
+      console.error('Error deleting profile image:', error);
+      // Continue with account deletion even if image deletion fails
+    }
+  }
+
+  // Delete user account
+  await User.findByIdAndDelete(userId);
+};
+
+export default { scheduleAccountDeletion, cancelAccountDeletion, purgeUserAccount, getDeletionGracePeriodDays };
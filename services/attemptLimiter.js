@@ -0,0 +1,310 @@
+/**
+ * Attempt Limiter
+ * Counts failed authentication attempts per phone and per IP and locks them out with
+ * exponentially growing lockouts (login, change-password, account deletion)
+ *
+ * Counters live in a pluggable store selected with the ATTEMPT_STORE environment variable:
+ * - mongo: AuthAttempt collection (default, shared between server instances)
+ * - memory: in-process Map (tests and local development)
+ *
+ * Another store can be plugged in with setAttemptStore(store); it must implement
+ * get(key), increment(key, expiresAt), lock(key, lockedUntil), reset(key) and list().
+ */
+
+import AuthAttempt from '../models/AuthAttempt.js';
+
+// Failures allowed before the first lockout
+const PHONE_FREE_ATTEMPTS = 5;
+// IPs are often shared (carrier NAT, shop Wi-Fi), so they get more room
+const IP_FREE_ATTEMPTS = 20;
+const BASE_LOCKOUT_SECONDS = 60;
+const MAX_LOCKOUT_SECONDS = 24 * 60 * 60;
+// Counters reset after this long without a failure
+const FAILURE_WINDOW_HOURS = 24;
+
+const createMemoryStore = () => {
+  const records = new Map();
+
+  const getLive = (key) => {
+    const record = records.get(key);
+    if (record && record.expiresAt <= new Date()) {
+      records.delete(key);
+      return null;
+    }
+    return record || null;
+  };
+
+  return {
+    async get(key) {
+      return getLive(key);
+    },
+    async increment(key, expiresAt) {
+      const record = getLive(key) || { key, failures: 0, lockedUntil: null };
+      record.failures += 1;
+      record.lastFailureAt = new Date();
+      record.expiresAt = expiresAt;
+      records.set(key, record);
+      return { ...record };
+    },
+    async lock(key, lockedUntil) {
+      const record = getLive(key);
+      if (record) {
+        record.lockedUntil = lockedUntil;
+        // Keep the counter at least as long as the lockout
+        if (record.expiresAt < lockedUntil) {
+          record.expiresAt = lockedUntil;
+        }
+      }
+    },
+    async reset(key) {
+      records.delete(key);
+    },
+    async list() {
+      const now = new Date();
+      return [...records.values()]
+        .filter(record => record.expiresAt > now)
+        .map(record => ({ ...record }));
+    },
+  };
+};
+
+const mongoStore = {
+  async get(key) {
+    return await AuthAttempt.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+  },
+  async increment(key, expiresAt) {
+    // Start over if the previous counter has expired but not yet been removed by the TTL index
+    await AuthAttempt.deleteOne({ key, expiresAt: { $lte: new Date() } });
+    return await AuthAttempt.findOneAndUpdate(
+      { key },
+      {
+        $inc: { failures: 1 },
+        $set: { lastFailureAt: new Date(), expiresAt },
+        $setOnInsert: { lockedUntil: null },
+      },
+      { new: true, upsert: true }
+    ).lean();
+  },
+  async lock(key, lockedUntil) {
+    await AuthAttempt.updateOne(
+      { key },
+      [{ $set: { lockedUntil, expiresAt: { $max: ['$expiresAt', lockedUntil] } } }]
+    );
+  },
+  async reset(key) {
+    await AuthAttempt.deleteOne({ key });
+  },
+  async list() {
+    return await AuthAttempt.find({ expiresAt: { $gt: new Date() } })
+      .sort({ lastFailureAt: -1 })
+      .lean();
+  },
+};
+
+let store = null;
+
+const getStore = () => {
+  if (!store) {
+    const name = process.env.ATTEMPT_STORE || 'mongo';
+    if (name === 'memory') {
+      store = createMemoryStore();
+    } else if (name === 'mongo') {
+      store = mongoStore;
+    } else {
+      throw new Error(`Unknown attempt store "${name}". Available stores: mongo, memory`);
+    }
+  }
+  return store;
+};
+
+/**
+ * Replace the attempt store (e.g. a fresh in-memory store in tests)
+ * @param {object} newStore - Store implementing get, increment, lock, reset and list
+ */
+export const setAttemptStore = (newStore) => {
+  store = newStore;
+};
+
+export { createMemoryStore };
+
+const normalizePhone = (phone) => {
+  if (!phone) return null;
+  const digits = String(Array.isArray(phone) ? phone[0] : phone).replace(/\D/g, '');
+  return digits.length === 11 ? digits : null;
+};
+
+const getKeys = (action, { phone, ip }) => {
+  const keys = [];
+  const phoneDigits = normalizePhone(phone);
+  if (phoneDigits) {
+    keys.push({ key: `${action}:phone:${phoneDigits}`, freeAttempts: PHONE_FREE_ATTEMPTS });
+  }
+  if (ip) {
+    keys.push({ key: `${action}:ip:${ip}`, freeAttempts: IP_FREE_ATTEMPTS });
+  }
+  return keys;
+};
+
+/**
+ * Lockout length after a number of failures: doubles with every failure past the free attempts
+ * @param {number} failures - Failures so far
+ * @param {number} freeAttempts - Failures allowed before locking
+ * @returns {number} Lockout in seconds (0 when not locked)
+ */
+export const getLockoutSeconds = (failures, freeAttempts) => {
+  if (failures < freeAttempts) return 0;
+  return Math.min(BASE_LOCKOUT_SECONDS * 2 ** (failures - freeAttempts), MAX_LOCKOUT_SECONDS);
+};
+
+/**
+ * Check whether a phone or IP is currently locked out of an action
+ * @param {string} action - 'login', 'change_password' or 'delete_account'
+ * @param {{ phone?: string, ip?: string }} identity
+ * @returns {Promise<{ locked: boolean, retryAfter?: number }>} retryAfter in seconds
+ */
+export const checkAttempts = async (action, identity) => {
+  const now = Date.now();
+  let retryAfter = 0;
+  for (const { key } of getKeys(action, identity)) {
+    const record = await getStore().get(key);
+    if (record?.lockedUntil && new Date(record.lockedUntil).getTime() > now) {
+      retryAfter = Math.max(retryAfter, Math.ceil((new Date(record.lockedUntil).getTime() - now) / 1000));
+    }
+  }
+  return retryAfter > 0 ? { locked: true, retryAfter } : { locked: false };
+};
+
+/**
+ * Record a failed attempt for the phone and IP, locking them when over the limit
+ * @param {string} action - 'login', 'change_password' or 'delete_account'
+ * @param {{ phone?: string, ip?: string }} identity
+ * @returns {Promise<{ locked: boolean, retryAfter?: number, failures: number, phoneLockedUntil: Date|null }>}
+ *   failures are counted for the phone (or the IP when there is no phone)
+ */
+export const recordFailedAttempt = async (action, identity) => {
+  const now = Date.now();
+  const expiresAt = new Date(now + FAILURE_WINDOW_HOURS * 60 * 60 * 1000);
+  let retryAfter = 0;
+  let failures = 0;
+  let phoneLockedUntil = null;
+
+  for (const { key, freeAttempts } of getKeys(action, identity)) {
+    const record = await getStore().increment(key, expiresAt);
+    failures = failures || record.failures;
+    const lockoutSeconds = getLockoutSeconds(record.failures, freeAttempts);
+    if (lockoutSeconds > 0) {
+      const lockedUntil = new Date(now + lockoutSeconds * 1000);
+      await getStore().lock(key, lockedUntil);
+      retryAfter = Math.max(retryAfter, lockoutSeconds);
+      if (key.includes(':phone:')) {
+        phoneLockedUntil = lockedUntil;
+      }
+    }
+  }
+
+  return retryAfter > 0
+    ? { locked: true, retryAfter, failures, phoneLockedUntil }
+    : { locked: false, failures, phoneLockedUntil };
+};
+
+/**
+ * Forget the phone's failures after a successful attempt (IP counters keep decaying on their own)
+ * @param {string} action - 'login', 'change_password' or 'delete_account'
+ * @param {{ phone?: string }} identity
+ */
+export const clearFailedAttempts = async (action, { phone }) => {
+  const phoneDigits = normalizePhone(phone);
+  if (phoneDigits) {
+    await getStore().reset(`${action}:phone:${phoneDigits}`);
+  }
+};
+
+/**
+ * List current attempt counters (locked and not yet locked)
+ * @returns {Promise<Array<object>>} Records with key, action, type, value, failures, lockedUntil, locked
+ */
+export const listAttempts = async () => {
+  const now = new Date();
+  const records = await getStore().list();
+  return records.map(record => {
+    const [action, type, ...value] = record.key.split(':');
+    return {
+      key: record.key,
+      action,
+      type,
+      value: value.join(':'),
+      failures: record.failures,
+      lastFailureAt: record.lastFailureAt,
+      lockedUntil: record.lockedUntil,
+      locked: !!record.lockedUntil && new Date(record.lockedUntil) > now,
+    };
+  });
+};
+
+/**
+ * Remove a single attempt counter (admin unlock)
+ * @param {string} key - Counter key from listAttempts
+ */
+export const clearAttemptKey = async (key) => {
+  await getStore().reset(key);
+};
+
+/**
+ * Remove every phone counter for a phone number across all actions (admin unlock)
+ * @param {string} phone - Phone number
+ */
+export const clearAttemptsForPhone = async (phone) => {
+  const phoneDigits = normalizePhone(phone);
+  if (!phoneDigits) return;
+  for (const action of ['login', 'change_password', 'delete_account']) {
+    await getStore().reset(`${action}:phone:${phoneDigits}`);
+  }
+};
+
+/**
+ * Express middleware rejecting requests while the phone or IP is locked out of an action
+ * @param {string} action - 'login', 'change_password' or 'delete_account'
+ * @returns {function} Middleware
+ */
+export const attemptGuard = (action) => async (req, res, next) => {
+  try {
+    const phone = req.user?.phone || req.body?.phone;
+    const result = await checkAttempts(action, { phone, ip: req.ip });
+    if (result.locked) {
+      return sendLockedResponse(res, result.retryAfter);
+    }
+    next();
+  } catch (error) {
+    console.error('Attempt guard error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Send the standard 429 response for a lockout
+ * @param {object} res - Express response
+ * @param {number} retryAfter - Seconds until the lockout ends
+ */
+export const sendLockedResponse = (res, retryAfter) => {
+  const minutes = Math.ceil(retryAfter / 60);
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    message: `Too many failed attempts. Please try again in ${minutes} minute${minutes !== 1 ? 's' : ''}.`,
+    retryAfter,
+    error: 'TOO_MANY_ATTEMPTS',
+  });
+};
+
+export default {
+  checkAttempts,
+  recordFailedAttempt,
+  clearFailedAttempts,
+  listAttempts,
+  clearAttemptKey,
+  clearAttemptsForPhone,
+  attemptGuard,
+  sendLockedResponse,
+  setAttemptStore,
+  createMemoryStore,
+  getLockoutSeconds,
+};
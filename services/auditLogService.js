@@ -0,0 +1,109 @@
+/**
+ * Audit Log Service
+ * Records privileged (admin) actions with who did them, what they touched and what changed
+ */
+
+import mongoose from 'mongoose';
+import AuditLog from '../models/AuditLog.js';
+
+// Never copy secrets or bookkeeping fields into the log
+const IGNORED_FIELDS = ['password', '__v', 'updatedAt', 'createdAt', 'inviteCodeHash', 'refreshTokenHash'];
+
+const toPlain = (value) => {
+  if (value && typeof value.toObject === 'function') {
+    return value.toObject({ depopulate: true });
+  }
+  return value;
+};
+
+const isPlainObject = (value) => {
+  return value !== null
+    && typeof value === 'object'
+    && !Array.isArray(value)
+    && !(value instanceof Date)
+    && !(value instanceof mongoose.Types.ObjectId)
+    && !Buffer.isBuffer(value);
+};
+
+const normalizeLeaf = (value) => {
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (value instanceof Date) return value.toISOString();
+  if (value === undefined) return null;
+  return value;
+};
+
+/**
+ * List the fields that differ between two versions of a record
+ * Nested objects are compared field by field; arrays are compared as a whole.
+ * @param {object|null} before - Record before the change (document or plain object)
+ * @param {object|null} after - Record after the change
+ * @returns {object} { 'path.to.field': { from, to } }
+ */
+export const diffObjects = (before, after) => {
+  const changes = {};
+
+  const walk = (a, b, prefix) => {
+    const keys = new Set([...Object.keys(a || {}), ...Object.keys(b || {})]);
+    for (const key of keys) {
+      if (IGNORED_FIELDS.includes(key)) continue;
+      const path = prefix ? `${prefix}.${key}` : key;
+      const from = a?.[key];
+      const to = b?.[key];
+      if (isPlainObject(from) || isPlainObject(to)) {
+        walk(isPlainObject(from) ? from : {}, isPlainObject(to) ? to : {}, path);
+        continue;
+      }
+      const fromValue = Array.isArray(from) ? JSON.parse(JSON.stringify(from)) : normalizeLeaf(from);
+      const toValue = Array.isArray(to) ? JSON.parse(JSON.stringify(to)) : normalizeLeaf(to);
+      if (JSON.stringify(fromValue) !== JSON.stringify(toValue)) {
+        changes[path] = { from: fromValue, to: toValue };
+      }
+    }
+  };
+
+  walk(toPlain(before) || {}, toPlain(after) || {}, '');
+  return changes;
+};
+
+/**
+ * Write an audit log entry for an admin request
+ * Failures are logged and swallowed so auditing never breaks the action itself.
+ * @param {object} req - Express request (req.adminUser and req.adminRole set by the admin middleware)
+ * @param {object} entry
+ * @param {string} entry.action - e.g. 'user.subscription.update'
+ * @param {string} entry.targetType - e.g. 'user', 'settings'
+ * @param {string|object} [entry.targetId] - Id of the affected record
+ * @param {string|object} [entry.targetUserId] - The tailor account affected
+ * @param {object} [entry.before] - Record before the change
+ * @param {object} [entry.after] - Record after the change
+ * @param {object} [entry.metadata] - Extra details
+ * @returns {Promise<object|null>} The entry, or null if it could not be written
+ */
+export const recordAudit = async (req, { action, targetType, targetId = null, targetUserId = null, before = null, after = null, metadata = {} }) => {
+  try {
+    const actor = req.adminUser || req.user;
+    return await AuditLog.create({
+      actor: {
+        userId: actor._id,
+        name: actor.name || null,
+        phone: actor.phone || null,
+        adminRole: req.adminRole || null,
+      },
+      action,
+      target: {
+        type: targetType,
+        id: targetId ? targetId.toString() : null,
+        userId: targetUserId || null,
+      },
+      changes: diffObjects(before, after),
+      metadata,
+      ipAddress: req.ip || null,
+      userAgent: req.headers?.['user-agent'] || null,
+    });
+  } catch (error) {
+    console.error(`Error writing audit log for ${action}:`, error);
+    return null;
+  }
+};
+
+export default { recordAudit, diffObjects };
@@ -0,0 +1,60 @@
+/**
+ * Customer Deletion Service
+ * What happens to a customer's orders, measurements and notifications when the customer is deleted
+ *
+ * - A customer with unpaid order balances can't be deleted
+ * - archive (default): the customer is hidden from the customer list but kept, with all their
+ *   records, so old orders still show who they were for
+ * - delete: the customer goes to the trash with their orders and measurements (see trashService.js)
+ */
+
+import Order from '../models/Order.js';
+import Measurement from '../models/Measurement.js';
+import Notification from '../models/Notification.js';
+
+export const DELETION_MODES = ['archive', 'delete'];
+
+/**
+ * Orders of a customer that still have money owing
+ * @param {object} userId - The tailor's user id
+ * @param {object} customerId
+ * @returns {Promise<{ orders: Array<object>, totalBalance: number }>}
+ */
+export const getUnpaidOrders = async (userId, customerId) => {
+  const orders = await Order.find({ userId, customerId, balance: { $gt: 0 } })
+    .select('clothType style status amountCharged amountPaid balance deliveryDate')
+    .sort({ createdAt: 1 });
+  const totalBalance = orders.reduce((sum, order) => sum + order.balance, 0);
+  return { orders, totalBalance };
+};
+
+/**
+ * Count the records that belong to a customer
+ * @param {object} userId - The tailor's user id
+ * @param {object} customerId
+ * @returns {Promise<{ orders: number, measurements: number, notifications: number }>}
+ */
+export const countRelatedRecords = async (userId, customerId) => {
+  const filter = { userId, customerId };
+  const [orders, measurements, notifications] = await Promise.all([
+    Order.countDocuments(filter),
+    Measurement.countDocuments(filter),
+    Notification.countDocuments(filter),
+  ]);
+  return { orders, measurements, notifications };
+};
+
+/**
+ * Archive a customer: hidden from the customer list, records kept
+ * @param {object} customer - The customer document
+ * @param {object} actor - From getActor
+ * @returns {Promise<{ kept: object }>} Counts of the records kept with the customer
+ */
+export const archiveCustomer = async (customer, actor) => {
+  customer.archivedAt = new Date();
+  customer.updatedBy = actor;
+  await customer.save();
+  return { kept: await countRelatedRecords(customer.userId, customer._id) };
+};
+
+export default { getUnpaidOrders, countRelatedRecords, archiveCustomer, DELETION_MODES };
@@ -0,0 +1,217 @@
+/**
+ * Customer Events Service
+ * Birthdays and anniversaries of customers: upcoming lists for the app, and the daily run that
+ * notifies tailors and (optionally) sends the customer a greeting by SMS
+ *
+ * Event dates are stored as UTC midnight; "today" is taken in APP_TIMEZONE (default Africa/Lagos).
+ * Customers born on 29 February are celebrated on 28 February in other years.
+ */
+
+import Customer from '../models/Customer.js';
+import Notification from '../models/Notification.js';
+import User from '../models/User.js';
+import { sendSms } from './smsService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const CUSTOMER_EVENTS = {
+  birthday: {
+    field: 'birthday',
+    title: (customer) => `🎂 ${customer.name}'s birthday is today`,
+    message: (customer, years) => years
+      ? `${customer.name} turns ${years} today. Say happy birthday!`
+      : `Today is ${customer.name}'s birthday. Say happy birthday!`,
+    defaultGreeting: 'Happy birthday, {name}! Wishing you a wonderful year ahead from all of us at {business}.',
+    greetingSetting: 'birthdayMessage',
+  },
+  anniversary: {
+    field: 'anniversary',
+    title: (customer) => `💍 ${customer.name}'s anniversary is today`,
+    message: (customer, years) => years
+      ? `${customer.name} celebrates ${years} year${years !== 1 ? 's' : ''} today. Send your congratulations!`
+      : `Today is ${customer.name}'s anniversary. Send your congratulations!`,
+    defaultGreeting: 'Happy anniversary, {name}! Warm wishes from all of us at {business}.',
+    greetingSetting: 'anniversaryMessage',
+  },
+};
+
+const getTimeZone = () => process.env.APP_TIMEZONE || 'Africa/Lagos';
+
+const isLeapYear = (year) => (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+
+/**
+ * Today's date in the app time zone, as UTC midnight
+ * @param {Date} [now] - Current time
+ * @returns {Date}
+ */
+export const getLocalToday = (now = new Date()) => {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone: getTimeZone(),
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).formatToParts(now);
+  const get = (type) => parseInt(parts.find(part => part.type === type).value, 10);
+  return new Date(Date.UTC(get('year'), get('month') - 1, get('day')));
+};
+
+// The date an event falls on in a given year (29 February moves to 28 February outside leap years)
+const getOccurrenceInYear = (eventDate, year) => {
+  let month = eventDate.getUTCMonth();
+  let day = eventDate.getUTCDate();
+  if (month === 1 && day === 29 && !isLeapYear(year)) {
+    day = 28;
+  }
+  return new Date(Date.UTC(year, month, day));
+};
+
+/**
+ * Next occurrence of an event on or after today
+ * @param {Date} eventDate - Stored birthday/anniversary
+ * @param {Date} today - From getLocalToday
+ * @returns {{ date: Date, daysUntil: number, years: number|null }} years is null when the year looks unknown
+ */
+export const getNextOccurrence = (eventDate, today) => {
+  let date = getOccurrenceInYear(eventDate, today.getUTCFullYear());
+  if (date < today) {
+    date = getOccurrenceInYear(eventDate, today.getUTCFullYear() + 1);
+  }
+  const eventYear = eventDate.getUTCFullYear();
+  const years = eventYear >= 1900 ? date.getUTCFullYear() - eventYear : null;
+  return {
+    date,
+    daysUntil: Math.round((date - today) / DAY_MS),
+    years: years && years > 0 ? years : null,
+  };
+};
+
+/**
+ * List a tailor's customer birthdays/anniversaries in the next few days
+ * @param {object} userId - The tailor's user id
+ * @param {number} days - How many days ahead to look (0 = today only)
+ * @param {string[]} [types] - 'birthday' and/or 'anniversary'
+ * @returns {Promise<Array<object>>} Events sorted by date: { type, date, daysUntil, years, customer }
+ */
+export const getUpcomingEvents = async (userId, days, types = Object.keys(CUSTOMER_EVENTS)) => {
+  const today = getLocalToday();
+  const fields = types.map(type => CUSTOMER_EVENTS[type].field);
+
+  const customers = await Customer.find({
+    userId,
+    archivedAt: null,
+    $or: fields.map(field => ({ [field]: { $type: 'date' } })),
+  }).select('name phone gender photo birthday anniversary');
+
+  const events = [];
+  for (const customer of customers) {
+    for (const type of types) {
+      const eventDate = customer[CUSTOMER_EVENTS[type].field];
+      if (!eventDate) continue;
+      const occurrence = getNextOccurrence(eventDate, today);
+      if (occurrence.daysUntil <= days) {
+        events.push({ type, ...occurrence, customer });
+      }
+    }
+  }
+
+  return events.sort((a, b) => a.daysUntil - b.daysUntil || a.customer.name.localeCompare(b.customer.name));
+};
+
+// Customers whose event falls on today (UTC month/day of the stored date)
+const findCustomersWithEventOn = async (field, today) => {
+  const month = today.getUTCMonth() + 1;
+  const day = today.getUTCDate();
+  const dayMatches = [day];
+  // 29 February events are celebrated on 28 February outside leap years
+  if (month === 2 && day === 28 && !isLeapYear(today.getUTCFullYear())) {
+    dayMatches.push(29);
+  }
+  return await Customer.find({
+    [field]: { $type: 'date' },
+    archivedAt: null,
+    $expr: {
+      $and: [
+        { $eq: [{ $month: `$${field}` }, month] },
+        { $in: [{ $dayOfMonth: `$${field}` }, dayMatches] },
+      ],
+    },
+  }).select('userId name phone birthday anniversary');
+};
+
+const fillTemplate = (template, customer, user) => {
+  return template
+    .replace(/\{name\}/g, customer.name)
+    .replace(/\{business\}/g, user.businessName || user.name || 'your tailor');
+};
+
+/**
+ * Create today's birthday/anniversary notifications for tailors and send the greetings they enabled
+ * Safe to run more than once a day - customers already notified today are skipped.
+ * @returns {Promise<{ notifications: number, greetings: number }>}
+ */
+export const runDailyCustomerEvents = async () => {
+  const today = getLocalToday();
+  // Anything created in the last 20 hours counts as today's reminder
+  const alreadyNotifiedSince = new Date(Date.now() - 20 * 60 * 60 * 1000);
+  const users = new Map();
+  let notifications = 0;
+  let greetings = 0;
+
+  for (const [type, event] of Object.entries(CUSTOMER_EVENTS)) {
+    const customers = await findCustomersWithEventOn(event.field, today);
+
+    for (const customer of customers) {
+      try {
+        const userKey = customer.userId.toString();
+        if (!users.has(userKey)) {
+          users.set(userKey, await User.findById(customer.userId).select('name businessName accountStatus customerGreetings'));
+        }
+        const user = users.get(userKey);
+        if (!user || user.accountStatus === 'pending_deletion') continue;
+
+        const title = event.title(customer);
+        const existing = await Notification.findOne({
+          userId: customer.userId,
+          customerId: customer._id,
+          type: 'birthday',
+          title,
+          createdAt: { $gte: alreadyNotifiedSince },
+        });
+        if (existing) continue;
+
+        const { years } = getNextOccurrence(customer[event.field], today);
+        let message = event.message(customer, years);
+
+        if (user.customerGreetings?.enabled && customer.phone) {
+          const template = user.customerGreetings[event.greetingSetting] || event.defaultGreeting;
+          try {
+            await sendSms(customer.phone, fillTemplate(template, customer, user));
+            greetings += 1;
+            message += ' A greeting was sent to them by SMS.';
+          } catch (error) {
+            console.error(`Error sending ${type} greeting to customer ${customer._id}:`, error);
+          }
+        }
+
+        await Notification.create({
+          userId: customer.userId,
+          type: 'birthday',
+          title,
+          message,
+          customerId: customer._id,
+          date: new Date(),
+          read: false,
+          sound: true,
+        });
+        notifications += 1;
+      } catch (error) {
+        // Keep going - one bad record shouldn't stop everyone else's reminders
+        console.error(`Error processing ${type} for customer ${customer._id}:`, error);
+      }
+    }
+  }
+
+  return { notifications, greetings };
+};
+
+export default { getUpcomingEvents, runDailyCustomerEvents, getNextOccurrence, getLocalToday, CUSTOMER_EVENTS };
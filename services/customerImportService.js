@@ -0,0 +1,325 @@
+/**
+ * Customer Import Service
+ * Imports a tailor's existing clients from a CSV file or phone contacts (.vcf)
+ *
+ * Each row is mapped to Customer fields, validated and reported on its own, so one bad row
+ * never stops the rest. Rows whose phone number matches an existing customer are skipped or
+ * update that customer. A dry run validates everything and reports what would happen without
+ * writing anything.
+ */
+
+import Customer from '../models/Customer.js';
+import { parseCsv } from '../utils/csv.js';
+import { parseVcards } from '../utils/vcard.js';
+import { normalizePhone } from './customerMergeService.js';
+
+export const MAX_IMPORT_ROWS = 2000;
+
+export const IMPORT_FIELDS = ['name', 'firstName', 'lastName', 'phone', 'address', 'gender', 'birthday', 'anniversary'];
+
+export const EXISTING_CUSTOMER_ACTIONS = ['skip', 'update'];
+
+// Column headers recognised without a mapping (compared lowercase, letters and digits only).
+// Includes the headers of Google Contacts and Outlook CSV exports.
+const COLUMN_ALIASES = {
+  name: ['name', 'fullname', 'customer', 'customername', 'client', 'clientname', 'displayname', 'contactname'],
+  firstName: ['firstname', 'givenname', 'first'],
+  lastName: ['lastname', 'surname', 'familyname', 'last'],
+  phone: [
+    'phone', 'phonenumber', 'mobile', 'mobilenumber', 'mobilephone', 'cell', 'cellphone', 'telephone', 'tel',
+    'whatsapp', 'whatsappnumber', 'primaryphone', 'phone1value',
+  ],
+  address: ['address', 'homeaddress', 'streetaddress', 'homestreet', 'location', 'address1formatted'],
+  gender: ['gender', 'sex'],
+  birthday: ['birthday', 'dateofbirth', 'dob', 'birthdate'],
+  anniversary: ['anniversary', 'weddinganniversary', 'weddingdate'],
+};
+
+const GENDER_VALUES = {
+  male: ['male', 'm', 'man', 'boy'],
+  female: ['female', 'f', 'woman', 'girl', 'lady'],
+};
+
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Work out which Customer field each CSV column holds
+ * @param {string[]} headers - The CSV header row
+ * @param {object} [mapping] - Client overrides: { "<column header>": "<field>" | "ignore" }
+ * @returns {{ columns: Array<string|null>, errors: string[] }} The field for each column (null = unused)
+ */
+export const mapColumns = (headers, mapping = {}) => {
+  const errors = [];
+  const overrides = new Map(Object.entries(mapping || {}).map(([header, field]) => [normalizeHeader(header), field]));
+
+  const columns = headers.map((header) => {
+    const key = normalizeHeader(header);
+    if (overrides.has(key)) {
+      const field = overrides.get(key);
+      if (field === 'ignore' || field === null) return null;
+      if (!IMPORT_FIELDS.includes(field)) {
+        errors.push(`Column "${header}" is mapped to unknown field "${field}"`);
+        return null;
+      }
+      return field;
+    }
+    return Object.keys(COLUMN_ALIASES).find(field => COLUMN_ALIASES[field].includes(key)) || null;
+  });
+
+  // Only the first column for a field is used
+  const seen = new Set();
+  const result = columns.map((field) => {
+    if (!field || seen.has(field)) return null;
+    seen.add(field);
+    return field;
+  });
+
+  if (!seen.has('name') && !(seen.has('firstName') || seen.has('lastName'))) {
+    errors.push('No name column found (expected a header like "Name" or "First Name")');
+  }
+  if (!seen.has('phone')) {
+    errors.push('No phone column found (expected a header like "Phone" or "Mobile")');
+  }
+
+  return { columns: result, errors };
+};
+
+/**
+ * Tell a vCard file from a CSV file
+ * @param {Buffer} buffer - File contents
+ * @param {string} [filename] - Original file name
+ * @returns {'vcard'|'csv'|null} null for binary files (e.g. Excel workbooks)
+ */
+export const detectImportFormat = (buffer, filename = '') => {
+  const head = buffer.subarray(0, 512).toString('utf8').replace(/^\uFEFF/, '').trimStart();
+  if (/\.(vcf|vcard)$/i.test(filename) || /^BEGIN:VCARD/i.test(head)) return 'vcard';
+  if (head.includes('\u0000') || buffer.subarray(0, 2).toString('latin1') === 'PK') return null;
+  return 'csv';
+};
+
+/**
+ * Turn an import file into raw records
+ * @param {Buffer} buffer - File contents
+ * @param {string} format - From detectImportFormat
+ * @param {object} [mapping] - Column overrides for CSV files (see mapColumns)
+ * @returns {{ records: Array<{ row: number, values: object }>, columns: object|null, errors: string[] }}
+ *   row is the line the record starts on; columns shows how CSV headers were mapped
+ */
+export const readImportFile = (buffer, format, mapping) => {
+  const text = buffer.toString('utf8');
+
+  if (format === 'vcard') {
+    const records = parseVcards(text).map(({ line, ...values }) => ({ row: line, values }));
+    return { records, columns: null, errors: records.length === 0 ? ['No contacts found in the file'] : [] };
+  }
+
+  const { rows, lineNumbers } = parseCsv(text);
+  if (rows.length < 2) {
+    return { records: [], columns: null, errors: ['The file needs a header row and at least one customer'] };
+  }
+
+  const [headers, ...dataRows] = rows;
+  const { columns, errors } = mapColumns(headers, mapping);
+  const columnMap = Object.fromEntries(headers.map((header, i) => [header, columns[i]]));
+  if (errors.length > 0) {
+    return { records: [], columns: columnMap, errors };
+  }
+
+  const records = dataRows.map((cells, index) => {
+    const values = {};
+    columns.forEach((field, i) => {
+      if (field) values[field] = (cells[i] || '').trim();
+    });
+    return { row: lineNumbers[index + 1], values };
+  });
+
+  return { records, columns: columnMap, errors: [] };
+};
+
+/**
+ * Validate and normalize a Nigerian phone number
+ * @param {string} phone - As typed (spaces, dashes, +234 ...)
+ * @returns {string|null} 11-digit local number (08031234567), or null when invalid
+ */
+export const formatImportPhone = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '');
+  if (digits.length === 11 && digits.startsWith('0')) return digits;
+  if (digits.length === 13 && digits.startsWith('234')) return `0${digits.slice(3)}`;
+  if (digits.length === 10 && !digits.startsWith('0')) return `0${digits}`;
+  return null;
+};
+
+const parseGender = (value) => {
+  const key = String(value || '').trim().toLowerCase();
+  return Object.keys(GENDER_VALUES).find(gender => GENDER_VALUES[gender].includes(key)) || null;
+};
+
+/**
+ * Parse a date cell: YYYY-MM-DD, or DD/MM/YYYY and DD-MM-YYYY (day first, as written in Nigeria)
+ * @param {string} value
+ * @returns {Date|null|undefined} null when empty, undefined when invalid
+ */
+export const parseImportDate = (value) => {
+  const text = String(value || '').trim();
+  if (!text) return null;
+
+  let year;
+  let month;
+  let day;
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (match) {
+    [, year, month, day] = match.map(Number);
+  } else if ((match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/))) {
+    [, day, month, year] = match.map(Number);
+  } else {
+    return undefined;
+  }
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return undefined;
+  return date;
+};
+
+/**
+ * Validate one record and turn it into Customer fields
+ * @param {object} values - Raw values by import field
+ * @param {string|null} defaultGender - Used when the row has no gender
+ * @returns {{ data: object, errors: string[] }}
+ */
+export const buildCustomerData = (values, defaultGender) => {
+  const errors = [];
+  const data = {};
+
+  const name = values.name || [values.firstName, values.lastName].filter(Boolean).join(' ');
+  if (!name || !name.trim()) {
+    errors.push('Name is required');
+  } else {
+    data.name = name.trim().replace(/\s+/g, ' ');
+  }
+
+  if (!values.phone) {
+    errors.push('Phone is required');
+  } else {
+    const phone = formatImportPhone(values.phone);
+    if (!phone) {
+      errors.push(`Phone "${values.phone}" is not a valid phone number (expected 11 digits like 08031234567, or +234...)`);
+    } else {
+      data.phone = phone;
+    }
+  }
+
+  if (values.gender) {
+    const gender = parseGender(values.gender);
+    if (!gender) {
+      errors.push(`Gender "${values.gender}" must be male or female`);
+    } else {
+      data.gender = gender;
+    }
+  } else if (defaultGender) {
+    data.gender = defaultGender;
+  } else {
+    errors.push('Gender is required (add a gender column or choose a default gender)');
+  }
+
+  if (values.address) {
+    data.address = values.address;
+  }
+
+  for (const field of ['birthday', 'anniversary']) {
+    if (!values[field]) continue;
+    const date = parseImportDate(values[field]);
+    if (date === undefined) {
+      errors.push(`${field === 'birthday' ? 'Birthday' : 'Anniversary'} "${values[field]}" is not a valid date (use YYYY-MM-DD or DD/MM/YYYY)`);
+    } else {
+      data[field] = date;
+    }
+  }
+
+  return { data, errors };
+};
+
+// Schema validation messages for a document, e.g. a birthday in the future
+const getValidationErrors = (doc) => {
+  const error = doc.validateSync();
+  return error ? Object.values(error.errors).map(err => err.message) : [];
+};
+
+/**
+ * Import records into a tailor's customers
+ * @param {object} options
+ * @param {object} options.userId - The tailor's user id
+ * @param {Array<{ row: number, values: object }>} options.records - From readImportFile
+ * @param {boolean} options.dryRun - Validate and report only
+ * @param {string} options.onExisting - 'skip' or 'update' customers with the same phone number
+ * @param {string|null} options.defaultGender - For rows without a gender
+ * @param {object} options.actor - From getActor, recorded as createdBy/updatedBy
+ * @returns {Promise<{ summary: object, rows: Array<object> }>} rows report each record's
+ *   status (created, updated, skipped or failed) and errors; in a dry run the status is what
+ *   would happen
+ */
+export const importCustomers = async ({ userId, records, dryRun, onExisting, defaultGender, actor }) => {
+  const existingCustomers = await Customer.find({ userId });
+  const existingByPhone = new Map();
+  for (const customer of existingCustomers) {
+    const key = normalizePhone(customer.phone);
+    if (key && !existingByPhone.has(key)) existingByPhone.set(key, customer);
+  }
+
+  const seenInFile = new Map();
+  const summary = { total: records.length, created: 0, updated: 0, skipped: 0, failed: 0 };
+  const rows = [];
+
+  for (const { row, values } of records) {
+    const { data, errors } = buildCustomerData(values, defaultGender);
+    const result = { row, name: data.name || values.name || null, phone: data.phone || values.phone || null };
+
+    const phoneKey = data.phone ? normalizePhone(data.phone) : null;
+    if (phoneKey && seenInFile.has(phoneKey)) {
+      errors.push(`Same phone number as row ${seenInFile.get(phoneKey)}`);
+    }
+
+    const existing = phoneKey ? existingByPhone.get(phoneKey) : null;
+    let doc = null;
+    if (errors.length === 0) {
+      if (existing && onExisting === 'update') {
+        // Only fill in what the row has - blank cells never clear existing details
+        doc = existing;
+        doc.set({ ...data, updatedBy: actor });
+      } else if (!existing) {
+        doc = new Customer({ ...data, userId, createdBy: actor, updatedBy: actor });
+      }
+      if (doc) errors.push(...getValidationErrors(doc));
+    }
+
+    if (errors.length > 0) {
+      summary.failed += 1;
+      rows.push({ ...result, status: 'failed', errors });
+      continue;
+    }
+    seenInFile.set(phoneKey, row);
+
+    if (existing && onExisting !== 'update') {
+      summary.skipped += 1;
+      rows.push({ ...result, status: 'skipped', customerId: existing._id, errors: [], reason: 'A customer with this phone number already exists' });
+      continue;
+    }
+
+    const status = existing ? 'updated' : 'created';
+    if (!dryRun) {
+      try {
+        await doc.save();
+      } catch (error) {
+        summary.failed += 1;
+        rows.push({ ...result, status: 'failed', errors: [error.message] });
+        continue;
+      }
+    }
+
+    summary[status] += 1;
+    rows.push({ ...result, status, customerId: dryRun && !existing ? null : doc._id, errors: [] });
+  }
+
+  return { summary, rows };
+};
+
+export default { importCustomers, readImportFile, detectImportFormat, mapColumns, buildCustomerData, formatImportPhone, parseImportDate };
@@ -0,0 +1,275 @@
+/**
+ * Customer Merge Service
+ * Finds customers that are probably the same person within a tailor's book and merges them
+ *
+ * Two customers are likely duplicates when their phone numbers match once normalized
+ * (0803..., +234 803..., 234-803-... are the same number) or their names are nearly the same
+ * (case, punctuation, word order and small typos are ignored).
+ */
+
+import mongoose from 'mongoose';
+import Customer, { MAX_TAGS } from '../models/Customer.js';
+import Order from '../models/Order.js';
+import Measurement from '../models/Measurement.js';
+import MeasurementRevision from '../models/MeasurementRevision.js';
+import Notification from '../models/Notification.js';
+import { deleteFromS3 } from './s3Service.js';
+
+// Names at least this similar (0-1) are treated as the same person
+const NAME_SIMILARITY_THRESHOLD = 0.85;
+// Local numbers are compared on their last 10 digits, so country code and trunk 0 don't matter
+const SIGNIFICANT_PHONE_DIGITS = 10;
+// Names are only compared with names sharing a word or their first letters; words shared by more
+// customers than this (e.g. "mrs") are too common to narrow anything down and are skipped
+const NAME_PREFIX_LENGTH = 3;
+const MAX_NAME_BUCKET_SIZE = 200;
+
+// Fields copied from the source to the target when the target doesn't have them
+const FILLABLE_FIELDS = ['address', 'photo', 'birthday', 'anniversary'];
+
+/**
+ * Normalize a phone number for comparison
+ * @param {string} phone
+ * @returns {string|null} The significant digits, or null when there are too few to compare
+ */
+export const normalizePhone = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '');
+  if (digits.length < 7) return null;
+  return digits.slice(-SIGNIFICANT_PHONE_DIGITS);
+};
+
+/**
+ * Normalize a name for comparison: lowercase, letters and digits only, words sorted
+ * @param {string} name
+ * @returns {string}
+ */
+export const normalizeName = (name) => {
+  return String(name || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .sort()
+    .join(' ');
+};
+
+const levenshtein = (a, b) => {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Similarity of two normalized names (1 = identical)
+ * @param {string} a - From normalizeName
+ * @param {string} b - From normalizeName
+ * @returns {number} 0-1
+ */
+export const nameSimilarity = (a, b) => {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+};
+
+// Buckets of customer indexes that share a name word or the name's first letters
+const buildNameBuckets = (names) => {
+  const buckets = new Map();
+  names.forEach((name, i) => {
+    if (!name) return;
+    const keys = new Set(name.split(' ').filter(word => word.length > 1).map(word => `w:${word}`));
+    keys.add(`p:${name.slice(0, NAME_PREFIX_LENGTH)}`);
+    for (const key of keys) {
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(i);
+    }
+  });
+  return [...buckets.values()].filter(bucket => bucket.length > 1 && bucket.length <= MAX_NAME_BUCKET_SIZE);
+};
+
+/**
+ * Group a tailor's customers that are probably the same person
+ * @param {object} userId - The tailor's user id
+ * @returns {Promise<Array<{ reasons: string[], customers: Array<object> }>>} Groups of two or more
+ *   customers, oldest customer first in each group
+ */
+export const findDuplicateGroups = async (userId) => {
+  // Only what the comparison needs; the grouped customers are loaded in full afterwards
+  const customers = await Customer.find({ userId, archivedAt: null })
+    .select('name phone createdAt')
+    .sort({ createdAt: 1 })
+    .lean();
+  const normalized = customers.map(customer => ({
+    phone: normalizePhone(customer.phone),
+    name: normalizeName(customer.name),
+  }));
+
+  // Union-find over customer indexes so chains (A~B, B~C) end up in one group
+  const parent = customers.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const reasons = new Map();
+  const link = (i, j, reason) => {
+    const rootI = find(i);
+    const rootJ = find(j);
+    if (rootI !== rootJ) parent[rootJ] = rootI;
+    const root = find(i);
+    const merged = new Set([...(reasons.get(rootI) || []), ...(reasons.get(rootJ) || []), reason]);
+    reasons.delete(rootI);
+    reasons.delete(rootJ);
+    reasons.set(root, merged);
+  };
+
+  // Same phone number
+  const byPhone = new Map();
+  normalized.forEach(({ phone }, i) => {
+    if (!phone) return;
+    if (byPhone.has(phone)) {
+      link(byPhone.get(phone), i, 'phone');
+    } else {
+      byPhone.set(phone, i);
+    }
+  });
+
+  // Similar names, compared only within buckets instead of every pair
+  const candidates = customers.map(() => new Set());
+  for (const bucket of buildNameBuckets(normalized.map(({ name }) => name))) {
+    for (let a = 0; a < bucket.length; a++) {
+      for (let b = a + 1; b < bucket.length; b++) {
+        candidates[bucket[a]].add(bucket[b]);
+      }
+    }
+  }
+  candidates.forEach((others, i) => {
+    const name = normalized[i].name;
+    for (const j of others) {
+      const other = normalized[j].name;
+      // Names whose lengths differ this much can't reach the threshold
+      if (Math.abs(name.length - other.length) > (1 - NAME_SIMILARITY_THRESHOLD) * Math.max(name.length, other.length)) {
+        continue;
+      }
+      if (nameSimilarity(name, other) >= NAME_SIMILARITY_THRESHOLD) {
+        link(i, j, 'name');
+      }
+    }
+  });
+
+  const groups = new Map();
+  customers.forEach((customer, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(customer._id);
+  });
+  const duplicates = [...groups.entries()].filter(([, members]) => members.length > 1);
+  if (!duplicates.length) return [];
+
+  const byId = new Map(
+    (await Customer.find({ _id: { $in: duplicates.flatMap(([, members]) => members) }, userId }))
+      .map(customer => [String(customer._id), customer]),
+  );
+  return duplicates
+    .map(([root, members]) => ({
+      reasons: [...(reasons.get(root) || [])].sort(),
+      customers: members.map(id => byId.get(String(id))).filter(Boolean),
+    }))
+    .filter(group => group.customers.length > 1);
+};
+
+/**
+ * Merge one customer into another: orders, measurements (including those in the trash) and
+ * notifications of the source move to the target, empty target fields are filled from the source,
+ * tags and notes are combined, and the source is deleted.
+ * Runs in a transaction, so either everything moves or nothing does.
+ * @param {object} userId - The tailor's user id (both customers must belong to them)
+ * @param {object} targetId - The customer that is kept
+ * @param {object} sourceId - The customer that is merged in and removed
+ * @param {object} actor - From getActor, recorded as updatedBy on the target
+ * @returns {Promise<{ customer: object, moved: { orders: number, measurements: number, notifications: number } }|{ error: string }|null>}
+ *   null when either customer doesn't belong to the user; error 'TOO_MANY_TAGS' (with tagCount)
+ *   when the combined tags would be over MAX_TAGS, in which case nothing is changed
+ */
+export const mergeCustomers = async (userId, targetId, sourceId, actor) => {
+  const session = await mongoose.startSession();
+  let result = null;
+  let unusedPhoto = null;
+
+  try {
+    await session.withTransaction(async () => {
+      // withTransaction may retry the callback - start from a clean slate each time
+      result = null;
+      unusedPhoto = null;
+
+      // Operations in a transaction run one at a time (a session doesn't support parallel operations)
+      const target = await Customer.findOne({ _id: targetId, userId }).session(session);
+      const source = await Customer.findOne({ _id: sourceId, userId }).session(session);
+      if (!target || !source) return;
+
+      // Tags are already normalized, so matching ones are exact duplicates
+      const tags = [...new Set([...target.tags, ...source.tags])];
+      if (tags.length > MAX_TAGS) {
+        result = { error: 'TOO_MANY_TAGS', tagCount: tags.length };
+        return;
+      }
+
+      const references = { userId, customerId: source._id };
+      const update = { $set: { customerId: target._id } };
+      // withDeleted: the source's orders and measurements in the trash move too, so they can still
+      // be restored once the source is gone
+      const orders = await Order.updateMany(references, update, { session, withDeleted: true });
+      const measurements = await Measurement.updateMany(references, update, { session, withDeleted: true });
+      await MeasurementRevision.updateMany(references, update, { session });
+      const notifications = await Notification.updateMany(references, update, { session });
+
+      for (const field of FILLABLE_FIELDS) {
+        if (!target[field] && source[field]) {
+          target[field] = source[field];
+        }
+      }
+      // Keep both customers' tags and notes
+      target.tags = tags;
+      target.notes.push(...source.notes.map(note => note.toObject()));
+      target.notes.sort((a, b) => a.createdAt - b.createdAt);
+
+      if (source.photo && source.photo !== target.photo) {
+        unusedPhoto = source.photo;
+      }
+      target.updatedBy = actor;
+      await target.save({ session });
+      await Customer.deleteOne({ _id: source._id }, { session });
+
+      result = {
+        customer: target,
+        moved: {
+          orders: orders.modifiedCount,
+          measurements: measurements.modifiedCount,
+          notifications: notifications.modifiedCount,
+        },
+      };
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  // Only remove the source's photo once the merge is committed
+  if (result && unusedPhoto) {
+    try {
+      await deleteFromS3(unusedPhoto);
+    } catch (error) {
+      console.error('Error deleting merged customer photo:', error);
+    }
+  }
+
+  return result;
+};
+
+export default { findDuplicateGroups, mergeCustomers, normalizePhone, normalizeName, nameSimilarity };
@@ -0,0 +1,96 @@
+/**
+ * Customer Summary Service
+ * Everything the app shows when a customer is opened, in one call: order totals (lifetime value),
+ * the outstanding balance and the latest measurement of each category.
+ *
+ * Orders and measurements in the trash are left out (models/softDelete.js filters aggregations).
+ */
+
+import Order from '../models/Order.js';
+import Measurement from '../models/Measurement.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const EMPTY_ORDER_STATS = {
+  count: 0,
+  deliveredCount: 0,
+  totalCharged: 0,
+  totalPaid: 0,
+  outstandingBalance: 0,
+  lastOrderDate: null,
+  averageTurnaroundDays: null,
+};
+
+/**
+ * Order totals for a customer
+ * @param {object} customer - The customer document
+ * @returns {Promise<object>} { count, deliveredCount, totalCharged, totalPaid, outstandingBalance,
+ *   lastOrderDate, averageTurnaroundDays }
+ */
+export const getOrderStats = async (customer) => {
+  const [stats] = await Order.aggregate([
+    { $match: { userId: customer.userId, customerId: customer._id } },
+    {
+      $group: {
+        _id: null,
+        count: { $sum: 1 },
+        deliveredCount: { $sum: { $cond: [{ $eq: ['$status', 'delivered'] }, 1, 0] } },
+        totalCharged: { $sum: '$amountCharged' },
+        totalPaid: { $sum: '$amountPaid' },
+        // Overpaid orders don't reduce what is still owed on the others
+        outstandingBalance: { $sum: { $max: ['$balance', 0] } },
+        lastOrderDate: { $max: '$dateReceived' },
+        // Turnaround of delivered orders: received to delivery date. $avg skips the nulls.
+        averageTurnaroundMs: {
+          $avg: {
+            $cond: [
+              { $eq: ['$status', 'delivered'] },
+              { $subtract: ['$deliveryDate', '$dateReceived'] },
+              null,
+            ],
+          },
+        },
+      },
+    },
+  ]);
+
+  if (!stats) return { ...EMPTY_ORDER_STATS };
+
+  const { _id, averageTurnaroundMs, ...totals } = stats;
+  return {
+    ...totals,
+    averageTurnaroundDays: averageTurnaroundMs === null
+      ? null
+      : Math.round((averageTurnaroundMs / DAY_MS) * 10) / 10,
+  };
+};
+
+/**
+ * The most recent measurement of each category for a customer
+ * @param {object} customer - The customer document
+ * @returns {Promise<Array<object>>} Measurements sorted by category
+ */
+export const getLatestMeasurements = async (customer) => {
+  return Measurement.aggregate([
+    { $match: { userId: customer.userId, customerId: customer._id } },
+    { $sort: { createdAt: -1 } },
+    { $group: { _id: '$category', measurement: { $first: '$$ROOT' } } },
+    { $replaceRoot: { newRoot: '$measurement' } },
+    { $sort: { category: 1 } },
+  ]);
+};
+
+/**
+ * Build a customer's profile summary
+ * @param {object} customer - The customer document
+ * @returns {Promise<{ customer: object, orders: object, latestMeasurements: Array<object> }>}
+ */
+export const getCustomerSummary = async (customer) => {
+  const [orders, latestMeasurements] = await Promise.all([
+    getOrderStats(customer),
+    getLatestMeasurements(customer),
+  ]);
+  return { customer, orders, latestMeasurements };
+};
+
+export default { getOrderStats, getLatestMeasurements, getCustomerSummary };
@@ -0,0 +1,85 @@
+/**
+ * Customer Tag Service
+ * A tailor's tags live on their customers (Customer.tags); these helpers list them with counts and
+ * rename, merge or delete a tag across all of the tailor's customers at once.
+ *
+ * Customers in the trash are updated too, so a restored customer doesn't bring back an old tag.
+ */
+
+import Customer, { normalizeTag, MAX_TAG_LENGTH } from '../models/Customer.js';
+
+/**
+ * Validate a tag name from a request
+ * @param {*} name
+ * @returns {{ tag: string|null, error: string|null }}
+ */
+export const parseTagName = (name) => {
+  const tag = normalizeTag(name);
+  if (!tag) return { tag: null, error: 'Tag name is required' };
+  if (tag.length > MAX_TAG_LENGTH) return { tag: null, error: `Tags can be at most ${MAX_TAG_LENGTH} characters` };
+  return { tag, error: null };
+};
+
+/**
+ * List a tailor's tags with how many customers have each
+ * @param {object} userId - The tailor's user id
+ * @returns {Promise<Array<{ name: string, count: number }>>} Sorted by name
+ */
+export const listTags = async (userId) => {
+  const tags = await Customer.aggregate([
+    { $match: { userId, archivedAt: null } },
+    { $unwind: '$tags' },
+    { $group: { _id: '$tags', count: { $sum: 1 } } },
+    { $sort: { _id: 1 } },
+  ]);
+  return tags.map(({ _id, count }) => ({ name: _id, count }));
+};
+
+/**
+ * Replace one or more tags with another on every customer that has them. Renaming is merging a
+ * single tag; a customer that already has the target tag keeps it once.
+ * @param {object} userId - The tailor's user id
+ * @param {string[]} fromTags - Tags to replace
+ * @param {string} toTag - Tag to use instead
+ * @returns {Promise<number>} Number of customers changed
+ */
+export const mergeTags = async (userId, fromTags, toTag) => {
+  const from = fromTags.filter(tag => tag !== toTag);
+  if (from.length === 0) return 0;
+
+  // Pipeline update: keep the other tags in order, then add the target tag if it isn't there yet
+  const remaining = { $filter: { input: '$tags', cond: { $not: [{ $in: ['$$this', from] }] } } };
+  const result = await Customer.updateMany(
+    { userId, tags: { $in: from } },
+    [{
+      $set: {
+        tags: {
+          $cond: [
+            { $in: [toTag, remaining] },
+            remaining,
+            { $concatArrays: [remaining, [toTag]] },
+          ],
+        },
+      },
+    }],
+    { withDeleted: true }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Remove a tag from every customer that has it
+ * @param {object} userId - The tailor's user id
+ * @param {string} tag
+ * @returns {Promise<number>} Number of customers changed
+ */
+export const deleteTag = async (userId, tag) => {
+  const result = await Customer.updateMany(
+    { userId, tags: tag },
+    { $pull: { tags: tag } },
+    { withDeleted: true }
+  );
+  return result.modifiedCount;
+};
+
+export default { parseTagName, listTags, mergeTags, deleteTag };
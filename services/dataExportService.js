@@ -0,0 +1,445 @@
+/**
+ * Data Export Service
+ * Builds a ZIP with all of a tailor's business data: customers, orders, measurements,
+ * notifications and payment history as CSV and JSON, plus the images they reference in R2.
+ *
+ * Exports are built in the background: the request creates a DataExport record, the ZIP is built
+ * right after the response (and retried by the scheduled job if the server stops midway), then
+ * uploaded to R2 and downloaded through a signed link until it expires.
+ */
+
+import path from 'path';
+import User from '../models/User.js';
+import Customer from '../models/Customer.js';
+import Order from '../models/Order.js';
+import Measurement from '../models/Measurement.js';
+import MeasurementRevision from '../models/MeasurementRevision.js';
+import Notification from '../models/Notification.js';
+import DataExport from '../models/DataExport.js';
+import { uploadToS3, deleteFromS3, downloadFromS3 } from './s3Service.js';
+import { signDownloadToken } from './tokenService.js';
+import { toCsv } from '../utils/csv.js';
+import { createZip } from '../utils/zip.js';
+
+// How long a finished export can be downloaded
+const EXPORT_TTL_DAYS = 7;
+// A finished export is reused for this long instead of building a new one
+const EXPORT_REUSE_MINUTES = 60;
+// Exports stuck in processing this long (server restarted) are retried
+const STALE_PROCESSING_MINUTES = 30;
+const MAX_ATTEMPTS = 3;
+// Images beyond this total are listed in images.csv but left out of the ZIP. The images and the
+// finished ZIP are both held in memory while an export is built, so keep this well below the
+// server's memory
+const MAX_IMAGE_BYTES = 50 * 1024 * 1024;
+
+const CUSTOMER_COLUMNS = ['id', 'name', 'phone', 'address', 'gender', 'birthday', 'anniversary', 'tags', 'notes', 'photo', 'createdAt', 'updatedAt'];
+const ORDER_COLUMNS = [
+  'id', 'customerId', 'customerName', 'clothType', 'style', 'fabric', 'dateReceived', 'deliveryDate', 'status',
+  'amountCharged', 'amountPaid', 'balance', 'stylePictures', 'sketches', 'createdAt', 'updatedAt',
+];
+const NOTIFICATION_COLUMNS = ['id', 'type', 'title', 'message', 'orderId', 'customerId', 'date', 'read', 'createdAt'];
+const PAYMENT_COLUMNS = ['txRef', 'transactionId', 'amount', 'subscriptionType', 'status', 'paidAt'];
+const IMAGE_COLUMNS = ['recordType', 'recordId', 'url', 'file', 'status'];
+
+const toId = (value) => (value ? value.toString() : null);
+
+const toDateOnly = (date) => (date ? date.toISOString().slice(0, 10) : null);
+
+/**
+ * Describe an export for API responses
+ * @param {object} dataExport - The DataExport document
+ * @returns {object} With downloadUrl once the export is ready
+ */
+export const formatDataExport = (dataExport) => {
+  const ready = dataExport.status === 'ready' && dataExport.expiresAt > new Date();
+  const baseUrl = process.env.BACKEND_URL || 'http://localhost:3000';
+  return {
+    id: dataExport._id,
+    status: ready || dataExport.status !== 'ready' ? dataExport.status : 'expired',
+    fileName: dataExport.fileName,
+    size: dataExport.size,
+    counts: dataExport.counts,
+    createdAt: dataExport.createdAt,
+    completedAt: dataExport.completedAt,
+    expiresAt: dataExport.expiresAt,
+    error: dataExport.status === 'failed' ? dataExport.error : null,
+    downloadUrl: ready
+      ? `${baseUrl}/api/auth/export/${dataExport._id}/download?token=${signDownloadToken(dataExport._id, dataExport.expiresAt)}`
+      : null,
+  };
+};
+
+/**
+ * Start an export for a tailor, or return the one already running (or finished within the last hour)
+ * @param {object} user - The user document
+ * @param {object} requestedBy - { name, ipAddress }
+ * @returns {Promise<{ dataExport: object, created: boolean }>}
+ */
+export const requestDataExport = async (user, requestedBy) => {
+  const reuseSince = new Date(Date.now() - EXPORT_REUSE_MINUTES * 60 * 1000);
+  const existing = await DataExport.findOne({
+    userId: user._id,
+    $or: [
+      { status: { $in: ['pending', 'processing'] } },
+      { status: 'ready', completedAt: { $gte: reuseSince } },
+    ],
+  }).sort({ createdAt: -1 });
+  if (existing) {
+    return { dataExport: existing, created: false };
+  }
+
+  const dataExport = await DataExport.create({ userId: user._id, requestedBy });
+
+  // Build it after the response is sent; the scheduled job picks it up if this doesn't finish
+  setImmediate(() => {
+    generateDataExport(dataExport._id).catch((error) => {
+      console.error(`Error generating data export ${dataExport._id}:`, error);
+    });
+  });
+
+  return { dataExport, created: true };
+};
+
+// Download the images records point at; each image is listed in images.csv with its file in the ZIP
+const collectImages = async (references) => {
+  const files = [];
+  const manifest = [];
+  let totalBytes = 0;
+  let full = false;
+
+  for (const { recordType, recordId, url, folder, prefix } of references) {
+    const entry = { recordType, recordId, url, file: null, status: 'included' };
+    manifest.push(entry);
+
+    if (full) {
+      entry.status = 'skipped (export size limit)';
+      continue;
+    }
+
+    try {
+      const { buffer } = await downloadFromS3(url);
+      if (totalBytes + buffer.length > MAX_IMAGE_BYTES) {
+        full = true;
+        entry.status = 'skipped (export size limit)';
+        continue;
+      }
+      const baseName = path.basename(new URL(url).pathname) || 'image';
+      entry.file = `images/${folder}/${prefix}-${baseName}`;
+      totalBytes += buffer.length;
+      files.push({ name: entry.file, data: buffer, compress: false });
+    } catch (error) {
+      console.error(`Data export: could not download ${url}:`, error.message);
+      entry.status = 'missing';
+    }
+  }
+
+  return { files, manifest };
+};
+
+/**
+ * Build the ZIP contents for a tailor
+ * @param {object} user - The user document
+ * @returns {Promise<{ files: Array<object>, counts: object }>} Files for createZip
+ */
+const buildExportFiles = async (user) => {
+  const userId = user._id;
+  const [customers, orders, measurements, measurementHistory, notifications] = await Promise.all([
+    Customer.find({ userId }).sort({ createdAt: 1 }).lean(),
+    Order.find({ userId }).sort({ createdAt: 1 }).lean(),
+    Measurement.find({ userId }).sort({ createdAt: 1 }).lean(),
+    MeasurementRevision.find({ userId }).sort({ measurementId: 1, version: 1 }).lean(),
+    Notification.find({ userId }).sort({ createdAt: 1 }).lean(),
+  ]);
+  const payments = (user.paymentHistory || []).map(payment => ({
+    txRef: payment.txRef,
+    transactionId: payment.transactionId,
+    amount: payment.amount,
+    subscriptionType: payment.subscriptionType,
+    status: payment.status,
+    paidAt: payment.paidAt,
+  }));
+
+  const customerNames = new Map(customers.map(customer => [toId(customer._id), customer.name]));
+
+  const customerRows = customers.map(customer => ({
+    id: toId(customer._id),
+    name: customer.name,
+    phone: customer.phone,
+    address: customer.address,
+    gender: customer.gender,
+    birthday: toDateOnly(customer.birthday),
+    anniversary: toDateOnly(customer.anniversary),
+    tags: (customer.tags || []).join('; '),
+    notes: (customer.notes || []).map(note => `[${toDateOnly(note.createdAt)}] ${note.text}`).join('\n'),
+    photo: customer.photo,
+    createdAt: customer.createdAt,
+    updatedAt: customer.updatedAt,
+  }));
+
+  const orderRows = orders.map(order => ({
+    id: toId(order._id),
+    customerId: toId(order.customerId),
+    customerName: customerNames.get(toId(order.customerId)) || null,
+    clothType: order.clothType,
+    style: order.style,
+    fabric: order.fabric,
+    dateReceived: order.dateReceived,
+    deliveryDate: order.deliveryDate,
+    status: order.status,
+    amountCharged: order.amountCharged,
+    amountPaid: order.amountPaid,
+    balance: order.balance,
+    stylePictures: (order.stylePictures || []).join(' '),
+    sketches: (order.sketches || []).join(' '),
+    createdAt: order.createdAt,
+    updatedAt: order.updatedAt,
+  }));
+
+  // One column per measurement name used in any measurement
+  const measurementNames = [...new Set(measurements.flatMap(measurement => Object.keys(measurement.measurements || {})))].sort();
+  const measurementRows = measurements.map(measurement => ({
+    id: toId(measurement._id),
+    customerId: toId(measurement.customerId),
+    customerName: customerNames.get(toId(measurement.customerId)) || null,
+    category: measurement.category,
+    template: measurement.template,
+    unit: measurement.unit || user.measurementUnit,
+    ...measurement.measurements,
+    photoReference: measurement.photoReference,
+    createdAt: measurement.createdAt,
+    updatedAt: measurement.updatedAt,
+  }));
+
+  const notificationRows = notifications.map(notification => ({
+    id: toId(notification._id),
+    type: notification.type,
+    title: notification.title,
+    message: notification.message,
+    orderId: toId(notification.orderId),
+    customerId: toId(notification.customerId),
+    date: notification.date,
+    read: notification.read,
+    createdAt: notification.createdAt,
+  }));
+
+  const imageReferences = [];
+  if (user.profileImage) {
+    imageReferences.push({ recordType: 'profile', recordId: toId(userId), url: user.profileImage, folder: 'profile', prefix: 'profile' });
+  }
+  for (const customer of customers) {
+    if (customer.photo) {
+      imageReferences.push({ recordType: 'customer', recordId: toId(customer._id), url: customer.photo, folder: 'customers', prefix: toId(customer._id) });
+    }
+  }
+  for (const order of orders) {
+    (order.stylePictures || []).forEach((url, i) => {
+      imageReferences.push({ recordType: 'order_style_picture', recordId: toId(order._id), url, folder: 'orders', prefix: `${order._id}-style-${i + 1}` });
+    });
+    (order.sketches || []).forEach((url, i) => {
+      imageReferences.push({ recordType: 'order_sketch', recordId: toId(order._id), url, folder: 'orders', prefix: `${order._id}-sketch-${i + 1}` });
+    });
+  }
+  for (const measurement of measurements) {
+    if (measurement.photoReference) {
+      imageReferences.push({ recordType: 'measurement', recordId: toId(measurement._id), url: measurement.photoReference, folder: 'measurements', prefix: toId(measurement._id) });
+    }
+  }
+  const images = await collectImages(imageReferences);
+
+  const profile = {
+    id: toId(userId),
+    name: user.name,
+    businessName: user.businessName,
+    phone: user.phone,
+    email: user.email,
+    address: user.address,
+    language: user.language,
+    subscriptionType: user.subscriptionType,
+    subscriptionStatus: user.subscriptionStatus,
+    subscriptionStartDate: user.subscriptionStartDate,
+    subscriptionEndDate: user.subscriptionEndDate,
+    trialStartDate: user.trialStartDate,
+    trialEndDate: user.trialEndDate,
+    createdAt: user.createdAt,
+  };
+
+  const exportedAt = new Date();
+  const counts = {
+    customers: customers.length,
+    orders: orders.length,
+    measurements: measurements.length,
+    notifications: notifications.length,
+    payments: payments.length,
+    images: images.files.length,
+    missingImages: images.manifest.filter(entry => entry.status !== 'included').length,
+  };
+
+  const readme = [
+    `SmartTailor data export for ${user.businessName || user.name || user.phone}`,
+    `Exported at ${exportedAt.toISOString()}`,
+    '',
+    'Each kind of record is included as CSV (for spreadsheets) and JSON (complete records):',
+    `- customers: ${counts.customers}`,
+    `- orders: ${counts.orders}`,
+    `- measurements: ${counts.measurements}`,
+    '  (measurement-history.json has every saved version of each measurement)',
+    `- notifications: ${counts.notifications}`,
+    `- payments (subscription payment history): ${counts.payments}`,
+    '',
+    `images/ holds ${counts.images} photos and sketches. images.csv lists every image with the record`,
+    'it belongs to and its file in this ZIP.',
+    counts.missingImages > 0 ? `${counts.missingImages} images could not be included - see the status column of images.csv.` : '',
+    '',
+  ].join('\r\n');
+
+  const json = (value) => JSON.stringify(value, null, 2);
+
+  const files = [
+    { name: 'README.txt', data: readme },
+    { name: 'profile.json', data: json(profile) },
+    { name: 'customers.csv', data: toCsv(customerRows, CUSTOMER_COLUMNS) },
+    { name: 'customers.json', data: json(customers) },
+    { name: 'orders.csv', data: toCsv(orderRows, ORDER_COLUMNS) },
+    { name: 'orders.json', data: json(orders) },
+    {
+      name: 'measurements.csv',
+      data: toCsv(measurementRows, ['id', 'customerId', 'customerName', 'category', 'template', 'unit', ...measurementNames, 'photoReference', 'createdAt', 'updatedAt']),
+    },
+    { name: 'measurements.json', data: json(measurements) },
+    { name: 'measurement-history.json', data: json(measurementHistory) },
+    { name: 'notifications.csv', data: toCsv(notificationRows, NOTIFICATION_COLUMNS) },
+    { name: 'notifications.json', data: json(notifications) },
+    { name: 'payments.csv', data: toCsv(payments, PAYMENT_COLUMNS) },
+    { name: 'payments.json', data: json(payments) },
+    { name: 'images.csv', data: toCsv(images.manifest, IMAGE_COLUMNS) },
+    ...images.files,
+  ];
+
+  return { files, counts };
+};
+
+/**
+ * Build an export's ZIP and upload it to R2
+ * Only one run builds an export: it is claimed by moving it from pending to processing.
+ * @param {object} exportId - The DataExport id
+ * @returns {Promise<object|null>} The finished export, or null if it was already taken
+ */
+export const generateDataExport = async (exportId) => {
+  const dataExport = await DataExport.findOneAndUpdate(
+    { _id: exportId, status: 'pending' },
+    { $set: { status: 'processing', startedAt: new Date(), error: null }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!dataExport) return null;
+
+  try {
+    const user = await User.findById(dataExport.userId);
+    if (!user) {
+      throw new Error('Account no longer exists');
+    }
+
+    const { files, counts } = await buildExportFiles(user);
+    const zip = createZip(files);
+    // Let the downloaded images be freed while the ZIP uploads
+    files.length = 0;
+    const fileName = `smarttailor-export-${toDateOnly(new Date())}.zip`;
+    const fileUrl = await uploadToS3(zip, `exports/${user._id}/${fileName}`, 'application/zip');
+
+    const expiresAt = new Date();
+    expiresAt.setDate(expiresAt.getDate() + EXPORT_TTL_DAYS);
+
+    dataExport.set({
+      status: 'ready',
+      fileUrl,
+      fileName,
+      size: zip.length,
+      counts,
+      completedAt: new Date(),
+      expiresAt,
+    });
+    await dataExport.save();
+
+    try {
+      await Notification.create({
+        userId: user._id,
+        type: 'data_export',
+        title: 'Your data export is ready',
+        message: `Your business data is ready to download until ${expiresAt.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}.`,
+        date: new Date(),
+        read: false,
+      });
+    } catch (error) {
+      console.error('Error creating data export notification:', error);
+    }
+
+    console.log(`✅ Data export ${dataExport._id} ready (${zip.length} bytes)`);
+    return dataExport;
+  } catch (error) {
+    // Retried by the scheduled job until MAX_ATTEMPTS
+    dataExport.status = dataExport.attempts >= MAX_ATTEMPTS ? 'failed' : 'pending';
+    dataExport.error = error.message;
+    await dataExport.save();
+    throw error;
+  }
+};
+
+/**
+ * Build exports that are waiting, including ones left in processing by a server that stopped
+ * @returns {Promise<number>} Number of exports finished
+ */
+export const processPendingDataExports = async () => {
+  const staleBefore = new Date(Date.now() - STALE_PROCESSING_MINUTES * 60 * 1000);
+  await DataExport.updateMany(
+    { status: 'processing', startedAt: { $lte: staleBefore } },
+    [{ $set: { status: { $cond: [{ $gte: ['$attempts', MAX_ATTEMPTS] }, 'failed', 'pending'] } } }]
+  );
+
+  const pending = await DataExport.find({ status: 'pending' }).sort({ createdAt: 1 }).select('_id');
+  let finished = 0;
+  for (const { _id } of pending) {
+    try {
+      if (await generateDataExport(_id)) finished += 1;
+    } catch (error) {
+      console.error(`Error generating data export ${_id}:`, error);
+    }
+  }
+  return finished;
+};
+
+/**
+ * Delete the files of exports whose download link has expired
+ * @returns {Promise<number>} Number of exports expired
+ */
+export const purgeExpiredDataExports = async () => {
+  const expired = await DataExport.find({ status: 'ready', expiresAt: { $lte: new Date() } }).select('+fileUrl');
+  for (const dataExport of expired) {
+    await deleteFromS3(dataExport.fileUrl);
+    dataExport.status = 'expired';
+    dataExport.fileUrl = null;
+    await dataExport.save();
+  }
+  return expired.length;
+};
+
+/**
+ * Delete all exports of a user and their files (account deletion)
+ * @param {object} userId
+ * @returns {Promise<void>}
+ */
+export const deleteUserDataExports = async (userId) => {
+  const exports = await DataExport.find({ userId, fileUrl: { $ne: null } }).select('+fileUrl');
+  for (const dataExport of exports) {
+    await deleteFromS3(dataExport.fileUrl);
+  }
+  await DataExport.deleteMany({ userId });
+};
+
+export default {
+  requestDataExport,
+  generateDataExport,
+  processPendingDataExports,
+  purgeExpiredDataExports,
+  deleteUserDataExports,
+  formatDataExport,
+};
@@ -0,0 +1,239 @@
+/**
+ * Measurement History Service
+ * Every create, update and restore of a measurement adds a revision (models/MeasurementRevision.js)
+ * with the values it then had, so a customer's measurements can be followed over time, compared
+ * between dates and rolled back.
+ *
+ * Measurements saved before history was kept get a baseline revision with their old values the
+ * first time they change.
+ */
+
+import Measurement from '../models/Measurement.js';
+import MeasurementRevision from '../models/MeasurementRevision.js';
+import { convertValue } from '../utils/measurementUnits.js';
+
+// Differences between values in different units are worked out to 0.01
+const DIFFERENCE_STEP = 0.01;
+// Times to try the next version number when other changes to the same measurement take it first
+const MAX_VERSION_ATTEMPTS = 5;
+
+// measurementId + version is unique, so two changes saved at once can't get the same version
+const isDuplicateKey = (error) => error?.code === 11000;
+
+const toPlainValues = (measurements) => (measurements instanceof Map
+  ? Object.fromEntries(measurements)
+  : { ...(measurements || {}) });
+
+// The part of a measurement a revision keeps
+const snapshot = (measurement) => ({
+  category: measurement.category,
+  measurements: toPlainValues(measurement.measurements),
+  unit: measurement.unit || null,
+  template: measurement.template || null,
+});
+
+const latestRevision = (measurementId) => MeasurementRevision.findOne({ measurementId }).sort({ version: -1 });
+
+// The current values of a measurement without history, presented as its first version
+const baselineOf = (measurement) => ({
+  userId: measurement.userId,
+  measurementId: measurement._id,
+  customerId: measurement.customerId?._id || measurement.customerId,
+  version: 1,
+  reason: 'baseline',
+  takenAt: measurement.updatedAt || measurement.createdAt,
+  createdBy: null,
+  ...snapshot(measurement),
+});
+
+/**
+ * Save the current values of a measurement as its first revision if it has no history yet.
+ * Call before changing a measurement.
+ * @param {object} measurement - The Measurement document, before the change
+ * @returns {Promise<void>}
+ */
+export const ensureBaseline = async (measurement) => {
+  if (await MeasurementRevision.exists({ measurementId: measurement._id })) return;
+  try {
+    await MeasurementRevision.create(baselineOf(measurement));
+  } catch (error) {
+    // Another change to the measurement saved the baseline first
+    if (!isDuplicateKey(error)) throw error;
+  }
+};
+
+/**
+ * Add a revision with a measurement's current values
+ * @param {object} measurement - The Measurement document, after it was saved
+ * @param {string} reason - create | update | restore
+ * @param {object} actor - From getActor
+ * @param {number} [restoredFrom] - Version that was restored
+ * @returns {Promise<object>} The revision
+ */
+export const recordRevision = async (measurement, reason, actor, restoredFrom = null) => {
+  for (let attempt = 1; ; attempt++) {
+    const latest = await latestRevision(measurement._id);
+    try {
+      return await MeasurementRevision.create({
+        userId: measurement.userId,
+        measurementId: measurement._id,
+        customerId: measurement.customerId?._id || measurement.customerId,
+        version: latest ? latest.version + 1 : 1,
+        reason,
+        restoredFrom,
+        takenAt: new Date(),
+        createdBy: actor,
+        ...snapshot(measurement),
+      });
+    } catch (error) {
+      // Another change took this version - try again with the next one
+      if (!isDuplicateKey(error) || attempt >= MAX_VERSION_ATTEMPTS) throw error;
+    }
+  }
+};
+
+/**
+ * What changed between two versions of measurement values
+ * @param {object} before - Revision (or snapshot) with category, measurements and unit
+ * @param {object} after - Revision (or snapshot) with category, measurements and unit
+ * @param {string} defaultUnit - Unit of values saved without one (the tailor's unit)
+ * @returns {{ measurements: Array<object>, unit: object|null, category: object|null }}
+ *   measurements: { name, from, to, difference } for every added, removed or changed value;
+ *   difference is in the unit of `after`
+ */
+export const diffValues = (before, after, defaultUnit) => {
+  const fromUnit = before.unit || defaultUnit;
+  const toUnit = after.unit || defaultUnit;
+  const fromValues = toPlainValues(before.measurements);
+  const toValues = toPlainValues(after.measurements);
+
+  const measurements = [];
+  for (const name of [...new Set([...Object.keys(fromValues), ...Object.keys(toValues)])].sort()) {
+    const from = fromValues[name] ?? null;
+    const to = toValues[name] ?? null;
+    if (from === to && fromUnit === toUnit) continue;
+
+    const difference = from !== null && to !== null
+      ? Number((to - convertValue(from, fromUnit, toUnit, DIFFERENCE_STEP)).toFixed(2))
+      : null;
+    if (difference === 0) continue;
+    measurements.push({ name, from, to, difference });
+  }
+
+  return {
+    measurements,
+    unit: fromUnit !== toUnit ? { from: fromUnit, to: toUnit } : null,
+    category: before.category !== after.category ? { from: before.category, to: after.category } : null,
+  };
+};
+
+const formatRevision = (revision) => ({
+  version: revision.version,
+  reason: revision.reason,
+  restoredFrom: revision.restoredFrom ?? null,
+  takenAt: revision.takenAt,
+  createdBy: revision.createdBy,
+  category: revision.category,
+  unit: revision.unit,
+  template: revision.template,
+  measurements: toPlainValues(revision.measurements),
+});
+
+/**
+ * A measurement's revisions, newest first, each with what changed since the version before it
+ * @param {object} measurement - The Measurement document
+ * @param {string} defaultUnit - The tailor's unit
+ * @returns {Promise<Array<object>>} { version, reason, restoredFrom, takenAt, createdBy, category,
+ *   unit, template, measurements, changes } - changes is null for the first version
+ */
+export const getHistory = async (measurement, defaultUnit) => {
+  let revisions = await MeasurementRevision.find({ measurementId: measurement._id }).sort({ version: 1 });
+  if (revisions.length === 0) revisions = [baselineOf(measurement)];
+
+  return revisions
+    .map((revision, i) => ({
+      ...formatRevision(revision),
+      changes: i === 0 ? null : diffValues(revisions[i - 1], revision, defaultUnit),
+    }))
+    .reverse();
+};
+
+/**
+ * Put a measurement back to the values of one of its revisions (adds a restore revision)
+ * @param {object} measurement - The Measurement document
+ * @param {number} version - Version to restore
+ * @param {object} actor - From getActor
+ * @returns {Promise<object|null>} The saved measurement, or null when the version doesn't exist
+ */
+export const restoreRevision = async (measurement, version, actor) => {
+  const revision = await MeasurementRevision.findOne({ measurementId: measurement._id, version });
+  if (!revision) return null;
+
+  measurement.set({
+    category: revision.category,
+    measurements: toPlainValues(revision.measurements),
+    unit: revision.unit,
+    template: revision.template,
+  });
+  await measurement.save();
+  await recordRevision(measurement, 'restore', actor, version);
+  return measurement;
+};
+
+// The values a customer's category had at a date: the newest revision taken on or before it
+const stateAt = (revisions, date) => {
+  let state = null;
+  for (const revision of revisions) {
+    if (revision.takenAt <= date && (!state || revision.takenAt >= state.takenAt)) {
+      state = revision;
+    }
+  }
+  return state;
+};
+
+/**
+ * Compare a customer's measurements of a category between two dates. The customer may have
+ * several measurement records for the category; the values current at each date are used.
+ * @param {object} params
+ * @param {object} params.userId - The tailor's user id
+ * @param {object} params.customerId
+ * @param {string} params.category - Matched ignoring case
+ * @param {Date} params.from
+ * @param {Date} params.to
+ * @param {string} params.defaultUnit - The tailor's unit
+ * @returns {Promise<{ from: object|null, to: object|null, changes: object|null }>} from/to are null
+ *   when there were no measurements yet at that date
+ */
+export const compareMeasurements = async ({ userId, customerId, category, from, to, defaultUnit }) => {
+  // Trashed measurements are left out; revisions keep the category they were saved with
+  const measurements = await Measurement.find({ userId, customerId });
+  const ids = measurements.map(measurement => measurement._id);
+  const revisions = await MeasurementRevision.find({ measurementId: { $in: ids } });
+
+  const withHistory = new Set(revisions.map(revision => revision.measurementId.toString()));
+  const states = [
+    ...revisions,
+    ...measurements.filter(measurement => !withHistory.has(measurement._id.toString())).map(baselineOf),
+  ].filter(state => state.category.toLowerCase() === category.toLowerCase());
+
+  const describe = (state, date) => (state
+    ? { date, measurementId: state.measurementId, ...formatRevision(state) }
+    : null);
+  const fromState = stateAt(states, from);
+  const toState = stateAt(states, to);
+
+  return {
+    from: describe(fromState, from),
+    to: describe(toState, to),
+    changes: fromState && toState ? diffValues(fromState, toState, defaultUnit) : null,
+  };
+};
+
+export default {
+  ensureBaseline,
+  recordRevision,
+  diffValues,
+  getHistory,
+  restoreRevision,
+  compareMeasurements,
+};
@@ -0,0 +1,158 @@
+/**
+ * Measurement Template Service
+ * Looks up built-in (config/measurementTemplates.js) and custom templates, and checks a
+ * measurement's values against its template: keys are matched ignoring case, spaces and
+ * punctuation, by label or by a known shorthand ("Waist ", "wst" -> waist), and saved under the
+ * template's key.
+ */
+
+import mongoose from 'mongoose';
+import MeasurementTemplate from '../models/MeasurementTemplate.js';
+import { BUILT_IN_TEMPLATES, MEASUREMENT_FIELDS, RANGE_UNIT } from '../config/measurementTemplates.js';
+
+export const TEMPLATE_GENDERS = ['male', 'female', 'unisex'];
+
+// "Sleeve Length", "sleeve_length" and "sleeveLength" all compare as "sleevelength"
+const normalizeKey = (key) => String(key ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Normalized key, label and known shorthands of each field -> the field's key
+const buildKeyLookup = (fields) => {
+  const lookup = new Map();
+  for (const { key, label } of fields) {
+    const aliases = MEASUREMENT_FIELDS[key]?.aliases || [];
+    for (const name of [key, label, ...aliases]) {
+      if (!lookup.has(normalizeKey(name))) lookup.set(normalizeKey(name), key);
+    }
+  }
+  return lookup;
+};
+
+const KNOWN_FIELDS = buildKeyLookup(Object.entries(MEASUREMENT_FIELDS).map(([key, { label }]) => ({ key, label })));
+
+/**
+ * Key of a well-known measurement (config/measurementTemplates.js) from a name an app used
+ * @param {string} name - e.g. "Waist ", "wst"
+ * @returns {string|null} e.g. "waist", or null for names that aren't known
+ */
+export const toKnownFieldKey = (name) => KNOWN_FIELDS.get(normalizeKey(name)) || null;
+
+/**
+ * Build a camelCase field key from a label ("Round sleeve" -> "roundSleeve")
+ * @param {string} label
+ * @returns {string}
+ */
+export const toFieldKey = (label) => {
+  const words = String(label ?? '').match(/[a-zA-Z0-9]+/g) || [];
+  return words
+    .map((word, i) => (i === 0 ? word.toLowerCase() : word[0].toUpperCase() + word.slice(1).toLowerCase()))
+    .join('')
+    .replace(/^[0-9]+/, '');
+};
+
+/**
+ * Describe a template for API responses
+ * @param {object} template - Built-in template or MeasurementTemplate document
+ * @returns {object} { id, name, garment, gender, unit, builtIn, fields }
+ */
+export const formatTemplate = (template) => {
+  const builtIn = !template._id;
+  return {
+    id: builtIn ? template.id : template._id,
+    name: template.name,
+    garment: template.garment,
+    gender: template.gender,
+    // Unit of the fields' min and max
+    unit: template.unit || RANGE_UNIT,
+    builtIn,
+    fields: template.fields.map(({ key, label, required, min, max }) => ({
+      key,
+      label,
+      required,
+      min: min ?? null,
+      max: max ?? null,
+    })),
+  };
+};
+
+/**
+ * List the templates a tailor can use: built-in first, then their own by name
+ * @param {object} userId - The tailor's user id
+ * @param {string} [gender] - Only templates for this gender (unisex templates are always included)
+ * @returns {Promise<Array<object>>} Formatted templates
+ */
+export const listTemplates = async (userId, gender) => {
+  const filter = { userId };
+  if (gender) filter.gender = { $in: [gender, 'unisex'] };
+  const custom = await MeasurementTemplate.find(filter).sort({ name: 1 });
+
+  const builtIn = BUILT_IN_TEMPLATES.filter(template => !gender || template.gender === gender);
+  return [...builtIn, ...custom].map(formatTemplate);
+};
+
+/**
+ * Find a built-in template by id, or one of the tailor's own by _id
+ * @param {object} userId - The tailor's user id
+ * @param {string} id
+ * @returns {Promise<object|null>} Built-in template or MeasurementTemplate document
+ */
+export const findTemplate = async (userId, id) => {
+  const builtIn = BUILT_IN_TEMPLATES.find(template => template.id === id);
+  if (builtIn) return builtIn;
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  return MeasurementTemplate.findOne({ _id: id, userId });
+};
+
+/**
+ * Check measurement values against a template
+ * @param {object} template - Built-in template or MeasurementTemplate document
+ * @param {object|Map} values - Measurement name -> value, as sent by the app
+ * @returns {{ measurements: object, unknownFields: string[], duplicateFields: string[], missingFields: string[] }}
+ *   measurements: the values under the template's keys; unknownFields: names that match no field;
+ *   duplicateFields: template keys given more than once; missingFields: required keys without a value
+ */
+export const applyTemplate = (template, values) => {
+  const lookup = buildKeyLookup(template.fields);
+  const entries = values instanceof Map ? [...values.entries()] : Object.entries(values || {});
+  const measurements = {};
+  const unknownFields = [];
+  const duplicateFields = [];
+  for (const [name, value] of entries) {
+    const key = lookup.get(normalizeKey(name));
+    if (!key) {
+      unknownFields.push(name);
+    } else if (Object.prototype.hasOwnProperty.call(measurements, key)) {
+      duplicateFields.push(key);
+    } else {
+      measurements[key] = value;
+    }
+  }
+
+  const missingFields = template.fields
+    .filter(({ key, required }) => required && (measurements[key] === undefined || measurements[key] === null))
+    .map(({ key }) => key);
+
+  return { measurements, unknownFields, duplicateFields: [...new Set(duplicateFields)], missingFields };
+};
+
+/**
+ * Fill in missing keys of custom template fields from their labels
+ * @param {Array<object>} fields - { key?, label, required? } from the request
+ * @returns {Array<object>}
+ */
+export const prepareTemplateFields = (fields) => {
+  if (!Array.isArray(fields)) return fields;
+  return fields.map(field => (field && typeof field === 'object'
+    ? { ...field, key: field.key || toFieldKey(field.label) }
+    : field));
+};
+
+export default {
+  TEMPLATE_GENDERS,
+  toKnownFieldKey,
+  toFieldKey,
+  formatTemplate,
+  listTemplates,
+  findTemplate,
+  applyTemplate,
+  prepareTemplateFields,
+};
@@ -0,0 +1,165 @@
+/**
+ * Measurement Validation Service
+ * Plausibility checks for measurement values, so typos (320 instead of 32) are caught when they are
+ * saved. Nothing is rejected: the measurement is saved and the app shows the warnings.
+ *
+ * - OUT_OF_RANGE: a value outside the field's range (the template's, or the built-in range of a
+ *   well-known measurement), converted to the measurement's unit
+ * - CROSS_FIELD: two values that don't fit together (config/measurementTemplates.js CROSS_FIELD_CHECKS)
+ * - LARGE_CHANGE: a value far from the customer's previous measurement of the same category
+ */
+
+import Measurement from '../models/Measurement.js';
+import { MEASUREMENT_FIELDS, CROSS_FIELD_CHECKS, RANGE_UNIT } from '../config/measurementTemplates.js';
+import { toKnownFieldKey } from './measurementTemplateService.js';
+import { convertValue, DEFAULT_UNIT } from '../utils/measurementUnits.js';
+import { escapeRegex } from '../utils/escapeRegex.js';
+
+// A change from the previous measurement is large when it is at least this share of the old value...
+const LARGE_CHANGE_RATIO = 0.1;
+// ...and at least this much (1 inch)
+const LARGE_CHANGE_MIN = { in: 1, cm: 2.5 };
+
+const round = (value) => Number(value.toFixed(2));
+
+const toEntries = (measurements) => (measurements instanceof Map
+  ? [...measurements.entries()]
+  : Object.entries(measurements || {}));
+
+// Range of a field in a unit: from the template's field, else the built-in range of a known measurement
+const getRange = (key, template, unit) => {
+  const templateField = template?.fields.find(field => field.key === key);
+  let range = null;
+  if (templateField && (templateField.min != null || templateField.max != null)) {
+    range = { min: templateField.min ?? null, max: templateField.max ?? null, unit: template.unit || RANGE_UNIT };
+  } else if (MEASUREMENT_FIELDS[key]) {
+    range = { min: MEASUREMENT_FIELDS[key].min, max: MEASUREMENT_FIELDS[key].max, unit: RANGE_UNIT };
+  }
+  if (!range) return null;
+
+  return {
+    min: range.min === null ? null : convertValue(range.min, range.unit, unit, 0.1),
+    max: range.max === null ? null : convertValue(range.max, range.unit, unit, 0.1),
+    unit,
+  };
+};
+
+/**
+ * Check measurement values for plausibility
+ * @param {object} params
+ * @param {object|Map} params.measurements - Measurement name -> value, as saved
+ * @param {string} params.unit - Unit of the values
+ * @param {object} [params.template] - The measurement's template (built-in or custom), if any
+ * @param {object} [params.previous] - The customer's previous measurement of the category, if any
+ * @param {string} [params.previousUnit] - Unit of the previous measurement's values
+ * @returns {Array<object>} Warnings: { field, code, message, ... }
+ */
+export const checkPlausibility = ({ measurements, unit, template = null, previous = null, previousUnit = unit }) => {
+  const warnings = [];
+  // Saved name -> key used for ranges and checks (the template's key, or a well-known measurement)
+  const keyOf = (name) => (template ? name : toKnownFieldKey(name) || name);
+  const values = toEntries(measurements).filter(([, value]) => typeof value === 'number');
+
+  for (const [name, value] of values) {
+    const range = getRange(keyOf(name), template, unit);
+    if (value <= 0) {
+      warnings.push({ field: name, code: 'OUT_OF_RANGE', message: `${name} must be more than 0`, value, expected: range });
+      continue;
+    }
+    if (!range || ((range.min === null || value >= range.min) && (range.max === null || value <= range.max))) {
+      continue;
+    }
+
+    const warning = {
+      field: name,
+      code: 'OUT_OF_RANGE',
+      message: `${name} of ${value} ${unit} is outside the usual ${range.min ?? 0}-${range.max ?? '...'} ${unit}`,
+      value,
+      expected: range,
+    };
+    // A digit too many or a missed decimal point
+    const tenth = round(value / 10);
+    if (value > range.max && (range.min === null || tenth >= range.min) && tenth <= range.max) {
+      warning.suggestion = tenth;
+      warning.message += ` - did you mean ${tenth}?`;
+    }
+    warnings.push(warning);
+  }
+
+  const byKey = new Map(values.map(([name, value]) => [keyOf(name), { name, value }]));
+  for (const check of CROSS_FIELD_CHECKS) {
+    const [first, second] = check.fields.map(key => byKey.get(key));
+    if (!first || !second || first.value <= 0 || second.value <= 0) continue;
+    const ratio = first.value / second.value;
+    if (ratio < check.minRatio || ratio > check.maxRatio) {
+      warnings.push({
+        field: first.name,
+        fields: [first.name, second.name],
+        code: 'CROSS_FIELD',
+        message: check.message,
+        ratio: round(ratio),
+        expected: { minRatio: check.minRatio, maxRatio: check.maxRatio },
+      });
+    }
+  }
+
+  if (previous) {
+    const previousByKey = new Map(toEntries(previous.measurements).map(([name, value]) => [keyOf(name), value]));
+    const minChange = LARGE_CHANGE_MIN[unit] ?? LARGE_CHANGE_MIN[DEFAULT_UNIT];
+    for (const [name, value] of values) {
+      const previousValue = previousByKey.get(keyOf(name));
+      if (typeof previousValue !== 'number' || previousValue <= 0) continue;
+
+      const before = convertValue(previousValue, previousUnit, unit, 0.01);
+      const change = round(value - before);
+      if (Math.abs(change) >= minChange && Math.abs(change) / before >= LARGE_CHANGE_RATIO) {
+        warnings.push({
+          field: name,
+          code: 'LARGE_CHANGE',
+          message: `${name} changed by ${change > 0 ? '+' : ''}${change} ${unit} since the last measurement (${before} ${unit})`,
+          value,
+          previous: { value: before, measurementId: previous._id, measuredAt: previous.updatedAt },
+          change,
+          percent: Math.round((change / before) * 100),
+        });
+      }
+    }
+  }
+
+  return warnings;
+};
+
+/**
+ * The customer's previous measurement of the same category (category matched ignoring case)
+ * @param {object} measurement - The Measurement document
+ * @returns {Promise<object|null>}
+ */
+export const findPreviousMeasurement = async (measurement) => {
+  return Measurement.findOne({
+    userId: measurement.userId,
+    customerId: measurement.customerId?._id || measurement.customerId,
+    category: new RegExp(`^${escapeRegex(measurement.category)}$`, 'i'),
+    _id: { $ne: measurement._id },
+    createdAt: { $lt: measurement.createdAt },
+  }).sort({ createdAt: -1 });
+};
+
+/**
+ * Check a saved measurement: ranges, cross-field checks and changes since the previous one
+ * @param {object} measurement - The Measurement document, after it was saved
+ * @param {object|null} template - Its template, if any
+ * @param {string} defaultUnit - The tailor's unit (for records without one)
+ * @returns {Promise<Array<object>>} Warnings
+ */
+export const checkMeasurement = async (measurement, template, defaultUnit) => {
+  const previous = await findPreviousMeasurement(measurement);
+  return checkPlausibility({
+    measurements: measurement.measurements,
+    unit: measurement.unit || defaultUnit || DEFAULT_UNIT,
+    template,
+    previous,
+    previousUnit: previous?.unit || defaultUnit || DEFAULT_UNIT,
+  });
+};
+
+export default { checkPlausibility, findPreviousMeasurement, checkMeasurement };
@@ -0,0 +1,97 @@
+/**
+ * OTP Service
+ * Creates, sends and verifies short-lived one-time codes (phone verification, password reset, account deletion)
+ */
+
+import crypto from 'crypto';
+import OtpCode from '../models/OtpCode.js';
+import { sendSms } from './smsService.js';
+
+const OTP_LENGTH = 6;
+const OTP_TTL_MINUTES = 10;
+const OTP_MAX_ATTEMPTS = 5;
+const OTP_RESEND_COOLDOWN_SECONDS = 60;
+
+const MESSAGES = {
+  phone_verification: (code) => `Your SmartTailor verification code is ${code}. It expires in ${OTP_TTL_MINUTES} minutes.`,
+  password_reset: (code) => `Your SmartTailor password reset code is ${code}. It expires in ${OTP_TTL_MINUTES} minutes. Ignore this message if you did not request it.`,
+  account_deletion: (code) => `Your SmartTailor account deletion code is ${code}. It expires in ${OTP_TTL_MINUTES} minutes. Do not share it - ignore this message if you did not request it.`,
+};
+
+const hashCode = (code) => {
+  return crypto.createHash('sha256').update(String(code)).digest('hex');
+};
+
+const generateCode = () => {
+  return crypto.randomInt(0, 10 ** OTP_LENGTH).toString().padStart(OTP_LENGTH, '0');
+};
+
+/**
+ * Generate a new code for a phone and purpose and send it by SMS
+ * Any earlier unused code for the same phone and purpose stops working.
+ * @param {string} phone - Phone number (11 digits)
+ * @param {string} purpose - 'phone_verification', 'password_reset' or 'account_deletion'
+ * @returns {Promise<{ sent: boolean, retryAfter?: number, expiresAt?: Date }>}
+ */
+export const sendOtp = async (phone, purpose) => {
+  const latest = await OtpCode.findOne({ phone, purpose, consumedAt: null }).sort({ createdAt: -1 });
+  if (latest) {
+    const secondsSinceLast = (Date.now() - latest.createdAt.getTime()) / 1000;
+    if (secondsSinceLast < OTP_RESEND_COOLDOWN_SECONDS) {
+      return { sent: false, retryAfter: Math.ceil(OTP_RESEND_COOLDOWN_SECONDS - secondsSinceLast) };
+    }
+  }
+
+  // Invalidate earlier codes
+  await OtpCode.updateMany({ phone, purpose, consumedAt: null }, { consumedAt: new Date() });
+
+  const code = generateCode();
+  const expiresAt = new Date(Date.now() + OTP_TTL_MINUTES * 60 * 1000);
+  await OtpCode.create({
+    phone,
+    purpose,
+    codeHash: hashCode(code),
+    expiresAt,
+  });
+
+  await sendSms(phone, MESSAGES[purpose](code));
+  return { sent: true, expiresAt };
+};
+
+/**
+ * Check a code and consume it when it matches
+ * @param {string} phone - Phone number (11 digits)
+ * @param {string} purpose - 'phone_verification', 'password_reset' or 'account_deletion'
+ * @param {string} code - Code entered by the user
+ * @returns {Promise<{ valid: boolean, message?: string }>}
+ */
+export const verifyOtp = async (phone, purpose, code) => {
+  const otp = await OtpCode.findOne({
+    phone,
+    purpose,
+    consumedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ createdAt: -1 });
+
+  if (!otp) {
+    return { valid: false, message: 'Code has expired or is invalid. Please request a new one.' };
+  }
+
+  if (otp.attempts >= OTP_MAX_ATTEMPTS) {
+    return { valid: false, message: 'Too many incorrect attempts. Please request a new code.' };
+  }
+
+  const expected = Buffer.from(otp.codeHash, 'hex');
+  const actual = Buffer.from(hashCode(String(code || '').trim()), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    otp.attempts += 1;
+    await otp.save();
+    return { valid: false, message: 'Incorrect code' };
+  }
+
+  otp.consumedAt = new Date();
+  await otp.save();
+  return { valid: true };
+};
+
+export default { sendOtp, verifyOtp };
@@ -0,0 +1,370 @@
+/**
+ * Print Service
+ * Printable PDFs for the workshop, generated here with utils/pdf.js (no external service):
+ * - measurement sheet: one measurement of a customer, with its photo
+ * - job card: an order with the customer's measurements, style pictures and sketches
+ *
+ * Both are headed with the tailor's business name and logo (their profile image). Images that
+ * can't be downloaded, and GIF/WebP images (which PDFs can't show directly), are left out and counted.
+ */
+
+import Measurement from '../models/Measurement.js';
+import { MEASUREMENT_FIELDS } from '../config/measurementTemplates.js';
+import { createPdf, wrapText, PAGE_SIZES } from '../utils/pdf.js';
+import { convertMeasurements, DEFAULT_UNIT } from '../utils/measurementUnits.js';
+import { escapeRegex } from '../utils/escapeRegex.js';
+import { downloadFromS3 } from './s3Service.js';
+import { findTemplate, toKnownFieldKey } from './measurementTemplateService.js';
+import { getLatestMeasurements } from './customerSummaryService.js';
+
+export const PRINT_SIZES = Object.keys(PAGE_SIZES);
+
+const GREY = [0.45, 0.45, 0.45];
+const LIGHT = [0.93, 0.93, 0.93];
+
+const STATUS_LABELS = {
+  pending: 'Pending',
+  in_progress: 'In progress',
+  ready: 'Ready',
+  delivered: 'Delivered',
+};
+
+const formatDate = (date) => (date
+  ? new Date(date).toLocaleDateString('en-GB', {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    timeZone: process.env.APP_TIMEZONE || 'Africa/Lagos',
+  })
+  : '-');
+
+const formatValue = (value) => (typeof value === 'number' ? Number(value.toFixed(2)).toString() : '-');
+
+// Download an image and add it to the PDF; null when it can't be downloaded or shown
+const loadImage = async (pdf, url) => {
+  if (!url) return null;
+  try {
+    const { buffer } = await downloadFromS3(url);
+    return pdf.addImage(buffer);
+  } catch (error) {
+    console.error(`Print: could not download ${url}:`, error.message);
+    return null;
+  }
+};
+
+// Label of a measurement: the template's label, the label of a well-known measurement, or the name
+const labelFor = (name, template) => {
+  const templateField = template?.fields.find(field => field.key === name);
+  if (templateField) return templateField.label;
+  const known = toKnownFieldKey(name);
+  return known ? MEASUREMENT_FIELDS[known].label : name;
+};
+
+// Measurement rows in template order, then any other values by name
+const measurementRows = (values, template) => {
+  const entries = values instanceof Map ? [...values.entries()] : Object.entries(values || {});
+  const valueByName = new Map(entries);
+  const order = template ? template.fields.map(field => field.key) : [];
+  const names = [
+    ...order.filter(key => valueByName.has(key)),
+    ...[...valueByName.keys()].filter(name => !order.includes(name)).sort(),
+  ];
+  return names.map(name => ({ label: labelFor(name, template), value: valueByName.get(name) }));
+};
+
+/**
+ * Page layout that keeps track of the next free line and starts new pages as needed
+ * @param {object} params
+ * @param {string} params.size - A4 or A5
+ * @param {string} params.title - Document title, e.g. "Job card"
+ * @param {object} params.user - The tailor (business name, address, phone)
+ * @returns {object} The pdf and functions that add content below what is already there
+ */
+const createLayout = ({ size, title, user }) => {
+  const pdf = createPdf({ size, title: `${title} - ${user.businessName || ''}` });
+  const margin = size === 'A5' ? 28 : 40;
+  const scale = size === 'A5' ? 0.85 : 1;
+  const contentWidth = pdf.width - margin * 2;
+  const bottom = pdf.height - margin - 14 * scale;
+  const printedAt = formatDate(new Date());
+  let top = margin;
+  let logo = null;
+
+  const fontSize = (points) => Math.round(points * scale * 10) / 10;
+
+  const header = (first) => {
+    let left = margin;
+    const logoSize = (first ? 54 : 30) * scale;
+    if (logo) {
+      const ratio = Math.min(logoSize / logo.width, logoSize / logo.height);
+      pdf.image(logo, margin, margin, logo.width * ratio, logo.height * ratio);
+      left += logo.width * ratio + 10;
+    }
+    pdf.text(user.businessName || '', left, margin, { size: fontSize(first ? 16 : 11), bold: true });
+    if (first) {
+      const contact = [user.address, user.phone].filter(Boolean).join('  |  ');
+      wrapText(contact, pdf.width - margin - left - 150 * scale, fontSize(9)).slice(0, 2).forEach((textLine, i) => {
+        pdf.text(textLine, left, margin + fontSize(20) + i * fontSize(11), { size: fontSize(9), color: GREY });
+      });
+    }
+    pdf.text(title.toUpperCase(), pdf.width - margin, margin, { size: fontSize(first ? 14 : 10), bold: true, align: 'right' });
+    pdf.text(`Printed ${printedAt}`, pdf.width - margin, margin + fontSize(first ? 18 : 13), { size: fontSize(8), color: GREY, align: 'right' });
+
+    top = margin + Math.max(logo && first ? logoSize : 0, fontSize(first ? 44 : 26)) + 6;
+    pdf.line(margin, top, pdf.width - margin, top, { lineWidth: 1 });
+    top += 12;
+
+    pdf.text(`Page ${pdf.pageCount()}`, pdf.width / 2, pdf.height - margin, { size: fontSize(8), color: GREY, align: 'center' });
+  };
+
+  const newPage = () => {
+    pdf.addPage();
+    header(pdf.pageCount() === 1);
+  };
+
+  // Start a new page unless there is this much room left
+  const ensureSpace = (height) => {
+    if (top + height > bottom) newPage();
+  };
+
+  const section = (heading) => {
+    ensureSpace(fontSize(30));
+    top += 4;
+    pdf.text(heading, margin, top, { size: fontSize(11), bold: true });
+    top += fontSize(16);
+  };
+
+  // Label/value pairs in two columns
+  const details = (pairs) => {
+    const columnWidth = contentWidth / 2;
+    const labelWidth = 80 * scale;
+    for (let i = 0; i < pairs.length; i += 2) {
+      const rowPairs = pairs.slice(i, i + 2);
+      const wrapped = rowPairs.map(({ value, bold }) => wrapText(value ?? '-', columnWidth - labelWidth - 8, fontSize(10), bold));
+      const height = Math.max(...wrapped.map(lines => lines.length)) * fontSize(13) + 4;
+      ensureSpace(height);
+      rowPairs.forEach(({ label, bold }, column) => {
+        const x = margin + column * columnWidth;
+        pdf.text(label, x, top, { size: fontSize(9), color: GREY });
+        wrapped[column].forEach((textLine, lineIndex) => {
+          pdf.text(textLine, x + labelWidth, top + lineIndex * fontSize(13), { size: fontSize(10), bold });
+        });
+      });
+      top += height;
+    }
+    top += 6;
+  };
+
+  // Measurement values in a boxed table, two label/value pairs per row
+  const measurementTable = (rows, unit) => {
+    if (rows.length === 0) {
+      ensureSpace(fontSize(16));
+      pdf.text('No measurements recorded', margin, top, { size: fontSize(10), color: GREY });
+      top += fontSize(16);
+      return;
+    }
+    const rowHeight = fontSize(20);
+    const columnWidth = contentWidth / 2;
+    for (let i = 0; i < rows.length; i += 2) {
+      ensureSpace(rowHeight);
+      rows.slice(i, i + 2).forEach(({ label, value }, column) => {
+        const x = margin + column * columnWidth;
+        pdf.rect(x, top, columnWidth, rowHeight, { stroke: GREY, fill: (i / 2) % 2 === 0 ? LIGHT : null });
+        pdf.text(label, x + 6, top + (rowHeight - fontSize(10)) / 2, { size: fontSize(10) });
+        pdf.text(`${formatValue(value)} ${unit}`, x + columnWidth - 6, top + (rowHeight - fontSize(11)) / 2, {
+          size: fontSize(11),
+          bold: true,
+          align: 'right',
+        });
+      });
+      top += rowHeight;
+    }
+    top += 10;
+  };
+
+  // Images in a grid, each scaled to fit its cell, with a caption
+  const imageGrid = (items, columns) => {
+    const gap = 10;
+    const cellWidth = (contentWidth - gap * (columns - 1)) / columns;
+    const cellHeight = cellWidth * 1.1;
+    for (let i = 0; i < items.length; i += columns) {
+      ensureSpace(cellHeight + fontSize(14));
+      items.slice(i, i + columns).forEach(({ image, caption }, column) => {
+        const x = margin + column * (cellWidth + gap);
+        pdf.rect(x, top, cellWidth, cellHeight, { stroke: GREY });
+        const ratio = Math.min((cellWidth - 8) / image.width, (cellHeight - 8) / image.height);
+        const w = image.width * ratio;
+        const h = image.height * ratio;
+        pdf.image(image, x + (cellWidth - w) / 2, top + (cellHeight - h) / 2, w, h);
+        pdf.text(caption, x, top + cellHeight + 3, { size: fontSize(8), color: GREY });
+      });
+      top += cellHeight + fontSize(14) + 4;
+    }
+  };
+
+  // Ruled box for handwritten notes, filling the rest of the page (at least a few lines)
+  const notesBox = (heading) => {
+    section(heading);
+    const lineGap = fontSize(20);
+    ensureSpace(lineGap * 3);
+    const height = Math.max(lineGap * 3, Math.min(bottom - top, lineGap * 8));
+    pdf.rect(margin, top, contentWidth, height, { stroke: GREY });
+    for (let lineTop = top + lineGap; lineTop < top + height - 4; lineTop += lineGap) {
+      pdf.line(margin + 6, lineTop, margin + contentWidth - 6, lineTop, { color: LIGHT });
+    }
+    top += height + 10;
+  };
+
+  const note = (text) => {
+    ensureSpace(fontSize(14));
+    pdf.text(text, margin, top, { size: fontSize(8), color: GREY });
+    top += fontSize(14);
+  };
+
+  return {
+    pdf,
+    imageColumns: size === 'A5' ? 2 : 3,
+    setLogo: (image) => { logo = image; },
+    start: newPage,
+    section,
+    details,
+    measurementTable,
+    imageGrid,
+    notesBox,
+    note,
+  };
+};
+
+const customerDetails = (customer) => [
+  { label: 'Customer', value: customer?.name, bold: true },
+  { label: 'Phone', value: customer?.phone },
+  { label: 'Gender', value: customer?.gender ? customer.gender[0].toUpperCase() + customer.gender.slice(1) : '-' },
+  { label: 'Address', value: customer?.address },
+];
+
+/**
+ * Render a measurement sheet
+ * @param {object} params
+ * @param {object} params.user - The tailor
+ * @param {object} params.measurement - Measurement document with customerId populated
+ * @param {string} params.size - A4 or A5
+ * @param {string} [params.unit] - Print the values in this unit (converted, rounded to roundStep)
+ * @param {number} [params.roundStep]
+ * @returns {Promise<Buffer>} The PDF
+ */
+export const renderMeasurementSheet = async ({ user, measurement, size, unit = null, roundStep }) => {
+  const layout = createLayout({ size, title: 'Measurement sheet', user });
+  const customer = measurement.customerId;
+  const template = measurement.template ? await findTemplate(user._id, measurement.template) : null;
+
+  const storedUnit = measurement.unit || user.measurementUnit || DEFAULT_UNIT;
+  const printUnit = unit || storedUnit;
+  const values = printUnit === storedUnit
+    ? measurement.measurements
+    : convertMeasurements(measurement.measurements, storedUnit, printUnit, roundStep);
+
+  layout.setLogo(await loadImage(layout.pdf, user.profileImage));
+  const photo = await loadImage(layout.pdf, measurement.photoReference);
+
+  layout.start();
+  layout.details([
+    ...customerDetails(customer),
+    { label: 'Category', value: measurement.category, bold: true },
+    { label: 'Template', value: template ? template.name : '-' },
+    { label: 'Measured', value: formatDate(measurement.updatedAt) },
+    { label: 'Unit', value: printUnit === 'cm' ? 'Centimetres (cm)' : 'Inches (in)' },
+  ]);
+
+  layout.section('Measurements');
+  layout.measurementTable(measurementRows(values, template), printUnit);
+
+  if (photo) {
+    layout.section('Photo');
+    layout.imageGrid([{ image: photo, caption: 'Measurement photo' }], layout.imageColumns);
+  } else if (measurement.photoReference) {
+    layout.note('The measurement photo could not be included.');
+  }
+
+  layout.notesBox('Notes');
+  return layout.pdf.toBuffer();
+};
+
+// Measurements to print on a job card: the customer's latest for the order's garment, or the
+// latest of every category when none matches
+const findJobMeasurements = async (user, order, customer) => {
+  if (!customer) return [];
+  const matching = await Measurement.findOne({
+    userId: user._id,
+    customerId: customer._id,
+    category: new RegExp(`^${escapeRegex(order.clothType)}$`, 'i'),
+  }).sort({ createdAt: -1 });
+  if (matching) return [matching];
+  return getLatestMeasurements({ userId: user._id, _id: customer._id });
+};
+
+/**
+ * Render a job card for an order
+ * @param {object} params
+ * @param {object} params.user - The tailor
+ * @param {object} params.order - Order document with customerId populated
+ * @param {string} params.size - A4 or A5
+ * @returns {Promise<Buffer>} The PDF
+ */
+export const renderJobCard = async ({ user, order, size }) => {
+  const layout = createLayout({ size, title: 'Job card', user });
+  const customer = order.customerId;
+  const measurements = await findJobMeasurements(user, order, customer);
+
+  layout.setLogo(await loadImage(layout.pdf, user.profileImage));
+  const pictures = [];
+  let missingImages = 0;
+  const references = [
+    ...(order.stylePictures || []).map((url, i) => ({ url, caption: `Style picture ${i + 1}` })),
+    ...(order.sketches || []).map((url, i) => ({ url, caption: `Sketch ${i + 1}` })),
+  ];
+  for (const { url, caption } of references) {
+    const image = await loadImage(layout.pdf, url);
+    if (image) pictures.push({ image, caption });
+    else missingImages += 1;
+  }
+
+  layout.start();
+  layout.details([
+    { label: 'Order', value: `#${order._id.toString().slice(-6).toUpperCase()}`, bold: true },
+    { label: 'Status', value: STATUS_LABELS[order.status] || order.status },
+    { label: 'Received', value: formatDate(order.dateReceived) },
+    { label: 'Delivery', value: formatDate(order.deliveryDate), bold: true },
+    ...customerDetails(customer),
+  ]);
+
+  layout.section('Garment');
+  layout.details([
+    { label: 'Cloth type', value: order.clothType, bold: true },
+    { label: 'Fabric', value: order.fabric },
+    { label: 'Style', value: order.style },
+  ]);
+
+  for (const measurement of measurements) {
+    const template = measurement.template ? await findTemplate(user._id, measurement.template) : null;
+    const unit = measurement.unit || user.measurementUnit || DEFAULT_UNIT;
+    layout.section(`Measurements - ${measurement.category} (${formatDate(measurement.updatedAt)})`);
+    layout.measurementTable(measurementRows(measurement.measurements, template), unit);
+  }
+  if (measurements.length === 0) {
+    layout.section('Measurements');
+    layout.measurementTable([], '');
+  }
+
+  if (pictures.length > 0) {
+    layout.section('Style pictures and sketches');
+    layout.imageGrid(pictures, layout.imageColumns);
+  }
+  if (missingImages > 0) {
+    layout.note(`${missingImages} picture${missingImages === 1 ? '' : 's'} could not be included.`);
+  }
+
+  layout.notesBox('Workshop notes');
+  return layout.pdf.toBuffer();
+};
+
+export default { PRINT_SIZES, renderMeasurementSheet, renderJobCard };
@@ -145,6 +145,46 @@ export const convertToPublicUrl = (oldUrl) => {
   return oldUrl;
 };
 
+/**
+ * Get the object key of a file from its URL
+ * @param {string} fileUrl - Public URL (https://pub-xxx.r2.dev/key) or endpoint URL (https://endpoint/bucket/key)
+ * @returns {string|null} The object key
+ */
+const getKeyFromUrl = (fileUrl) => {
+  // URL format: https://endpoint/bucket/key or https://pub-xxx.r2.dev/key
+  const urlParts = fileUrl.split('/');
+  let key;
+
+  if (fileUrl.includes(R2_PUBLIC_URL)) {
+    // Public URL: extract everything after the domain
+    key = fileUrl.replace(R2_PUBLIC_URL + '/', '').replace(R2_PUBLIC_URL, '');
+    // Remove leading slash if present
+    if (key.startsWith('/')) {
+      key = key.substring(1);
+    }
+  } else {
+    // Standard R2 URL: extract after bucket name
+    const bucketIndex = urlParts.findIndex(part => part === BUCKET_NAME);
+    if (bucketIndex !== -1 && bucketIndex < urlParts.length - 1) {
+      key = urlParts.slice(bucketIndex + 1).join('/');
+    } else {
+      // Fallback: try to extract profile-images or welcome path directly
+      const profileImagesIndex = fileUrl.indexOf('profile-images/');
+      const welcomeIndex = fileUrl.indexOf('welcome/');
+      if (profileImagesIndex !== -1) {
+        key = fileUrl.substring(profileImagesIndex);
+      } else if (welcomeIndex !== -1) {
+        key = fileUrl.substring(welcomeIndex);
+      } else {
+        // Last resort: try to get last two parts
+        key = urlParts.slice(-2).join('/');
+      }
+    }
+  }
+
+  return key || null;
+};
+
 /**
  * Delete a file from S3 (Cloudflare R2)
  * @param {string} fileUrl - The URL of the file to delete
@@ -157,37 +197,7 @@ export const deleteFromS3 = async (fileUrl) => {
   }
 
   try {
-    // Extract key from URL
-    // URL format: https://endpoint/bucket/key or https://pub-xxx.r2.dev/key
-    const urlParts = fileUrl.split('/');
-    let key;
-    
-    if (fileUrl.includes(R2_PUBLIC_URL)) {
-      // Public URL: extract everything after the domain
-      key = fileUrl.replace(R2_PUBLIC_URL + '/', '').replace(R2_PUBLIC_URL, '');
-      // Remove leading slash if present
-      if (key.startsWith('/')) {
-        key = key.substring(1);
-      }
-    } else {
-      // Standard R2 URL: extract after bucket name
-      const bucketIndex = urlParts.findIndex(part => part === BUCKET_NAME);
-      if (bucketIndex !== -1 && bucketIndex < urlParts.length - 1) {
-        key = urlParts.slice(bucketIndex + 1).join('/');
-      } else {
-        // Fallback: try to extract profile-images or welcome path directly
-        const profileImagesIndex = fileUrl.indexOf('profile-images/');
-        const welcomeIndex = fileUrl.indexOf('welcome/');
-        if (profileImagesIndex !== -1) {
-          key = fileUrl.substring(profileImagesIndex);
-        } else if (welcomeIndex !== -1) {
-          key = fileUrl.substring(welcomeIndex);
-        } else {
-          // Last resort: try to get last two parts
-          key = urlParts.slice(-2).join('/');
-        }
-      }
-    }
+    const key = getKeyFromUrl(fileUrl);
 
     if (!key) {
       console.error('Could not extract key from URL:', fileUrl);
@@ -218,5 +228,26 @@ export const deleteFromS3 = async (fileUrl) => {
   }
 };
 
-export default { uploadToS3, deleteFromS3, convertToPublicUrl };
+/**
+ * Download a file from S3 (Cloudflare R2)
+ * @param {string} fileUrl - The URL of the file, as returned by uploadToS3
+ * @returns {Promise<{ buffer: Buffer, contentType: string|null }>}
+ */
+export const downloadFromS3 = async (fileUrl) => {
+  const key = fileUrl ? getKeyFromUrl(fileUrl) : null;
+  if (!key) {
+    throw new Error(`Could not extract key from URL: ${fileUrl}`);
+  }
+
+  const { GetObjectCommand } = await import('@aws-sdk/client-s3');
+  const response = await s3Client.send(new GetObjectCommand({
+    Bucket: BUCKET_NAME,
+    Key: key,
+  }));
+
+  const bytes = await response.Body.transformToByteArray();
+  return { buffer: Buffer.from(bytes), contentType: response.ContentType || null };
+};
+
+export default { uploadToS3, deleteFromS3, downloadFromS3, convertToPublicUrl };
 
@@ -0,0 +1,119 @@
+/**
+ * SMS Service
+ * Sends text messages through a pluggable driver selected with the SMS_DRIVER environment variable
+ *
+ * Built-in drivers:
+ * - console: prints messages to the server log (default outside production, for local development)
+ * - file: appends messages as JSON lines to SMS_FILE_PATH (for tests and local development)
+ * - termii: sends through the Termii API (TERMII_API_KEY, TERMII_SENDER_ID)
+ *
+ * Other providers can be plugged in with registerSmsDriver(name, driver), where driver
+ * is an object with an async send({ to, message }) method.
+ *
+ * In production SMS_DRIVER must be set: verification and reset codes must never end up only in the log.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+const TERMII_API_URL = 'https://api.ng.termii.com/api/sms/send';
+
+const consoleDriver = {
+  async send({ to, message }) {
+    console.log(`[SMS] To: ${to} | ${message}`);
+    return { success: true };
+  },
+};
+
+const fileDriver = {
+  async send({ to, message }) {
+    const filePath = process.env.SMS_FILE_PATH || path.join(process.cwd(), 'sms-outbox.log');
+    const line = JSON.stringify({ to, message, sentAt: new Date().toISOString() });
+    await fs.appendFile(filePath, `${line}\n`, 'utf8');
+    return { success: true };
+  },
+};
+
+const termiiDriver = {
+  async send({ to, message }) {
+    if (!process.env.TERMII_API_KEY) {
+      throw new Error('TERMII_API_KEY is not defined in environment variables');
+    }
+
+    // Termii expects international format without the plus sign (080... -> 23480...)
+    const internationalNumber = to.startsWith('0') ? `234${to.slice(1)}` : to;
+
+    const response = await fetch(TERMII_API_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        api_key: process.env.TERMII_API_KEY,
+        to: internationalNumber,
+        from: process.env.TERMII_SENDER_ID || 'SmartTailor',
+        sms: message,
+        type: 'plain',
+        channel: 'generic',
+      }),
+    });
+
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.message || 'Failed to send SMS');
+    }
+    return { success: true, result };
+  },
+};
+
+const drivers = {
+  console: consoleDriver,
+  file: fileDriver,
+  termii: termiiDriver,
+};
+
+/**
+ * Register (or replace) an SMS driver
+ * @param {string} name - Driver name used in SMS_DRIVER
+ * @param {{ send: function }} driver - Object with an async send({ to, message }) method
+ */
+export const registerSmsDriver = (name, driver) => {
+  if (!driver || typeof driver.send !== 'function') {
+    throw new Error('SMS driver must implement send({ to, message })');
+  }
+  drivers[name] = driver;
+};
+
+/**
+ * Name of the configured SMS driver (SMS_DRIVER, or console outside production)
+ * @returns {string}
+ * @throws {Error} If SMS_DRIVER is not set in production
+ */
+export const getSmsDriverName = () => {
+  if (process.env.SMS_DRIVER) return process.env.SMS_DRIVER;
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('SMS_DRIVER is not defined in environment variables (required in production)');
+  }
+  return 'console';
+};
+
+const getDriver = () => {
+  const name = getSmsDriverName();
+  const driver = drivers[name];
+  if (!driver) {
+    throw new Error(`Unknown SMS driver "${name}". Available drivers: ${Object.keys(drivers).join(', ')}`);
+  }
+  return driver;
+};
+
+/**
+ * Send a text message
+ * @param {string} to - Recipient phone number (11 digits)
+ * @param {string} message - Message text
+ * @returns {Promise<object>} Driver result
+ */
+export const sendSms = async (to, message) => {
+  return await getDriver().send({ to, message });
+};
+
+export default { sendSms, registerSmsDriver, getSmsDriverName };
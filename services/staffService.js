@@ -0,0 +1,63 @@
+/**
+ * Staff Service
+ * Invites staff members to a tailor business and checks their invitation codes
+ */
+
+import crypto from 'crypto';
+import { sendSms } from './smsService.js';
+
+const INVITE_CODE_LENGTH = 6;
+const INVITE_TTL_DAYS = 7;
+
+const hashCode = (code) => {
+  return crypto.createHash('sha256').update(String(code)).digest('hex');
+};
+
+const generateCode = () => {
+  return crypto.randomInt(0, 10 ** INVITE_CODE_LENGTH).toString().padStart(INVITE_CODE_LENGTH, '0');
+};
+
+/**
+ * Give a staff member a fresh invitation code and send it by SMS (earlier codes stop working)
+ * @param {object} staff - The staff document (saved by this function)
+ * @param {object} business - The owning user document
+ * @returns {Promise<{ sent: boolean, expiresAt: Date }>} sent is false when the SMS could not be delivered
+ */
+export const sendStaffInvitation = async (staff, business) => {
+  const code = generateCode();
+  const expiresAt = new Date(Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  staff.inviteCodeHash = hashCode(code);
+  staff.inviteExpiresAt = expiresAt;
+  staff.invitedAt = new Date();
+  await staff.save();
+
+  const businessName = business.businessName || business.name || 'a tailor';
+  try {
+    await sendSms(
+      staff.phone,
+      `${businessName} has invited you to join them on SmartTailor as ${staff.role}. Your invitation code is ${code}. It expires in ${INVITE_TTL_DAYS} days.`
+    );
+    return { sent: true, expiresAt };
+  } catch (error) {
+    console.error('Error sending staff invitation:', error);
+    return { sent: false, expiresAt };
+  }
+};
+
+/**
+ * Check an invitation code against a staff member's current invitation
+ * @param {object} staff - The staff document
+ * @param {string} code - Code entered by the staff member
+ * @returns {boolean}
+ */
+export const verifyInvitationCode = (staff, code) => {
+  if (!staff.inviteCodeHash || !staff.inviteExpiresAt || staff.inviteExpiresAt <= new Date()) {
+    return false;
+  }
+  const expected = Buffer.from(staff.inviteCodeHash, 'hex');
+  const actual = Buffer.from(hashCode(String(code).trim()), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+export default { sendStaffInvitation, verifyInvitationCode };
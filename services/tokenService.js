@@ -0,0 +1,213 @@
+/**
+ * Token Service
+ * Issues signed access tokens (JWT) and opaque refresh tokens backed by Session records
+ */
+
+import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+import Session from '../models/Session.js';
+
+const DEFAULT_ACCESS_TOKEN_TTL = '15m';
+const DEFAULT_REFRESH_TOKEN_TTL_DAYS = 30;
+
+const getJwtSecret = () => {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('JWT_SECRET is not defined in environment variables');
+  }
+  return secret;
+};
+
+const getRefreshTokenTtlDays = () => {
+  const days = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10);
+  return Number.isFinite(days) && days > 0 ? days : DEFAULT_REFRESH_TOKEN_TTL_DAYS;
+};
+
+/**
+ * Hash a refresh token for storage and lookup
+ * @param {string} refreshToken - The raw refresh token
+ * @returns {string} Hex encoded SHA-256 hash
+ */
+export const hashToken = (refreshToken) => {
+  return crypto.createHash('sha256').update(refreshToken).digest('hex');
+};
+
+/**
+ * Sign an access token for a user session
+ * @param {object} user - The user document
+ * @param {object} session - The session document the token belongs to
+ * @returns {{ accessToken: string, expiresIn: number }} The token and its lifetime in seconds
+ */
+const signAccessToken = (user, session) => {
+  const claims = { sid: session._id.toString(), type: 'access' };
+  // Staff tokens act on the business (subject) but name the staff member
+  if (session.staffId) {
+    claims.stf = session.staffId.toString();
+  }
+  const accessToken = jwt.sign(
+    claims,
+    getJwtSecret(),
+    {
+      subject: user._id.toString(),
+      expiresIn: process.env.JWT_ACCESS_TOKEN_TTL || DEFAULT_ACCESS_TOKEN_TTL,
+    }
+  );
+  const { iat, exp } = jwt.decode(accessToken);
+  return { accessToken, expiresIn: exp - iat };
+};
+
+const buildTokenResponse = (user, session, refreshToken) => {
+  const { accessToken, expiresIn } = signAccessToken(user, session);
+  return {
+    tokenType: 'Bearer',
+    accessToken,
+    expiresIn,
+    refreshToken,
+    refreshTokenExpiresAt: session.expiresAt,
+    sessionId: session._id,
+  };
+};
+
+/**
+ * Read the device details a client reports when logging in
+ * @param {object} req - Express request (body: platform, appVersion, deviceName, pushNotificationToken)
+ * @returns {object} Device fields for a Session
+ */
+export const getDeviceInfo = (req) => {
+  const body = req.body || {};
+  const asString = (value) => (typeof value === 'string' && value.trim() ? value.trim().slice(0, 200) : null);
+  return {
+    platform: asString(body.platform),
+    appVersion: asString(body.appVersion),
+    deviceName: asString(body.deviceName),
+    pushNotificationToken: asString(body.pushNotificationToken),
+    userAgent: asString(req.headers['user-agent']),
+    ipAddress: req.ip || null,
+  };
+};
+
+/**
+ * Start a new session for a user and issue its first token pair
+ * @param {object} user - The user document (the business owner for staff sessions)
+ * @param {object} device - Device fields from getDeviceInfo
+ * @param {object} [staff] - The staff member signing in on behalf of the business
+ * @returns {Promise<object>} Token response (tokenType, accessToken, expiresIn, refreshToken, refreshTokenExpiresAt, sessionId)
+ */
+export const issueTokens = async (user, device = {}, staff = null) => {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + getRefreshTokenTtlDays());
+
+  const session = await Session.create({
+    ...device,
+    userId: user._id,
+    staffId: staff?._id || null,
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt,
+    lastSeenAt: new Date(),
+  });
+
+  return buildTokenResponse(user, session, refreshToken);
+};
+
+/**
+ * Find the active session a refresh token belongs to
+ * @param {string} refreshToken - The raw refresh token
+ * @returns {Promise<object|null>} The session, or null if unknown, revoked or expired
+ */
+export const findActiveSession = async (refreshToken) => {
+  if (!refreshToken || typeof refreshToken !== 'string') return null;
+  return await Session.findOne({
+    refreshTokenHash: hashToken(refreshToken),
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+/**
+ * Exchange a refresh token for a new token pair (the old refresh token stops working)
+ * @param {object} user - The user document the session belongs to
+ * @param {object} session - The active session found by findActiveSession
+ * @param {string} [ipAddress] - Address the refresh came from
+ * @returns {Promise<object>} Token response
+ */
+export const rotateTokens = async (user, session, ipAddress = null) => {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + getRefreshTokenTtlDays());
+
+  session.refreshTokenHash = hashToken(refreshToken);
+  session.expiresAt = expiresAt;
+  session.lastSeenAt = new Date();
+  if (ipAddress) {
+    session.ipAddress = ipAddress;
+  }
+  await session.save();
+
+  return buildTokenResponse(user, session, refreshToken);
+};
+
+/**
+ * Revoke a session so neither its access nor refresh tokens are accepted again
+ * @param {object} session - The session document
+ * @returns {Promise<void>}
+ */
+export const revokeSession = async (session) => {
+  session.revokedAt = new Date();
+  session.pushNotificationToken = null;
+  await session.save();
+};
+
+/**
+ * Verify an access token's signature and expiry
+ * @param {string} accessToken - The JWT from the Authorization header
+ * @returns {{ userId: string, sessionId: string, staffId: string|null }} The token claims
+ * @throws {Error} If the token is invalid, expired or not an access token
+ */
+export const verifyAccessToken = (accessToken) => {
+  const payload = jwt.verify(accessToken, getJwtSecret());
+  if (payload.type !== 'access' || !payload.sub || !payload.sid) {
+    throw new Error('Invalid access token');
+  }
+  return { userId: payload.sub, sessionId: payload.sid, staffId: payload.stf || null };
+};
+
+/**
+ * Sign a download link token for a data export (valid until the export expires)
+ * @param {object} exportId - The DataExport id
+ * @param {Date} expiresAt - When the export expires
+ * @returns {string}
+ */
+export const signDownloadToken = (exportId, expiresAt) => {
+  return jwt.sign(
+    { type: 'export_download', exp: Math.floor(expiresAt.getTime() / 1000) },
+    getJwtSecret(),
+    { subject: exportId.toString() }
+  );
+};
+
+/**
+ * Verify a download link token from signDownloadToken
+ * @param {string} token
+ * @returns {string|null} The export id, or null when the token is invalid or expired
+ */
+export const verifyDownloadToken = (token) => {
+  try {
+    const payload = jwt.verify(String(token || ''), getJwtSecret());
+    return payload.type === 'export_download' && payload.sub ? payload.sub : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+export default {
+  issueTokens,
+  findActiveSession,
+  rotateTokens,
+  revokeSession,
+  verifyAccessToken,
+  hashToken,
+  getDeviceInfo,
+  signDownloadToken,
+  verifyDownloadToken,
+};
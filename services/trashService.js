@@ -0,0 +1,235 @@
+/**
+ * Trash Service
+ * Deleted customers, orders and measurements are kept in the trash for a retention period
+ * (TRASH_RETENTION_DAYS, default 30) so a mistaken delete can be undone, then purged with their
+ * images by the scheduled job. See models/softDelete.js for how trashed records are hidden.
+ */
+
+import mongoose from 'mongoose';
+import Customer from '../models/Customer.js';
+import Order from '../models/Order.js';
+import Measurement from '../models/Measurement.js';
+import Notification from '../models/Notification.js';
+import MeasurementRevision from '../models/MeasurementRevision.js';
+import { deleteFromS3 } from './s3Service.js';
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+// What can be in the trash; permission is the staff permission needed to see and restore it
+export const TRASH_TYPES = {
+  customer: {
+    model: Customer,
+    permission: 'customers:delete',
+    describe: (customer) => customer.name,
+    images: (customer) => [customer.photo],
+  },
+  order: {
+    model: Order,
+    permission: 'orders:delete',
+    describe: (order) => `${order.clothType} (${order.style})`,
+    images: (order) => [...(order.stylePictures || []), ...(order.sketches || [])],
+  },
+  measurement: {
+    model: Measurement,
+    permission: 'measurements:delete',
+    describe: (measurement) => measurement.category,
+    images: (measurement) => [measurement.photoReference],
+  },
+};
+
+/**
+ * Number of days deleted records stay in the trash
+ * @returns {number}
+ */
+export const getTrashRetentionDays = () => {
+  const days = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+  return Number.isFinite(days) && days >= 0 ? days : DEFAULT_RETENTION_DAYS;
+};
+
+/**
+ * When a record deleted at a given time is purged
+ * @param {Date} deletedAt
+ * @returns {Date}
+ */
+export const getPurgeDate = (deletedAt) => {
+  const purgeAt = new Date(deletedAt);
+  purgeAt.setDate(purgeAt.getDate() + getTrashRetentionDays());
+  return purgeAt;
+};
+
+/**
+ * Move a single order or measurement to the trash
+ * @param {object} doc - The order or measurement document
+ * @param {object} actor - From getActor
+ * @returns {Promise<Date>} When it will be purged
+ */
+export const moveToTrash = async (doc, actor) => {
+  doc.deletedAt = new Date();
+  doc.deletedBy = actor;
+  doc.deletedWith = null;
+  await doc.save();
+  return getPurgeDate(doc.deletedAt);
+};
+
+/**
+ * Move a customer to the trash together with their orders and measurements; their notifications
+ * are deleted. Runs in one transaction.
+ * @param {object} customer - The customer document
+ * @param {object} actor - From getActor
+ * @returns {Promise<{ counts: object, purgeAt: Date }>} counts: customer, orders, measurements (trashed)
+ *   and notifications (deleted)
+ */
+export const trashCustomer = async (customer, actor) => {
+  const deletedAt = new Date();
+  const filter = { userId: customer.userId, customerId: customer._id };
+  const marker = { $set: { deletedAt, deletedBy: actor, deletedWith: customer._id } };
+  const session = await mongoose.startSession();
+  let counts = null;
+
+  try {
+    await session.withTransaction(async () => {
+      // Operations in a transaction run one at a time; the callback may be retried.
+      // Records already in the trash keep their own deletion date (the query skips them).
+      const orders = await Order.updateMany(filter, marker, { session });
+      const measurements = await Measurement.updateMany(filter, marker, { session });
+      const notifications = await Notification.deleteMany(filter, { session });
+      const customerResult = await Customer.updateOne(
+        { _id: customer._id, userId: customer.userId },
+        { $set: { deletedAt, deletedBy: actor, deletedWith: null } },
+        { session }
+      );
+
+      counts = {
+        customer: customerResult.modifiedCount,
+        orders: orders.modifiedCount,
+        measurements: measurements.modifiedCount,
+        notifications: notifications.deletedCount,
+      };
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return { counts, purgeAt: getPurgeDate(deletedAt) };
+};
+
+/**
+ * List a tailor's trash, most recently deleted first
+ * @param {object} userId - The tailor's user id
+ * @param {string[]} types - Keys of TRASH_TYPES to include
+ * @param {number} limit - Maximum number of items
+ * @returns {Promise<Array<object>>} { type, id, title, deletedAt, deletedBy, deletedWith, purgeAt, record }
+ */
+export const listTrash = async (userId, types, limit) => {
+  const results = await Promise.all(types.map(async (type) => {
+    const records = await TRASH_TYPES[type].model.find({ userId, deletedAt: { $ne: null } })
+      .sort({ deletedAt: -1 })
+      .limit(limit);
+    return records.map(record => ({
+      type,
+      id: record._id,
+      title: TRASH_TYPES[type].describe(record),
+      deletedAt: record.deletedAt,
+      deletedBy: record.deletedBy,
+      deletedWith: record.deletedWith,
+      purgeAt: getPurgeDate(record.deletedAt),
+      record,
+    }));
+  }));
+
+  return results.flat().sort((a, b) => b.deletedAt - a.deletedAt).slice(0, limit);
+};
+
+/**
+ * Restore an item from the trash. Restoring a customer also restores the orders and measurements
+ * that were deleted with them; an order or measurement can't be restored while its customer is
+ * deleted.
+ * @param {object} userId - The tailor's user id
+ * @param {string} type - Key of TRASH_TYPES
+ * @param {object} id
+ * @returns {Promise<{ record: object, restored: object }|{ error: string }|null>} null when the
+ *   item isn't in the trash; error 'CUSTOMER_DELETED' when its customer must be restored first,
+ *   'CUSTOMER_NOT_FOUND' when its customer no longer exists
+ */
+export const restoreFromTrash = async (userId, type, id) => {
+  const { model } = TRASH_TYPES[type];
+  const record = await model.findOne({ _id: id, userId, deletedAt: { $ne: null } });
+  if (!record) return null;
+
+  const restoreFields = { $set: { deletedAt: null, deletedBy: null, deletedWith: null } };
+
+  if (type !== 'customer') {
+    const customer = await Customer.findOne({ _id: record.customerId, userId }).setOptions({ withDeleted: true });
+    if (!customer) {
+      return { error: 'CUSTOMER_NOT_FOUND', customerId: record.customerId };
+    }
+    if (customer.deletedAt) {
+      return { error: 'CUSTOMER_DELETED', customerId: record.customerId };
+    }
+    record.set(restoreFields.$set);
+    await record.save();
+    return { record, restored: { [`${type}s`]: 1 } };
+  }
+
+  const session = await mongoose.startSession();
+  let restored = null;
+  try {
+    await session.withTransaction(async () => {
+      const withCustomer = { userId, deletedWith: record._id, deletedAt: { $ne: null } };
+      const orders = await Order.updateMany(withCustomer, restoreFields, { session });
+      const measurements = await Measurement.updateMany(withCustomer, restoreFields, { session });
+      await Customer.updateOne({ _id: record._id, userId, deletedAt: { $ne: null } }, restoreFields, { session });
+      restored = { customers: 1, orders: orders.modifiedCount, measurements: measurements.modifiedCount };
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  const customer = await Customer.findOne({ _id: record._id, userId });
+  return { record: customer, restored };
+};
+
+/**
+ * Permanently delete trashed records older than the retention period, with their images,
+ * the notifications that point at them and measurement history
+ * @returns {Promise<object>} Number of records purged per type
+ */
+export const purgeExpiredTrash = async () => {
+  const cutoff = new Date();
+  cutoff.setDate(cutoff.getDate() - getTrashRetentionDays());
+  const purged = {};
+
+  for (const [type, { model, images }] of Object.entries(TRASH_TYPES)) {
+    const expired = await model.find({ deletedAt: { $ne: null, $lte: cutoff } });
+
+    for (const imageUrl of [...new Set(expired.flatMap(images).filter(Boolean))]) {
+      await deleteFromS3(imageUrl);
+    }
+
+    const ids = expired.map(record => record._id);
+    if (ids.length > 0) {
+      await model.deleteMany({ _id: { $in: ids } });
+      if (type === 'order') {
+        await Notification.deleteMany({ orderId: { $in: ids } });
+      } else if (type === 'customer') {
+        await Notification.deleteMany({ customerId: { $in: ids } });
+      } else if (type === 'measurement') {
+        await MeasurementRevision.deleteMany({ measurementId: { $in: ids } });
+      }
+    }
+    purged[type] = ids.length;
+  }
+
+  return purged;
+};
+
+export default {
+  TRASH_TYPES,
+  getTrashRetentionDays,
+  getPurgeDate,
+  moveToTrash,
+  trashCustomer,
+  listTrash,
+  restoreFromTrash,
+  purgeExpiredTrash,
+};
@@ -0,0 +1,115 @@
+/**
+ * Minimal CSV reader and writer (RFC 4180)
+ * The parser handles quoted fields with commas, quotes ("") and line breaks, CRLF/LF line endings and a
+ * UTF-8 byte order mark. Spreadsheet apps in some locales export with ";" - detected from the header.
+ */
+
+/**
+ * Guess the delimiter from the first line
+ * @param {string} text
+ * @returns {string} ',' ';' or '\t'
+ */
+const detectDelimiter = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  const counts = [',', ';', '\t'].map(delimiter => ({ delimiter, count: firstLine.split(delimiter).length - 1 }));
+  counts.sort((a, b) => b.count - a.count);
+  return counts[0].count > 0 ? counts[0].delimiter : ',';
+};
+
+/**
+ * Parse CSV text into rows of cells
+ * @param {string} text - CSV contents
+ * @returns {{ rows: string[][], lineNumbers: number[] }} rows without blank lines, and the line
+ *   each row starts on (1-based) for error messages
+ */
+export const parseCsv = (text) => {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(input);
+  const rows = [];
+  const lineNumbers = [];
+
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowStartLine = 1;
+
+  const endRow = () => {
+    row.push(cell);
+    // Skip blank lines
+    if (row.length > 1 || row[0].trim() !== '') {
+      rows.push(row);
+      lineNumbers.push(rowStartLine);
+    }
+    row = [];
+    cell = '';
+    rowStartLine = line;
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && cell.trim() === '') {
+      cell = '';
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\r' && input[i + 1] === '\n') {
+      continue;
+    } else if (char === '\n' || char === '\r') {
+      line++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return { rows, lineNumbers };
+};
+
+// Quote a cell when needed. Cells starting with "=" or "@" are prefixed with "'" so spreadsheet
+// apps don't run them as formulas ("+" and "-" are left alone - phone numbers start with "+").
+const formatCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write rows as CSV text
+ * @param {Array<object>} rows - Plain objects
+ * @param {string[]} columns - Keys to write, in order (also the header row)
+ * @returns {string} CSV with CRLF line endings
+ */
+export const toCsv = (rows, columns) => {
+  const lines = [columns.map(formatCell).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => formatCell(row[column])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+export default parseCsv;
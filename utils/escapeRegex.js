@@ -0,0 +1,8 @@
+/**
+ * Escape user input for use in a regular expression
+ * @param {string} value - Raw input
+ * @returns {string} Input with regex metacharacters escaped
+ */
+export const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+export default escapeRegex;
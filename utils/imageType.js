@@ -0,0 +1,39 @@
+/**
+ * Image type detection from file contents (magic bytes)
+ * The mimetype and file name a client sends can't be trusted, so uploads are checked against
+ * the first bytes of the file instead.
+ */
+
+const SIGNATURES = [
+  { mimetype: 'image/jpeg', extension: 'jpg', matches: (b) => b.length >= 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  {
+    mimetype: 'image/png',
+    extension: 'png',
+    matches: (b) => b.length >= 8 && b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  },
+  {
+    mimetype: 'image/gif',
+    extension: 'gif',
+    matches: (b) => b.length >= 6 && ['GIF87a', 'GIF89a'].includes(b.subarray(0, 6).toString('ascii')),
+  },
+  {
+    mimetype: 'image/webp',
+    extension: 'webp',
+    matches: (b) => b.length >= 12 && b.subarray(0, 4).toString('ascii') === 'RIFF' && b.subarray(8, 12).toString('ascii') === 'WEBP',
+  },
+];
+
+/**
+ * Detect the image type of a file from its contents
+ * @param {Buffer} buffer - File contents
+ * @returns {{ mimetype: string, extension: string }|null} null when the file is not a supported image (JPEG, PNG, GIF, WebP)
+ */
+export const detectImageType = (buffer) => {
+  if (!Buffer.isBuffer(buffer)) return null;
+  const signature = SIGNATURES.find(({ matches }) => matches(buffer));
+  return signature ? { mimetype: signature.mimetype, extension: signature.extension } : null;
+};
+
+export const SUPPORTED_IMAGE_TYPES = SIGNATURES.map(({ mimetype }) => mimetype);
+
+export default { detectImageType, SUPPORTED_IMAGE_TYPES };
@@ -0,0 +1,64 @@
+/**
+ * Measurement units
+ * Measurements are stored in the unit they were taken in (Measurement.unit) and converted when read.
+ */
+
+export const MEASUREMENT_UNITS = ['in', 'cm'];
+
+export const DEFAULT_UNIT = 'in';
+
+const CM_PER_INCH = 2.54;
+
+// Converted values are rounded to the nearest step: 1/8 inch or 1 mm unless the request says otherwise
+export const DEFAULT_ROUNDING = { in: 0.125, cm: 0.1 };
+
+export const MAX_ROUNDING = 5;
+
+/**
+ * Round a value to the nearest multiple of a step (0.25 -> quarters)
+ * @param {number} value
+ * @param {number} step
+ * @returns {number}
+ */
+export const roundToStep = (value, step) => {
+  const rounded = Math.round(value / step) * step;
+  // Drop floating point noise (0.30000000000000004)
+  return Number(rounded.toFixed(6));
+};
+
+/**
+ * Convert a single value between units
+ * @param {number} value
+ * @param {string} from - 'in' or 'cm'
+ * @param {string} to - 'in' or 'cm'
+ * @param {number} [step] - Rounding step in the target unit (default DEFAULT_ROUNDING)
+ * @returns {number} The value unchanged when the units are the same
+ */
+export const convertValue = (value, from, to, step = DEFAULT_ROUNDING[to]) => {
+  if (from === to || typeof value !== 'number') return value;
+  const converted = to === 'cm' ? value * CM_PER_INCH : value / CM_PER_INCH;
+  return roundToStep(converted, step);
+};
+
+/**
+ * Convert every value of a measurements map
+ * @param {object|Map} measurements - Measurement name -> value
+ * @param {string} from
+ * @param {string} to
+ * @param {number} [step]
+ * @returns {object} Plain object of converted values
+ */
+export const convertMeasurements = (measurements, from, to, step) => {
+  const entries = measurements instanceof Map ? [...measurements.entries()] : Object.entries(measurements || {});
+  return Object.fromEntries(entries.map(([name, value]) => [name, convertValue(value, from, to, step)]));
+};
+
+export default {
+  MEASUREMENT_UNITS,
+  DEFAULT_UNIT,
+  DEFAULT_ROUNDING,
+  MAX_ROUNDING,
+  roundToStep,
+  convertValue,
+  convertMeasurements,
+};
@@ -0,0 +1,75 @@
+/**
+ * Cursor pagination helpers
+ * A cursor holds the sort value and _id of the last item on a page; the next page starts after it.
+ * _id breaks ties so items with the same sort value are never skipped or repeated.
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Encode the position after an item as an opaque cursor
+ * @param {object} item - The last item on the page
+ * @param {string} field - The field the list is sorted by
+ * @returns {string} base64url cursor
+ */
+export const encodeCursor = (item, field) => {
+  const value = item[field];
+  const payload = {
+    v: value instanceof Date ? value.toISOString() : value ?? null,
+    d: value instanceof Date,
+    id: item._id.toString(),
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Decode a cursor from encodeCursor
+ * @param {string} cursor - base64url cursor
+ * @returns {{ value: *, id: object }|null} null when the cursor is malformed
+ */
+export const decodeCursor = (cursor) => {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!payload || !mongoose.Types.ObjectId.isValid(payload.id)) return null;
+    const value = payload.d ? new Date(payload.v) : payload.v;
+    if (value instanceof Date && isNaN(value.getTime())) return null;
+    return { value, id: new mongoose.Types.ObjectId(payload.id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Build the query condition for items after a cursor
+ * @param {string} field - The sort field
+ * @param {number} direction - 1 for ascending, -1 for descending
+ * @param {{ value: *, id: object }} cursor - Decoded cursor
+ * @returns {object} MongoDB filter
+ */
+export const buildCursorFilter = (field, direction, cursor) => {
+  const op = direction === 1 ? '$gt' : '$lt';
+  return {
+    $or: [
+      { [field]: { [op]: cursor.value } },
+      { [field]: cursor.value, _id: { [op]: cursor.id } },
+    ],
+  };
+};
+
+/**
+ * Parse a sort parameter like "name" or "-createdAt"
+ * @param {string} sortParam - Field name, prefixed with "-" for descending
+ * @param {string[]} allowedFields - Fields that may be sorted on
+ * @param {string} defaultSort - Used when sortParam is empty
+ * @returns {{ field: string, direction: number }|null} null when the field isn't allowed
+ */
+export const parseSort = (sortParam, allowedFields, defaultSort) => {
+  const value = sortParam || defaultSort;
+  // ?sort=a&sort=b arrives as an array
+  if (typeof value !== 'string') return null;
+  const direction = value.startsWith('-') ? -1 : 1;
+  const field = value.replace(/^[-+]/, '');
+  return allowedFields.includes(field) ? { field, direction } : null;
+};
+
+export default { encodeCursor, decodeCursor, buildCursorFilter, parseSort };
@@ -0,0 +1,403 @@
+/**
+ * Minimal PDF writer
+ * Builds printable documents in memory: text in the standard Helvetica fonts, lines, boxes and
+ * JPEG/PNG images, on A4 or A5 pages. Coordinates are in points (1/72 inch) from the top left
+ * corner of the page.
+ *
+ * Text uses WinAnsiEncoding, so characters outside Latin-1 (e.g. the naira sign) are replaced.
+ */
+
+import zlib from 'zlib';
+
+export const PAGE_SIZES = {
+  A4: { width: 595.28, height: 841.89 },
+  A5: { width: 419.53, height: 595.28 },
+};
+
+// Glyph widths (1/1000 em) of characters 32-126; other characters are measured as 556
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+];
+
+// Characters WinAnsiEncoding has outside Latin-1
+const WIN_ANSI_EXTRAS = {
+  '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86,
+  '‡': 0x87, 'ˆ': 0x88, '‰': 0x89, 'Š': 0x8a, '‹': 0x8b, 'Œ': 0x8c,
+  'Ž': 0x8e, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95,
+  '–': 0x96, '—': 0x97, '˜': 0x98, '™': 0x99, 'š': 0x9a, '›': 0x9b,
+  'œ': 0x9c, 'ž': 0x9e, 'Ÿ': 0x9f,
+};
+
+const toWinAnsi = (text) => Buffer.from([...String(text ?? '')].map((char) => {
+  const code = char.codePointAt(0);
+  if (WIN_ANSI_EXTRAS[char]) return WIN_ANSI_EXTRAS[char];
+  if (code === 0x20a6) return 0x4e; // naira sign -> N
+  return (code >= 0x20 && code <= 0x7e) || (code >= 0xa0 && code <= 0xff) ? code : 0x3f;
+}));
+
+/**
+ * Width of a text in points
+ * @param {string} text
+ * @param {number} size - Font size
+ * @param {boolean} [bold]
+ * @returns {number}
+ */
+export const textWidth = (text, size, bold = false) => {
+  const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+  let total = 0;
+  for (const byte of toWinAnsi(text)) {
+    total += byte >= 32 && byte <= 126 ? widths[byte - 32] : 556;
+  }
+  return (total * size) / 1000;
+};
+
+/**
+ * Break a text into lines that fit a width (long words are split)
+ * @param {string} text
+ * @param {number} maxWidth - In points
+ * @param {number} size - Font size
+ * @param {boolean} [bold]
+ * @returns {string[]}
+ */
+export const wrapText = (text, maxWidth, size, bold = false) => {
+  const lines = [];
+  for (const paragraph of String(text ?? '').split(/\r?\n/)) {
+    let line = '';
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (textWidth(candidate, size, bold) <= maxWidth) {
+        line = candidate;
+        continue;
+      }
+      if (line) lines.push(line);
+      // A word wider than the line is split over several lines
+      line = '';
+      for (const char of word) {
+        if (textWidth(line + char, size, bold) > maxWidth && line) {
+          lines.push(line);
+          line = '';
+        }
+        line += char;
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+};
+
+// JPEG: size and colour components from the start-of-frame marker
+const readJpeg = (buffer) => {
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    const length = buffer.readUInt16BE(offset + 2);
+    // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      const components = buffer[offset + 9];
+      const colorSpace = { 1: '/DeviceGray', 3: '/DeviceRGB', 4: '/DeviceCMYK' }[components];
+      if (!colorSpace) return null;
+      return {
+        width: buffer.readUInt16BE(offset + 7),
+        height: buffer.readUInt16BE(offset + 5),
+        dictionary: [
+          `/ColorSpace ${colorSpace}`,
+          '/BitsPerComponent 8',
+          '/Filter /DCTDecode',
+          // Adobe CMYK JPEGs are stored inverted
+          components === 4 ? '/Decode [1 0 1 0 1 0 1 0]' : '',
+        ],
+        data: buffer,
+      };
+    }
+    offset += 2 + length;
+  }
+  return null;
+};
+
+// Undo PNG row filters (https://www.w3.org/TR/png/#9Filters)
+const unfilterPng = (data, width, height, bytesPerPixel) => {
+  const rowLength = width * bytesPerPixel;
+  const output = Buffer.alloc(rowLength * height);
+  for (let y = 0; y < height; y++) {
+    const filter = data[y * (rowLength + 1)];
+    const row = data.subarray(y * (rowLength + 1) + 1, (y + 1) * (rowLength + 1));
+    const out = output.subarray(y * rowLength, (y + 1) * rowLength);
+    const previous = y > 0 ? output.subarray((y - 1) * rowLength, y * rowLength) : null;
+    for (let x = 0; x < rowLength; x++) {
+      const left = x >= bytesPerPixel ? out[x - bytesPerPixel] : 0;
+      const up = previous ? previous[x] : 0;
+      const upLeft = previous && x >= bytesPerPixel ? previous[x - bytesPerPixel] : 0;
+      let value = row[x];
+      if (filter === 1) value += left;
+      else if (filter === 2) value += up;
+      else if (filter === 3) value += Math.floor((left + up) / 2);
+      else if (filter === 4) {
+        const p = left + up - upLeft;
+        const pa = Math.abs(p - left);
+        const pb = Math.abs(p - up);
+        const pc = Math.abs(p - upLeft);
+        value += pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+      }
+      out[x] = value & 0xff;
+    }
+  }
+  return output;
+};
+
+// PNG: image data is already deflated, so it is passed through with the PNG predictor. Images with
+// an alpha channel are split into colour and a soft mask. Interlaced and 16-bit alpha PNGs aren't supported.
+const readPng = (buffer) => {
+  let offset = 8;
+  let header = null;
+  let palette = null;
+  const chunks = [];
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.subarray(offset + 4, offset + 8).toString('ascii');
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+    if (type === 'IHDR') {
+      header = {
+        width: data.readUInt32BE(0),
+        height: data.readUInt32BE(4),
+        bitDepth: data[8],
+        colorType: data[9],
+        interlace: data[12],
+      };
+    } else if (type === 'PLTE') {
+      palette = data;
+    } else if (type === 'IDAT') {
+      chunks.push(data);
+    } else if (type === 'IEND') {
+      break;
+    }
+    offset += 12 + length;
+  }
+  if (!header || header.interlace !== 0 || chunks.length === 0) return null;
+
+  const { width, height, bitDepth, colorType } = header;
+  const idat = Buffer.concat(chunks);
+
+  if (colorType === 4 || colorType === 6) {
+    if (bitDepth !== 8) return null;
+    const colors = colorType === 6 ? 3 : 1;
+    const pixels = unfilterPng(zlib.inflateSync(idat), width, height, colors + 1);
+    const color = Buffer.alloc(width * height * colors);
+    const alpha = Buffer.alloc(width * height);
+    for (let i = 0; i < width * height; i++) {
+      pixels.copy(color, i * colors, i * (colors + 1), i * (colors + 1) + colors);
+      alpha[i] = pixels[i * (colors + 1) + colors];
+    }
+    return {
+      width,
+      height,
+      dictionary: [`/ColorSpace ${colors === 3 ? '/DeviceRGB' : '/DeviceGray'}`, '/BitsPerComponent 8', '/Filter /FlateDecode'],
+      data: zlib.deflateSync(color),
+      mask: {
+        dictionary: ['/ColorSpace /DeviceGray', '/BitsPerComponent 8', '/Filter /FlateDecode'],
+        data: zlib.deflateSync(alpha),
+      },
+    };
+  }
+
+  const colors = { 0: 1, 2: 3, 3: 1 }[colorType];
+  if (!colors || (colorType === 3 && !palette)) return null;
+  const colorSpace = colorType === 3
+    ? `[/Indexed /DeviceRGB ${palette.length / 3 - 1} <${palette.toString('hex')}>]`
+    : colorType === 2 ? '/DeviceRGB' : '/DeviceGray';
+  return {
+    width,
+    height,
+    dictionary: [
+      `/ColorSpace ${colorSpace}`,
+      `/BitsPerComponent ${bitDepth}`,
+      '/Filter /FlateDecode',
+      `/DecodeParms << /Predictor 15 /Colors ${colors} /BitsPerComponent ${bitDepth} /Columns ${width} >>`,
+    ],
+    data: idat,
+  };
+};
+
+const formatNumber = (value) => Number(value.toFixed(2)).toString();
+
+const formatColor = (color) => color.map(formatNumber).join(' ');
+
+/**
+ * Start a PDF document
+ * @param {object} [options]
+ * @param {string} [options.size] - 'A4' (default) or 'A5'
+ * @param {string} [options.title] - Document title shown by PDF viewers
+ * @returns {object} Drawing functions: addPage, text, line, rect, addImage, image, toBuffer, plus
+ *   width, height and pageCount()
+ */
+export const createPdf = ({ size = 'A4', title = null } = {}) => {
+  const { width, height } = PAGE_SIZES[size] || PAGE_SIZES.A4;
+  const pages = [];
+  const images = [];
+  let content = null;
+
+  const y = (top) => formatNumber(height - top);
+
+  const addPage = () => {
+    content = [];
+    pages.push(content);
+  };
+
+  /**
+   * Draw a line of text; top is the top of the text
+   * @param {string} text
+   * @param {number} x
+   * @param {number} top
+   * @param {object} [options] - size (default 10), bold, color ([r, g, b] from 0 to 1), align
+   *   ('left', 'right' or 'center' of x)
+   */
+  const text = (value, x, top, { size: fontSize = 10, bold = false, color = [0, 0, 0], align = 'left' } = {}) => {
+    const string = String(value ?? '');
+    let left = x;
+    if (align !== 'left') {
+      const widthOfText = textWidth(string, fontSize, bold);
+      left = align === 'right' ? x - widthOfText : x - widthOfText / 2;
+    }
+    content.push(
+      `BT /${bold ? 'F2' : 'F1'} ${formatNumber(fontSize)} Tf ${formatColor(color)} rg `
+      + `${formatNumber(left)} ${y(top + fontSize * 0.8)} Td <${toWinAnsi(string).toString('hex')}> Tj ET`
+    );
+  };
+
+  const line = (x1, top1, x2, top2, { lineWidth = 0.5, color = [0, 0, 0] } = {}) => {
+    content.push(`${formatNumber(lineWidth)} w ${formatColor(color)} RG ${formatNumber(x1)} ${y(top1)} m ${formatNumber(x2)} ${y(top2)} l S`);
+  };
+
+  const rect = (x, top, w, h, { lineWidth = 0.5, stroke = [0, 0, 0], fill = null } = {}) => {
+    const path = `${formatNumber(x)} ${y(top + h)} ${formatNumber(w)} ${formatNumber(h)} re`;
+    const paint = fill && stroke ? 'B' : fill ? 'f' : 'S';
+    content.push(
+      `${formatNumber(lineWidth)} w ${stroke ? `${formatColor(stroke)} RG ` : ''}${fill ? `${formatColor(fill)} rg ` : ''}${path} ${paint}`
+    );
+  };
+
+  /**
+   * Add an image to the document so it can be drawn
+   * @param {Buffer} buffer - JPEG or PNG file contents
+   * @returns {{ id: number, width: number, height: number }|null} null for other or unreadable images
+   */
+  const addImage = (buffer) => {
+    let parsed = null;
+    try {
+      if (buffer[0] === 0xff && buffer[1] === 0xd8) parsed = readJpeg(buffer);
+      else if (buffer.subarray(1, 4).toString('ascii') === 'PNG') parsed = readPng(buffer);
+    } catch {
+      parsed = null;
+    }
+    if (!parsed || !parsed.width || !parsed.height) return null;
+    images.push(parsed);
+    return { id: images.length, width: parsed.width, height: parsed.height };
+  };
+
+  // Draw an image from addImage stretched to the box
+  const image = (added, x, top, w, h) => {
+    content.push(`q ${formatNumber(w)} 0 0 ${formatNumber(h)} ${formatNumber(x)} ${y(top + h)} cm /Im${added.id} Do Q`);
+  };
+
+  const toBuffer = () => {
+    // Object numbers: 1 catalog, 2 page tree, 3-4 fonts, 5 info, then images, then pages and contents
+    const objects = [];
+    const add = (body) => {
+      objects.push(body);
+      return objects.length;
+    };
+    const stream = (dictionary, data) => [
+      Buffer.from(`<< ${dictionary.filter(Boolean).join(' ')} /Length ${data.length} >>\nstream\n`, 'latin1'),
+      data,
+      Buffer.from('\nendstream', 'latin1'),
+    ];
+
+    add(null); // catalog, written below
+    add(null); // page tree
+    add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+    add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+    const info = [`/Producer (SmartTailor)`, `/CreationDate (D:${new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z)`];
+    if (title) info.push(`/Title <${toWinAnsi(title).toString('hex')}>`);
+    add(`<< ${info.join(' ')} >>`);
+
+    const imageRefs = images.map(({ width: w, height: h, dictionary, data, mask }) => {
+      let maskRef = null;
+      if (mask) {
+        maskRef = add(stream(['/Type /XObject /Subtype /Image', `/Width ${w} /Height ${h}`, ...mask.dictionary], mask.data));
+      }
+      return add(stream([
+        '/Type /XObject /Subtype /Image',
+        `/Width ${w} /Height ${h}`,
+        ...dictionary,
+        maskRef ? `/SMask ${maskRef} 0 R` : '',
+      ], data));
+    });
+    const xObjects = imageRefs.map((ref, i) => `/Im${i + 1} ${ref} 0 R`).join(' ');
+
+    const pageRefs = (pages.length ? pages : [[]]).map((operations) => {
+      const contentRef = add(stream(['/Filter /FlateDecode'], zlib.deflateSync(Buffer.from(operations.join('\n'), 'latin1'))));
+      return add(
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${formatNumber(width)} ${formatNumber(height)}] `
+        + `/Resources << /Font << /F1 3 0 R /F2 4 0 R >>${xObjects ? ` /XObject << ${xObjects} >>` : ''} >> `
+        + `/Contents ${contentRef} 0 R >>`
+      );
+    });
+    objects[0] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[1] = `<< /Type /Pages /Kids [${pageRefs.map(ref => `${ref} 0 R`).join(' ')}] /Count ${pageRefs.length} >>`;
+
+    const parts = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+    let length = parts[0].length;
+    const offsets = [];
+    objects.forEach((body, i) => {
+      offsets.push(length);
+      const pieces = [Buffer.from(`${i + 1} 0 obj\n`, 'latin1'), ...(Array.isArray(body) ? body : [Buffer.from(body, 'latin1')]), Buffer.from('\nendobj\n', 'latin1')];
+      for (const piece of pieces) {
+        parts.push(piece);
+        length += piece.length;
+      }
+    });
+
+    const xref = [
+      'xref',
+      `0 ${objects.length + 1}`,
+      '0000000000 65535 f ',
+      ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+      'trailer',
+      `<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>`,
+      'startxref',
+      String(length),
+      '%%EOF',
+      '',
+    ].join('\n');
+    parts.push(Buffer.from(xref, 'latin1'));
+    return Buffer.concat(parts);
+  };
+
+  return {
+    width,
+    height,
+    pageCount: () => pages.length,
+    addPage,
+    text,
+    line,
+    rect,
+    addImage,
+    image,
+    toBuffer,
+  };
+};
+
+export default createPdf;
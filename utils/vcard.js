@@ -0,0 +1,141 @@
+/**
+ * Minimal vCard (.vcf) parser for contact exports from phones (vCard 2.1, 3.0 and 4.0)
+ * Reads the properties a customer record can use: name, phone, address, gender, birthday and
+ * anniversary. Folded lines and quoted-printable values (vCard 2.1) are unfolded/decoded.
+ */
+
+// Decode a quoted-printable value (used by vCard 2.1 exports for non-ASCII names)
+const decodeQuotedPrintable = (value) => {
+  const bytes = [];
+  const text = value.replace(/=\r?\n/g, '');
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '=' && /^[0-9A-F]{2}$/i.test(text.slice(i + 1, i + 3))) {
+      bytes.push(parseInt(text.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      bytes.push(...Buffer.from(text[i], 'utf8'));
+    }
+  }
+  return Buffer.from(bytes).toString('utf8');
+};
+
+// Undo vCard escaping (\, \; \n)
+const unescapeValue = (value) => value.replace(/\\n/gi, ' ').replace(/\\([,;\\])/g, '$1');
+
+// Split a structured value (N, ADR) on unescaped semicolons
+const splitStructured = (value) => value.split(/(?<!\\);/).map(part => unescapeValue(part).trim());
+
+/**
+ * Parse one content line, e.g. "TEL;TYPE=CELL:0803 123 4567"
+ * @returns {{ name: string, params: string[], value: string }|null}
+ */
+const parseLine = (line) => {
+  const colon = line.indexOf(':');
+  if (colon === -1) return null;
+  const [rawName, ...params] = line.slice(0, colon).split(';');
+  // Grouped properties look like "item1.TEL"
+  const name = rawName.replace(/^.*\./, '').toUpperCase();
+  let value = line.slice(colon + 1);
+  if (params.some(param => /ENCODING=QUOTED-PRINTABLE/i.test(param) || /^QUOTED-PRINTABLE$/i.test(param))) {
+    value = decodeQuotedPrintable(value);
+  }
+  return { name, params: params.map(param => param.toUpperCase()), value };
+};
+
+// Convert a vCard date (1990-05-17, 19900517, --0517) to YYYY-MM-DD; the year is 1604 when unknown
+const parseVcardDate = (value) => {
+  const compact = value.trim().replace(/T.*$/, '');
+  let match = compact.match(/^(\d{4})-?(\d{2})-?(\d{2})$/);
+  if (match) return `${match[1]}-${match[2]}-${match[3]}`;
+  match = compact.match(/^--(\d{2})-?(\d{2})$/);
+  if (match) return `1604-${match[1]}-${match[2]}`;
+  return compact || null;
+};
+
+/**
+ * Parse the contacts in a .vcf file
+ * @param {string} text - File contents
+ * @returns {Array<{ line: number, name: string, phone: string, address: string, gender: string,
+ *   birthday: string, anniversary: string }>} One entry per contact; missing values are ''
+ */
+export const parseVcards = (text) => {
+  // Unfold continuation lines (a line starting with a space or tab continues the previous one)
+  // and quoted-printable soft line breaks
+  const rawLines = String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/);
+  const lines = [];
+  rawLines.forEach((rawLine, index) => {
+    const previous = lines[lines.length - 1];
+    if (previous && /^[ \t]/.test(rawLine)) {
+      previous.text += rawLine.slice(1);
+    } else if (previous && /=$/.test(previous.text) && /QUOTED-PRINTABLE/i.test(previous.text)) {
+      previous.text = previous.text.slice(0, -1) + rawLine;
+    } else {
+      lines.push({ text: rawLine, number: index + 1 });
+    }
+  });
+
+  const contacts = [];
+  let contact = null;
+  let phones = [];
+
+  for (const { text: lineText, number } of lines) {
+    const property = parseLine(lineText.trim());
+    if (!property) continue;
+
+    if (property.name === 'BEGIN' && /^VCARD$/i.test(property.value.trim())) {
+      contact = { line: number, name: '', structuredName: '', phone: '', address: '', gender: '', birthday: '', anniversary: '' };
+      phones = [];
+      continue;
+    }
+    if (!contact) continue;
+
+    switch (property.name) {
+      case 'END': {
+        // Prefer a mobile number, then the preferred one, then the first
+        const mobile = phones.find(phone => phone.params.some(param => /CELL|MOBILE/.test(param)));
+        const preferred = phones.find(phone => phone.params.some(param => /PREF/.test(param)));
+        contact.phone = (mobile || preferred || phones[0] || { value: '' }).value;
+        contact.name = contact.name || contact.structuredName;
+        delete contact.structuredName;
+        contacts.push(contact);
+        contact = null;
+        break;
+      }
+      case 'FN':
+        contact.name = unescapeValue(property.value).trim();
+        break;
+      case 'N': {
+        // Family;Given;Additional;Prefix;Suffix
+        const [family, given, additional] = splitStructured(property.value);
+        contact.structuredName = [given, additional, family].filter(Boolean).join(' ');
+        break;
+      }
+      case 'TEL':
+        phones.push({ params: property.params, value: property.value.replace(/^tel:/i, '').trim() });
+        break;
+      case 'ADR':
+        if (!contact.address) {
+          // PO box;Extended;Street;City;Region;Postal code;Country
+          contact.address = splitStructured(property.value).filter(Boolean).join(', ');
+        }
+        break;
+      case 'GENDER':
+      case 'X-GENDER':
+        contact.gender = property.value.split(';')[0].trim();
+        break;
+      case 'BDAY':
+        contact.birthday = parseVcardDate(property.value);
+        break;
+      case 'ANNIVERSARY':
+      case 'X-ANNIVERSARY':
+        contact.anniversary = parseVcardDate(property.value);
+        break;
+      default:
+        break;
+    }
+  }
+
+  return contacts;
+};
+
+export default parseVcards;